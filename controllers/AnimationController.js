@@ -1,8 +1,43 @@
+import * as THREE from 'three';
+import { KeplerOrbit } from '../models/orbit.js';
+import { BODY_CATALOG } from '../models/catalog.js';
+import { dateToJulianDate, getEphemerisElements, hasEphemeris, registerEphemerisElements, AU_KM, J2000_EPOCH_MS, SIMULATION_TIME_LIMITS, J2000_JULIAN_DATE, MS_PER_DAY, PLANET_ELEMENTS, PLANET_MASSES } from '../models/ephemeris.js';
+import { NBodySimulation, GRAVITATIONAL_CONSTANT, GAUSSIAN_GRAVITATIONAL_CONSTANT } from '../models/nbody.js';
+import { Spacecraft, parseStateVectorTable } from '../models/spacecraft.js';
+import { Comet } from '../models/comet.js';
+import { MinorBody } from '../models/minorBody.js';
+import { MAIN_BELT_RANGE, SmallBodyBelt, sampleJupiterTrojans } from '../models/belt.js';
+import { BloomEffect } from '../models/bloom.js';
+import { Probe, createTransferArcLine } from '../models/probe.js';
+import { computePorkchop, findLaunchWindows, getLambertTransfer, getPorkchopRanges, getTransferOrbitElements } from '../models/transfer.js';
+import { MOON_DISTANCE_KM, findEvents } from '../models/events.js';
+import { LAGRANGE_POINT_NAMES, LAGRANGE_SYSTEMS, LagrangePoint, clearSecondary, computeLagrangePoints, getMassRatio } from '../models/lagrange.js';
+import { LAYOUT_PLANETS, SCALE_MODES, getModeDistance, getModeMoonDistance, getModeRadius } from '../models/scale.js';
+
 /**
  * AnimationController.js
  * Manages the animation loop, timing, and celestial object updates for the solar system simulation
  */
 
+// Fewest main-belt orbits in one import that replace the sampled main belt (smaller
+// imports would leave a visibly sparse belt)
+const MAIN_BELT_IMPORT_MIN = 1000;
+
+// Time-warp ladder in simulated seconds per real second (mirrored for negative rates)
+const TIME_WARP_LADDER = [
+    1,              // real time
+    60,             // 1 min/s
+    600,            // 10 min/s
+    3600,           // 1 h/s
+    21600,          // 6 h/s
+    86400,          // 1 day/s
+    604800,         // 7 days/s
+    2592000,        // 30 days/s
+    31557600,       // 1 yr/s
+    315576000,      // 10 yr/s
+    3155760000      // 100 yr/s
+];
+
 export class AnimationController {
     /**
      * Creates an AnimationController instance
@@ -19,27 +54,64 @@ export class AnimationController {
         this.celestialObjects = celestialObjects;
         this.cameraController = cameraController;
         
+        // Optional glare around the Sun (and anything else brighter than white)
+        this.bloom = new BloomEffect(renderer, scene, camera);
+        
         // Animation timing
         this.simulationTime = 0;
         this.lastFrameTime = performance.now();
         this.isPaused = false;
-        this.timeSpeed = 1.0;
+        this.timeSpeed = 86400; // Simulated seconds per real second (negative runs backwards)
         
         // Animation configuration
-        this.timeMultiplier = 0.0002;
+        this.timeMultiplier = (2 * Math.PI) / (365.25 * MS_PER_DAY); // Orbit units per simulated ms (speed 1.0 = one orbit per year)
         this.isRunning = false;
         
-        // Define orbital parameters to eliminate redundancy
-        this.orbitalConfig = {
-            mercury: { distance: 36, speed: 4.15 },
-            venus: { distance: 52, speed: 1.62 },
-            earth: { distance: 70, speed: 1.0 },
-            mars: { distance: 96, speed: 0.53 },
-            jupiter: { distance: 130, speed: 0.084 }, // Fixed: was 150, now matches main.js
-            saturn: { distance: 150, speed: 0.034 },  // Fixed: was 220, now matches main.js
-            uranus: { distance: 200, speed: 0.012 },  // Added: was missing
-            neptune: { distance: 250, speed: 0.006 }  // Added: was missing
-        };
+        // Ephemeris mode: simulationTime holds real milliseconds since the J2000 epoch
+        this.ephemerisMode = false;
+        
+        // Physics mode: positions integrated under mutual gravity (requires ephemeris mode)
+        this.physicsMode = false;
+        this.physics = null;
+        this.physicsIntegrator = 'leapfrog';
+        this.physicsScales = {}; // Scene units per AU for each body
+        this.unboundBodies = new Set(); // Bodies on escape trajectories (no ellipse to follow)
+        this.bodyMasses = { ...PLANET_MASSES }; // Solar masses
+        
+        // Keplerian orbital elements (J2000 mean elements, semi-major axis in scene units,
+        // angles in degrees, speed = mean motion in radians per simulation time unit), filled
+        // from the body catalog through addCelestialObject
+        this.orbitalConfig = {};
+        
+        // Moons orbit their parent's current position (speed in radians per day)
+        this.moonConfig = {};
+        
+        // Comets orbit the Sun with elements in AU and radians per day, drawn on the scene scale
+        this.cometConfig = {};
+        
+        // Spacecraft replayed from state-vector tables and planner probes (positioned by Julian date)
+        this.spacecraft = {};
+        this.transferPreview = null;
+        
+        // Small-body belts (orbits evaluated on the GPU, time in days since J2000)
+        this.belts = {};
+        this.mainBeltCatalogued = false;
+        
+        // Lagrange point markers of body pairs, recomputed every frame
+        this.lagrangeSystems = {};
+        this.lagrangeHalosVisible = true;
+        
+        // Scale mode (see models/scale.js); the artistic layout is captured when first leaving it
+        this.scaleMode = 'artistic';
+        this.artisticLayout = null;
+        this.scaleLayout = null;
+        this.scaleTransition = null;
+        
+        // Orbit models built from the orbital configuration
+        this.orbits = {};
+        
+        // Called with the names of bodies whose orbits changed (overlays, camera)
+        this.orbitChangeListeners = [];
         
         // Bind the animate method to maintain 'this' context
         this.animate = this.animate.bind(this);
@@ -50,6 +122,11 @@ export class AnimationController {
                 this.setPaused(pauseState);
             });
         }
+        
+        // Keep the camera's viewing distances in step with resized or moved bodies
+        if (this.cameraController && this.cameraController.refreshCameraDistances) {
+            this.addOrbitChangeListener(() => this.cameraController.refreshCameraDistances());
+        }
     }
     
     /**
@@ -75,19 +152,52 @@ export class AnimationController {
         }
     }
     
+    /**
+     * Enables or disables the bloom pass
+     * @param {boolean} enabled - True to render through the bloom composer
+     */
+    setBloomEnabled(enabled) {
+        this.bloom.setEnabled(enabled);
+        console.log('Bloom:', enabled ? 'ON' : 'OFF');
+    }
+    
+    isBloomEnabled() {
+        return this.bloom.isEnabled();
+    }
+    
+    /**
+     * Resizes the post-processing targets to match the renderer
+     * @param {number} width - Width in CSS pixels
+     * @param {number} height - Height in CSS pixels
+     */
+    setSize(width, height) {
+        this.bloom.setSize(width, height);
+    }
+    
     /**
      * Main animation loop function
      */
     animate() {
         const currentTime = performance.now();
         
+        // Morph towards the selected scale mode before bodies are placed
+        this.updateScaleTransition(currentTime);
+        
         // Only update simulation time and animations if not paused
         if (!this.isPaused && this.isRunning) {
-            const deltaTime = (currentTime - this.lastFrameTime) * this.timeSpeed;
-            this.simulationTime += deltaTime;
-            const time = this.simulationTime * this.timeMultiplier;
+            const realDeltaTime = currentTime - this.lastFrameTime;
+            this.simulationTime += realDeltaTime * this.timeSpeed;
+            if (this.clampSimulationTime()) {
+                // Hold at the end of the calendar instead of running past it
+                this.setTimeSpeed(this.timeSpeed);
+            }
+            const time = this.getOrbitTime();
             
-            // Update all celestial objects
+            // Update all celestial objects (spin angles follow the absolute simulation time)
+            const deltaTime = realDeltaTime * this.timeSpeed;
+            if (this.physicsMode) {
+                this.physics.advance(deltaTime / MS_PER_DAY);
+            }
             this.updateCelestialObjects(deltaTime, time);
             
             // Update lastFrameTime only when not paused
@@ -104,30 +214,267 @@ export class AnimationController {
             window.uiController.update();
         }
         
-        // Render the scene
-        this.renderer.render(this.scene, this.camera);
+        // Render the scene (through the bloom composer when enabled)
+        this.bloom.render();
     }
     
     /**
      * Updates all celestial objects (planets, sun, etc.)
-     * @param {number} deltaTime - Time elapsed since last frame
-     * @param {number} simulationTime - Current simulation time
+     * @param {number} deltaTime - Simulated milliseconds elapsed since last frame
+     * @param {number} simulationTime - Current orbit time (see getOrbitTime)
      */
     updateCelestialObjects(deltaTime, simulationTime) {
         // Update Sun (stationary)
         if (this.celestialObjects.sun) {
-            this.celestialObjects.sun.update(deltaTime);
+            this.celestialObjects.sun.update(deltaTime, this.simulationTime);
         }
         
         // Update all planets dynamically using orbital configuration
         Object.keys(this.orbitalConfig).forEach(planetName => {
             const planet = this.celestialObjects[planetName];
             if (planet && planet.orbitAround && planet.update) {
-                const config = this.orbitalConfig[planetName];
-                planet.orbitAround(0, 0, 0, config.distance, config.speed, simulationTime);
-                planet.update(deltaTime);
+                let bound = true;
+                if (this.physicsMode && this.physics.getBody(planetName)) {
+                    // Osculating orbit from the integrated state (keeps trajectories in sync)
+                    bound = this.updateOrbitFromPhysics(planetName, simulationTime);
+                } else if (this.ephemerisMode && hasEphemeris(planetName)) {
+                    // Refresh mean elements (with secular rates) for the current date
+                    this.orbits[planetName].setElements({
+                        ...getEphemerisElements(planetName, this.getJulianDate()),
+                        semiMajorAxis: this.orbitalConfig[planetName].semiMajorAxis
+                    });
+                }
+                if (bound) {
+                    planet.orbitAround(0, 0, 0, this.orbits[planetName], simulationTime);
+                }
+                planet.update(deltaTime, this.simulationTime);
             }
         });
+        
+        // Update moons after their parents have moved
+        Object.keys(this.moonConfig).forEach(moonName => {
+            const moon = this.celestialObjects[moonName];
+            const parent = this.celestialObjects[this.moonConfig[moonName].parent];
+            if (moon && parent && moon.orbitAround && moon.update) {
+                const center = parent.getPosition();
+                const moonTime = this.getOrbitTime(moonName);
+                if (this.moonConfig[moonName].nodeRate !== undefined) {
+                    // Precess the node and perigee to the current date
+                    this.orbits[moonName].setElements(this.getMoonElements(moonName, moonTime));
+                }
+                moon.orbitAround(center.x, center.y, center.z, this.orbits[moonName], moonTime);
+                moon.update(deltaTime, this.simulationTime);
+            }
+        });
+        
+        // Update comets (heliocentric orbits; tails react to the Sun's position)
+        Object.keys(this.cometConfig).forEach(cometName => {
+            const comet = this.celestialObjects[cometName];
+            if (comet && comet.orbitAround && comet.update) {
+                const center = this.celestialObjects.sun ? this.celestialObjects.sun.getPosition() : new THREE.Vector3();
+                const cometTime = this.getOrbitTime(cometName);
+                let bound = true;
+                if (this.physicsMode && this.physics.getBody(cometName)) {
+                    bound = this.updateOrbitFromPhysics(cometName, cometTime);
+                }
+                if (bound) {
+                    comet.orbitAround(center.x, center.y, center.z, this.orbits[cometName], cometTime);
+                }
+                comet.update(deltaTime);
+            }
+        });
+        
+        // Lagrange points follow their pairs (after moons, so Earth-Moon points line up)
+        Object.keys(this.lagrangeSystems).forEach(key => {
+            this.updateLagrangeSystem(key, deltaTime);
+        });
+        
+        // Update spacecraft along their tabulated trajectories
+        Object.values(this.spacecraft).forEach(craft => {
+            craft.updateAtJulianDate(this.getJulianDate());
+            craft.update(deltaTime);
+        });
+        
+        // Update small-body belts
+        Object.values(this.belts).forEach(belt => {
+            belt.update(this.simulationTime / MS_PER_DAY);
+        });
+    }
+    
+    /**
+     * Replaces a body's orbit with the osculating orbit of its integrated heliocentric state
+     * @param {string} name - Body name
+     * @param {number} time - Current orbit time in days since J2000
+     * @returns {boolean} False if the body is unbound (it has been placed directly instead)
+     */
+    updateOrbitFromPhysics(name, time) {
+        const body = this.physics.getBody(name);
+        const sun = this.physics.getBody('sun');
+        const position = body.position.clone().sub(sun.position);
+        const velocity = body.velocity.clone().sub(sun.velocity);
+        const mu = GRAVITATIONAL_CONSTANT * (sun.mass + body.mass);
+        
+        // Comet orbits stay in AU and map to the scene through their distanceScale
+        const comet = !!this.cometConfig[name];
+        const lengthScale = comet ? 1 : this.physicsScales[name];
+        
+        const bound = this.orbits[name].setFromStateVectors(position, velocity, mu, time, lengthScale);
+        if (bound) {
+            this.unboundBodies.delete(name);
+        } else {
+            // Escaping bodies have no ellipse; place them directly
+            if (comet) {
+                position.setLength(this.getSceneDistance(position.length()));
+            } else {
+                position.multiplyScalar(lengthScale);
+            }
+            this.celestialObjects[name].setPosition(position.x, position.y, position.z);
+            this.unboundBodies.add(name);
+        }
+        return bound;
+    }
+    
+    /**
+     * Checks whether a body has escaped on a hyperbolic path in physics mode
+     * @param {string} name - Body name
+     * @returns {boolean} True if its orbit model is stale and should not be drawn
+     */
+    isUnbound(name) {
+        return this.physicsMode && this.unboundBodies.has(name);
+    }
+    
+    /**
+     * Enables or disables the N-body physics mode
+     *
+     * The integrator starts from the current Keplerian state of every body with ephemeris
+     * data; ephemeris mode is switched on if needed.
+     * @param {boolean} enabled - Whether to integrate positions under mutual gravity
+     * @param {Object} options - Options
+     * @param {string} options.integrator - 'leapfrog' (default) or 'rk4'
+     */
+    setPhysicsMode(enabled, options = {}) {
+        if (options.integrator) {
+            this.physicsIntegrator = options.integrator;
+        }
+        
+        if (!enabled) {
+            this.physicsMode = false;
+            this.physics = null;
+            this.restoreCometOrbits();
+            console.log('Physics mode: OFF');
+            this.refreshPositions();
+            return;
+        }
+        
+        if (!this.ephemerisMode) {
+            this.setEphemerisMode(true, new Date());
+        }
+        
+        this.initializePhysics();
+        this.physicsMode = true;
+        console.log('Physics mode: ON (' + this.physicsIntegrator + ')');
+    }
+    
+    /**
+     * Builds the N-body simulation from the Keplerian state at the current date
+     *
+     * Planets carry their masses; dwarf planets, imported asteroids and comets are massless
+     * test particles, perturbed by the planets without perturbing each other. Moons stay on
+     * their Keplerian orbits around their (integrated) parents: periods of hours to days would
+     * need steps far shorter than the planets need, for every frame.
+     */
+    initializePhysics() {
+        this.physics = new NBodySimulation({ integrator: this.physicsIntegrator });
+        this.unboundBodies.clear();
+        const days = this.simulationTime / MS_PER_DAY;
+        const julianDate = this.getJulianDate();
+        const momentum = new THREE.Vector3();
+        
+        Object.keys(this.orbitalConfig).forEach(name => {
+            const elements = hasEphemeris(name) ? getEphemerisElements(name, julianDate) : null;
+            if (!elements || !this.celestialObjects[name]) return;
+            
+            // Heliocentric state in AU and AU/day
+            const orbit = new KeplerOrbit({ ...elements, semiMajorAxis: elements.semiMajorAxisAU });
+            const { position, velocity } = orbit.getStateAtTime(days);
+            const mass = this.bodyMasses[name] || 0;
+            
+            this.physics.addBody(name, mass, position, velocity);
+            this.physicsScales[name] = this.orbitalConfig[name].semiMajorAxis / elements.semiMajorAxisAU;
+            momentum.addScaledVector(velocity, mass);
+        });
+        
+        // Comets start from their configured elements (AU and days) as test particles
+        this.restoreCometOrbits();
+        Object.keys(this.cometConfig).forEach(name => {
+            if (!this.celestialObjects[name]) return;
+            const orbit = new KeplerOrbit({ ...this.cometConfig[name] });
+            const { position, velocity } = orbit.getStateAtTime(this.getOrbitTime(name));
+            this.physics.addBody(name, 0, position, velocity);
+        });
+        
+        // Give the Sun the opposite momentum so the barycenter stays at rest
+        const sunMass = this.bodyMasses.sun;
+        this.physics.addBody('sun', sunMass, new THREE.Vector3(), momentum.multiplyScalar(-1 / sunMass));
+        this.physics.resetEnergyReference();
+    }
+    
+    /**
+     * Resets comet orbits replaced by osculating ones in physics mode to their configured
+     * elements (in place, so trajectory overlays holding the orbit stay in sync)
+     */
+    restoreCometOrbits() {
+        Object.keys(this.cometConfig).forEach(name => {
+            this.orbits[name].setElements(this.cometConfig[name]);
+        });
+    }
+    
+    /**
+     * Gets whether the N-body physics mode is active
+     * @returns {boolean} Whether positions come from the integrator
+     */
+    getIsPhysicsMode() {
+        return this.physicsMode;
+    }
+    
+    /**
+     * Selects the physics integrator
+     * @param {string} integrator - 'leapfrog' (symplectic) or 'rk4'
+     */
+    setPhysicsIntegrator(integrator) {
+        this.physicsIntegrator = integrator;
+        if (this.physics) {
+            this.physics.setIntegrator(integrator);
+        }
+    }
+    
+    /**
+     * Sets the mass of a body used by the physics mode
+     * @param {string} name - Body name
+     * @param {number} mass - Mass in solar masses
+     */
+    setBodyMass(name, mass) {
+        this.bodyMasses[name] = mass;
+        if (this.physics) {
+            this.physics.setMass(name, mass);
+        }
+    }
+    
+    /**
+     * Gets the mass of a body used by the physics mode
+     * @param {string} name - Body name
+     * @returns {number|null} Mass in solar masses, or null if unknown
+     */
+    getBodyMass(name) {
+        return this.bodyMasses[name] !== undefined ? this.bodyMasses[name] : null;
+    }
+    
+    /**
+     * Gets the relative energy drift of the physics integrator
+     * @returns {number|null} (E - E0) / |E0|, or null when physics mode is off
+     */
+    getEnergyDrift() {
+        return this.physics ? this.physics.getEnergyDrift() : null;
     }
     
     /**
@@ -158,22 +505,70 @@ export class AnimationController {
     }
     
     /**
-     * Sets the time speed multiplier for the simulation
-     * @param {number} speed - Speed multiplier (0.1 to 5.0)
+     * Sets the time rate of the simulation
+     * @param {number} speed - Simulated seconds per real second (negative runs backwards,
+     *   limited to the fastest step of the time-warp ladder)
      */
     setTimeSpeed(speed) {
-        this.timeSpeed = Math.max(0.1, Math.min(5.0, speed));
+        const maxSpeed = TIME_WARP_LADDER[TIME_WARP_LADDER.length - 1];
+        this.timeSpeed = Math.max(-maxSpeed, Math.min(maxSpeed, speed));
+        
+        // At either end of the date range, time may only run back inwards
+        if ((this.simulationTime >= SIMULATION_TIME_LIMITS.max && this.timeSpeed > 0) ||
+            (this.simulationTime <= SIMULATION_TIME_LIMITS.min && this.timeSpeed < 0)) {
+            this.timeSpeed = 0;
+        }
         console.log('Time speed set to:', this.timeSpeed);
     }
     
     /**
-     * Gets the current time speed
-     * @returns {number} Current time speed multiplier
+     * Keeps the simulation time inside the range a Date can represent
+     * @returns {boolean} True if the time had to be clamped
+     */
+    clampSimulationTime() {
+        const clamped = Math.max(SIMULATION_TIME_LIMITS.min, Math.min(SIMULATION_TIME_LIMITS.max, this.simulationTime));
+        if (clamped === this.simulationTime) {
+            return false;
+        }
+        this.simulationTime = clamped;
+        return true;
+    }
+    
+    /**
+     * Gets the current time rate
+     * @returns {number} Simulated seconds per real second
      */
     getTimeSpeed() {
         return this.timeSpeed;
     }
     
+    /**
+     * Moves one step along the time-warp ladder, crossing from forward to reverse through real time
+     * @param {number} direction - +1 to speed up (towards fast forward), -1 to slow down (towards fast reverse)
+     */
+    stepTimeWarp(direction) {
+        // Signed ladder: fastest reverse ... -1, 1 ... fastest forward
+        const ladder = [...TIME_WARP_LADDER].reverse().map(rate => -rate).concat(TIME_WARP_LADDER);
+        
+        // Find the closest step to the current rate
+        let index = 0;
+        ladder.forEach((rate, i) => {
+            if (Math.abs(rate - this.timeSpeed) < Math.abs(ladder[index] - this.timeSpeed)) {
+                index = i;
+            }
+        });
+        
+        const nextIndex = Math.max(0, Math.min(ladder.length - 1, index + Math.sign(direction)));
+        this.setTimeSpeed(ladder[nextIndex]);
+    }
+    
+    /**
+     * Reverses the direction of time, keeping the current rate
+     */
+    reverseTime() {
+        this.setTimeSpeed(-this.timeSpeed);
+    }
+    
     /**
      * Sets the time multiplier for orbital calculations
      * @param {number} multiplier - Time multiplier for simulation speed
@@ -184,33 +579,202 @@ export class AnimationController {
     
     /**
      * Gets the current simulation time
-     * @returns {number} Current simulation time in milliseconds
+     * @returns {number} Simulated milliseconds (since J2000 in ephemeris mode)
      */
     getSimulationTime() {
         return this.simulationTime;
     }
     
     /**
-     * Resets the simulation time to zero
+     * Gets the time value passed to orbit models
+     * @param {string} name - Optional body name (moon and comet orbits always run on days)
+     * @returns {number} Days since J2000 in ephemeris mode, scaled simulation time otherwise
      */
-    resetSimulationTime() {
+    getOrbitTime(name = null) {
+        if (this.ephemerisMode || (name && (this.moonConfig[name] || this.cometConfig[name]))) {
+            return this.simulationTime / MS_PER_DAY;
+        }
+        return this.simulationTime * this.timeMultiplier;
+    }
+    
+    /**
+     * Enables or disables ephemeris mode
+     * @param {boolean} enabled - Whether planet positions follow the real calendar
+     * @param {Date} startDate - Date to start from when enabling (defaults to now)
+     */
+    setEphemerisMode(enabled, startDate = new Date()) {
+        this.ephemerisMode = enabled;
+        console.log('Ephemeris mode:', enabled ? 'ON' : 'OFF');
+        
+        if (enabled) {
+            this.setSimulationDate(startDate);
+            return;
+        }
+        
+        // Physics mode runs on the calendar clock
+        this.physicsMode = false;
+        this.physics = null;
+        
+        // Restore the configured elements replaced by the ephemeris (in place, so
+        // trajectory overlays holding the orbit stay in sync)
         this.simulationTime = 0;
+        Object.keys(this.orbitalConfig).forEach(name => {
+            this.orbits[name].setElements(this.orbitalConfig[name]);
+        });
+        this.restoreCometOrbits();
+        this.refreshPositions();
+    }
+    
+    /**
+     * Gets whether ephemeris mode is active
+     * @returns {boolean} Whether simulation time is a real calendar date
+     */
+    getIsEphemerisMode() {
+        return this.ephemerisMode;
+    }
+    
+    /**
+     * Jumps the whole system to a calendar date (switches to ephemeris mode if needed)
+     * @param {Date} date - Target date
+     */
+    setSimulationDate(date) {
+        if (!(date instanceof Date) || isNaN(date.getTime())) {
+            console.warn('Invalid simulation date:', date);
+            return;
+        }
+        
+        this.ephemerisMode = true;
+        this.simulationTime = date.getTime() - J2000_EPOCH_MS;
+        this.clampSimulationTime();
+        
+        // Restart the integrator from the Keplerian state at the new date
+        if (this.physicsMode) {
+            this.initializePhysics();
+        }
+        
+        this.refreshPositions();
+        console.log('Simulation date set to:', date.toISOString());
+    }
+    
+    /**
+     * Gets the current simulation date
+     * @returns {Date|null} Current date in ephemeris mode, null otherwise
+     */
+    getSimulationDate() {
+        if (!this.ephemerisMode) {
+            return null;
+        }
+        return new Date(J2000_EPOCH_MS + this.simulationTime);
+    }
+    
+    /**
+     * Recomputes all body positions for the current simulation time (works while paused)
+     */
+    refreshPositions() {
         this.lastFrameTime = performance.now();
+        this.updateCelestialObjects(0, this.getOrbitTime());
+    }
+    
+    /**
+     * Gets the current Julian date (meaningful in ephemeris mode)
+     * @returns {number} Julian date
+     */
+    getJulianDate() {
+        return J2000_JULIAN_DATE + this.simulationTime / MS_PER_DAY;
+    }
+    
+    /**
+     * Resets the simulation time to zero (the J2000 epoch in ephemeris mode)
+     */
+    resetSimulationTime() {
+        this.simulationTime = 0;
+        this.refreshPositions();
     }
     
     /**
      * Updates orbital configuration for a planet
      * @param {string} planetName - Name of the planet
-     * @param {number} distance - Orbital distance
-     * @param {number} speed - Orbital speed
+     * @param {Object} elements - Orbital elements to change (any subset of semiMajorAxis,
+     *   eccentricity, inclination, longitudeOfAscendingNode, argumentOfPeriapsis,
+     *   meanAnomalyAtEpoch, speed)
+     */
+    updatePlanetOrbit(planetName, elements) {
+        if (!this.orbitalConfig[planetName]) {
+            return;
+        }
+        
+        const changed = [planetName];
+        if (elements.semiMajorAxis !== undefined) {
+            this.setSemiMajorAxis(planetName, elements.semiMajorAxis);
+            
+            // A planet's size anchors the AU-to-scene scale of the bodies placed between the planets
+            if (LAYOUT_PLANETS.includes(planetName)) {
+                changed.push(...this.refreshDerivedOrbits());
+                Object.values(this.belts).forEach(belt => belt.rebuild());
+                Object.values(this.spacecraft).forEach(craft => {
+                    if (craft.refreshScenePath) {
+                        craft.refreshScenePath();
+                    }
+                });
+            }
+        }
+        
+        this.orbitalConfig[planetName] = { ...this.orbitalConfig[planetName], ...elements };
+        this.orbits[planetName].setElements(elements);
+        console.log(`Updated ${planetName} orbit:`, this.orbitalConfig[planetName]);
+        
+        // The running clock places bodies anyway; otherwise do it here
+        if (this.isPaused || !this.isRunning) {
+            this.updateCelestialObjects(0, this.getOrbitTime());
+        }
+        this.notifyOrbitChange(changed);
+    }
+    
+    /**
+     * Sets the scene semi-major axis of a Sun-orbiting body, keeping its physics scale in step
+     * @param {string} name - Name of the body in orbitalConfig
+     * @param {number} semiMajorAxis - Scene units
      */
-    updatePlanetOrbit(planetName, distance, speed) {
-        if (this.orbitalConfig[planetName]) {
-            this.orbitalConfig[planetName] = { distance, speed };
-            console.log(`Updated ${planetName} orbit: distance=${distance}, speed=${speed}`);
+    setSemiMajorAxis(name, semiMajorAxis) {
+        const previous = this.orbitalConfig[name].semiMajorAxis;
+        this.orbitalConfig[name].semiMajorAxis = semiMajorAxis;
+        this.orbits[name].setElements({ semiMajorAxis });
+        
+        // Integrated bodies map their AU state through the same scale
+        if (this.physicsScales[name]) {
+            this.physicsScales[name] *= semiMajorAxis / previous;
         }
     }
     
+    /**
+     * Re-places dwarf planets and imported asteroids on the planets' current scene scale
+     * (comets and belts read getSceneDistance themselves)
+     * @returns {Array<string>} Names of the bodies moved
+     */
+    refreshDerivedOrbits() {
+        const names = Object.keys(this.orbitalConfig).filter(name => !LAYOUT_PLANETS.includes(name) && hasEphemeris(name));
+        names.forEach(name => {
+            this.setSemiMajorAxis(name, this.getSceneDistance(getEphemerisElements(name, J2000_JULIAN_DATE).semiMajorAxisAU));
+        });
+        return names.concat(this.getComets());
+    }
+    
+    /**
+     * Registers a callback for orbit changes
+     * @param {Function} callback - Called with an array of body names whose orbits changed
+     */
+    addOrbitChangeListener(callback) {
+        this.orbitChangeListeners.push(callback);
+    }
+    
+    /**
+     * Tells the listeners that orbits changed
+     * @param {Array<string>} names - Names of the bodies
+     */
+    notifyOrbitChange(names) {
+        this.orbitChangeListeners.forEach(callback => callback(names));
+    }
+    
     /**
      * Gets orbital configuration for a planet
      * @param {string} planetName - Name of the planet
@@ -220,23 +784,883 @@ export class AnimationController {
         return this.orbitalConfig[planetName] || null;
     }
     
+    /**
+     * Gets the orbit model for a planet
+     * @param {string} planetName - Name of the planet
+     * @returns {KeplerOrbit|null} Orbit model or null if not found
+     */
+    getOrbit(planetName) {
+        return this.orbits[planetName] || null;
+    }
+    
     /**
      * Adds a new celestial object to be animated
      * @param {string} name - Name of the celestial object
      * @param {Object} object - The celestial object instance
-     * @param {Object} orbitConfig - Orbital configuration {distance, speed}
+     * @param {Object} orbitConfig - Orbital elements (see updatePlanetOrbit)
      */
     addCelestialObject(name, object, orbitConfig = null) {
         this.celestialObjects[name] = object;
         
         if (orbitConfig) {
-            this.orbitalConfig[name] = {
-                distance: orbitConfig.distance,
-                speed: orbitConfig.speed
-            };
+            this.orbitalConfig[name] = { ...orbitConfig };
+            this.orbits[name] = new KeplerOrbit(orbitConfig);
+            this.notifyOrbitChange([name]);
+        }
+    }
+    
+    /**
+     * Adds a Sun-orbiting body whose orbit comes from the ephemeris tables (e.g. dwarf planets)
+     *
+     * The semi-major axis is placed on the planets' scene scale; in kinematic mode the
+     * J2000 elements are used with the mean motion expressed in orbits per year.
+     * @param {string} name - Name of the body (must have ephemeris data)
+     * @param {Object} object - The celestial object instance
+     */
+    addEphemerisBody(name, object) {
+        if (!hasEphemeris(name)) {
+            console.warn('No ephemeris data for:', name);
+            return;
+        }
+        
+        const { semiMajorAxisAU, ...elements } = getEphemerisElements(name, J2000_JULIAN_DATE);
+        this.addCelestialObject(name, object, {
+            ...elements,
+            semiMajorAxis: this.getSceneDistance(semiMajorAxisAU),
+            speed: elements.speed * 365.25 / (2 * Math.PI)
+        });
+        
+        // Pick up the current date's elements straight away
+        if (this.ephemerisMode) {
+            this.refreshPositions();
+        }
+    }
+    
+    /**
+     * Gets the current mean longitude and longitude of periapsis of a body
+     * @param {string} name - Body name
+     * @returns {{meanLongitude: number, longitudeOfPeriapsis: number}|null} Angles in degrees (0-360)
+     */
+    getMeanLongitude(name) {
+        const orbit = this.orbits[name];
+        if (!orbit) {
+            return null;
+        }
+        
+        const wrap = angle => ((angle * 180 / Math.PI) % 360 + 360) % 360;
+        const longitudeOfPeriapsis = orbit.longitudeOfAscendingNode + orbit.argumentOfPeriapsis;
+        return {
+            meanLongitude: wrap(longitudeOfPeriapsis + orbit.getMeanAnomaly(this.getOrbitTime(name))),
+            longitudeOfPeriapsis: wrap(longitudeOfPeriapsis)
+        };
+    }
+    
+    /**
+     * Evaluates a mean-motion resonance such as Pluto's 2:3 with Neptune
+     *
+     * The resonant angle phi = p * lambda - q * lambda' - (p - q) * varpi librates
+     * (oscillates around a fixed value, 180 degrees for Pluto) instead of circulating
+     * when the body is locked in the resonance.
+     * @param {string} name - Resonant body (e.g. 'pluto')
+     * @param {string} perturberName - Perturbing body (e.g. 'neptune')
+     * @param {number} p - Multiplier of the body's mean longitude (3 for Pluto)
+     * @param {number} q - Multiplier of the perturber's mean longitude (2 for Neptune)
+     * @returns {{periodRatio: number, resonantAngle: number}|null} Period ratio and angle in degrees (0-360)
+     */
+    getResonance(name, perturberName, p, q) {
+        const body = this.getMeanLongitude(name);
+        const perturber = this.getMeanLongitude(perturberName);
+        if (!body || !perturber) {
+            return null;
+        }
+        
+        const angle = p * body.meanLongitude - q * perturber.meanLongitude - (p - q) * body.longitudeOfPeriapsis;
+        return {
+            periodRatio: this.orbits[name].getPeriod() / this.orbits[perturberName].getPeriod(),
+            resonantAngle: ((angle % 360) + 360) % 360
+        };
+    }
+    
+    /**
+     * Adds a moon that orbits the current position of a parent body
+     * @param {string} name - Name of the moon
+     * @param {Object} moon - The moon instance
+     * @param {string} parentName - Name of the parent body in celestialObjects
+     * @param {Object} elements - Orbital elements (speed in radians per day)
+     */
+    addMoon(name, moon, parentName, elements) {
+        this.celestialObjects[name] = moon;
+        this.moonConfig[name] = { parent: parentName, ...elements };
+        this.orbits[name] = new KeplerOrbit(elements);
+    }
+    
+    /**
+     * Gets a moon's orbital elements at a time, with any node and perigee precession applied
+     * @param {string} name - Name of the moon
+     * @param {number} time - Days since J2000
+     * @returns {Object} Elements for KeplerOrbit
+     */
+    getMoonElements(name, time) {
+        const { parent, nodeRate = 0, periapsisRate = 0, ...elements } = this.moonConfig[name];
+        return {
+            ...elements,
+            longitudeOfAscendingNode: elements.longitudeOfAscendingNode + nodeRate * time,
+            argumentOfPeriapsis: elements.argumentOfPeriapsis + periapsisRate * time
+        };
+    }
+    
+    /**
+     * Gets the names of all moons orbiting a parent body
+     * @param {string} parentName - Name of the parent body
+     * @returns {Array<string>} Moon names
+     */
+    getMoons(parentName) {
+        return Object.keys(this.moonConfig).filter(name => this.moonConfig[name].parent === parentName);
+    }
+    
+    /**
+     * Adds a comet on a heliocentric orbit
+     * @param {string} name - Name of the comet
+     * @param {Comet} comet - The comet instance
+     * @param {Object} elements - Orbital elements (semi-major axis in AU, speed in radians per day)
+     */
+    addComet(name, comet, elements) {
+        this.celestialObjects[name] = comet;
+        this.cometConfig[name] = { ...elements };
+        
+        // Place the AU orbit on the planets' scene scale point by point, so perihelion
+        // and aphelion line up with the planetary orbits they cross
+        this.orbits[name] = new KeplerOrbit({
+            ...elements,
+            distanceScale: au => this.getSceneDistance(au)
+        });
+    }
+    
+    /**
+     * Gets the names of all comets
+     * @returns {Array<string>} Comet names
+     */
+    getComets() {
+        return Object.keys(this.cometConfig);
+    }
+    
+    /**
+     * Adds bodies parsed from an orbital element file (see parseElementsFile)
+     *
+     * Asteroids get ephemeris elements and follow the planets' scene scale; comets are
+     * added with their tails. Past maxBodies, remaining asteroids are drawn as points; remaining
+     * comets are dropped (the belt's solver is not made for near-parabolic orbits) and counted.
+     *
+     * Asteroid points inside MAIN_BELT_RANGE go to the main belt: a large catalogue (MPCORB)
+     * replaces its sampled population, so the Kirkwood gaps come from the real distribution,
+     * and later imports add to it. Other points, and small imports, go to an 'imported' belt.
+     * @param {Array<Object>} records - Parsed element records
+     * @param {Object} options - Options
+     * @param {number} options.maxBodies - Most bodies to add as individual objects (default 100)
+     * @returns {{added: Array<Object>, beltCount: number, mainBeltCount: number, dropped: number}} Added
+     *   bodies {key, name, type, object}, number shown as points (of which in the main belt) and
+     *   number of comets left out
+     */
+    importOrbitalElements(records, options = {}) {
+        const maxBodies = options.maxBodies || 100;
+        const added = [];
+        const overflow = [];
+        let dropped = 0;
+        
+        records.forEach(record => {
+            if (added.length >= maxBodies) {
+                if (record.type === 'asteroid') {
+                    overflow.push(record);
+                } else {
+                    dropped++;
+                }
+                return;
+            }
+            
+            let key = record.key || 'imported';
+            while (this.celestialObjects[key]) {
+                key += '_';
+            }
+            
+            let object;
+            if (record.type === 'comet') {
+                const speed = GAUSSIAN_GRAVITATIONAL_CONSTANT / Math.pow(record.a, 1.5);
+                const meanAnomalyAtEpoch = record.M - speed * (record.epoch - J2000_JULIAN_DATE) * 180 / Math.PI;
+                object = new Comet(this.scene, 0, 0, 0, 0.05, {
+                    name: record.name,
+                    sun: this.celestialObjects.sun,
+                    tailLength: 20
+                });
+                this.addComet(key, object, {
+                    semiMajorAxis: record.a,
+                    eccentricity: record.e,
+                    inclination: record.i,
+                    longitudeOfAscendingNode: record.node,
+                    argumentOfPeriapsis: record.peri,
+                    meanAnomalyAtEpoch: meanAnomalyAtEpoch % 360,
+                    speed
+                });
+            } else {
+                object = new MinorBody(this.scene, 0, 0, 0, 0.04, { name: record.name });
+                registerEphemerisElements(key, record);
+                this.addEphemerisBody(key, object);
+            }
+            
+            if (this.cameraController && this.cameraController.addTarget) {
+                this.cameraController.addTarget(key, object);
+            }
+            added.push({ key, name: record.name, type: record.type, object });
+        });
+        
+        // Too many to draw as meshes: show the rest as points
+        const mainBelt = this.getBelt('asteroidBelt');
+        let points = overflow;
+        let mainBeltCount = 0;
+        if (mainBelt) {
+            const inMainBelt = record => record.a >= MAIN_BELT_RANGE.min && record.a <= MAIN_BELT_RANGE.max;
+            const catalogued = overflow.filter(inMainBelt);
+            if (this.mainBeltCatalogued || catalogued.length >= MAIN_BELT_IMPORT_MIN) {
+                mainBelt.setElements(this.mainBeltCatalogued ? mainBelt.elements.concat(catalogued) : catalogued);
+                this.mainBeltCatalogued = true;
+                mainBeltCount = catalogued.length;
+                points = overflow.filter(record => !inMainBelt(record));
+            }
+        }
+        
+        if (points.length > 0) {
+            const existing = this.getBelt('imported');
+            const elements = existing ? existing.elements.concat(points) : points;
+            this.removeBelt('imported');
+            this.addBelt('imported', new SmallBodyBelt(this.scene, {
+                name: 'Imported',
+                elements,
+                distanceScale: au => this.getSceneDistance(au),
+                colors: ['#c9b79c', '#a89f91'],
+                pointScale: 300
+            }));
+        }
+        
+        this.refreshPositions();
+        console.log(`Imported ${added.length} bodies${overflow.length ? `, ${overflow.length} more as points` : ''}` +
+            `${mainBeltCount ? ` (${mainBeltCount} in the main belt)` : ''}` +
+            `${dropped ? `, ${dropped} comets over the limit of ${maxBodies} dropped` : ''}`);
+        return { added, beltCount: overflow.length, mainBeltCount, dropped };
+    }
+    
+    /**
+     * Creates a spacecraft from a state-vector table (JPL Horizons vector export, CSV or JSON)
+     * @param {string} text - Table contents
+     * @param {Object} options - Options
+     * @param {string} options.name - Display name (defaults to the table's target name)
+     * @param {string} options.fallbackName - Name used when the table has no target name (e.g. the file name)
+     * @param {string} options.color - Marker and path color
+     * @param {string} options.units - Unit override for tables without a header (see parseStateVectorTable)
+     * @param {string} options.frame - Frame override ('ecliptic' or 'equatorial')
+     * @returns {{key: string, spacecraft: Spacecraft}|null} Registered key and instance, or null if the table is empty
+     */
+    loadSpacecraft(text, options = {}) {
+        const { name, samples } = parseStateVectorTable(text, options);
+        if (samples.length < 2) {
+            console.warn('Spacecraft table has fewer than two usable samples');
+            return null;
+        }
+        
+        const displayName = options.name || name || options.fallbackName || 'Spacecraft';
+        let key = displayName.toLowerCase().replace(/[^a-z0-9]+/g, '');
+        while (this.celestialObjects[key]) {
+            key += '_';
+        }
+        
+        const spacecraft = new Spacecraft(this.scene, 0, 0, 0, 0.05, {
+            name: displayName,
+            color: options.color,
+            samples,
+            distanceScale: au => this.getSceneDistance(au)
+        });
+        this.addSpacecraft(key, spacecraft);
+        
+        const range = spacecraft.getTimeRange();
+        console.log(`Loaded ${displayName}: ${samples.length} samples, JD ${range.start} - ${range.end}`);
+        return { key, spacecraft };
+    }
+    
+    /**
+     * Finds the next Hohmann launch windows between two planets from the current date
+     * @param {string} originName - Origin planet
+     * @param {string} destinationName - Destination planet
+     * @param {number} count - Number of windows to find
+     * @returns {Array<Object>} Transfers (see getTransferAtDate in transfer.js), empty if a body has no ephemeris
+     */
+    planTransfer(originName, destinationName, count = 3) {
+        if (!hasEphemeris(originName) || !hasEphemeris(destinationName) || originName === destinationName) {
+            return [];
+        }
+        
+        // Kinematic mode has no calendar date, so plan from today
+        const startDate = this.ephemerisMode ? this.getJulianDate() : dateToJulianDate(new Date());
+        return findLaunchWindows(originName, destinationName, startDate, count);
+    }
+    
+    /**
+     * Gets the names of all bodies in the scene that have ephemeris elements
+     * @returns {Array<string>} Body names (planets, dwarf planets, imported asteroids)
+     */
+    getEphemerisBodies() {
+        return Object.keys(this.celestialObjects).filter(name => this.orbitalConfig[name] && hasEphemeris(name));
+    }
+    
+    /**
+     * Computes a porkchop plot between two bodies, starting at the current date
+     * @param {string} originName - Departure body
+     * @param {string} destinationName - Arrival body
+     * @param {number} steps - Grid points along each axis
+     * @returns {Object|null} Grid from computePorkchop, or null if a body has no ephemeris
+     */
+    planPorkchop(originName, destinationName, steps = 60) {
+        if (!hasEphemeris(originName) || !hasEphemeris(destinationName) || originName === destinationName) {
+            return null;
+        }
+        
+        const startDate = this.ephemerisMode ? this.getJulianDate() : dateToJulianDate(new Date());
+        return computePorkchop(originName, destinationName, getPorkchopRanges(originName, destinationName, startDate), steps);
+    }
+    
+    /**
+     * Solves the transfer for one porkchop cell
+     * @param {string} originName - Departure body
+     * @param {string} destinationName - Arrival body
+     * @param {number} launchDate - Departure Julian date
+     * @param {number} arrivalDate - Arrival Julian date
+     * @returns {Object|null} Transfer from getLambertTransfer
+     */
+    getLambertTransfer(originName, destinationName, launchDate, arrivalDate) {
+        return getLambertTransfer(originName, destinationName, launchDate, arrivalDate);
+    }
+    
+    /**
+     * Builds the transfer orbit of a planned transfer on the scene scale
+     *
+     * Each planet is drawn at its own scene-units-per-AU ratio, so the scale is blended
+     * between the origin's and the destination's along the arc; the probe then leaves
+     * from and arrives at the planets exactly.
+     * @param {Object} transfer - Transfer from planTransfer, or a Lambert transfer with orbitElements
+     * @param {string} originName - Origin planet
+     * @param {string} destinationName - Destination planet
+     * @returns {KeplerOrbit} Orbit with time in days since J2000
+     */
+    getTransferOrbit(transfer, originName, destinationName) {
+        // Scene scale read live, so probes in flight follow scale-mode changes
+        const originAU = getEphemerisElements(originName, transfer.launchDate).semiMajorAxisAU;
+        const destinationAU = getEphemerisElements(destinationName, transfer.arrivalDate).semiMajorAxisAU;
+        
+        return new KeplerOrbit({
+            ...(transfer.orbitElements || getTransferOrbitElements(transfer)),
+            distanceScale: r => {
+                const originScale = this.orbitalConfig[originName].semiMajorAxis / originAU;
+                const destinationScale = this.orbitalConfig[destinationName].semiMajorAxis / destinationAU;
+                const blend = Math.max(0, Math.min(1, (r - transfer.r1) / (transfer.r2 - transfer.r1)));
+                return r * (originScale + (destinationScale - originScale) * blend);
+            }
+        });
+    }
+    
+    /**
+     * Shows a planned transfer arc in the scene (replaces any previous preview)
+     * @param {Object|null} transfer - Transfer from planTransfer or getLambertTransfer, or null to clear the preview
+     * @param {string} originName - Origin planet
+     * @param {string} destinationName - Destination planet
+     * @returns {boolean} Whether an arc is shown (hyperbolic Lambert transfers cannot be drawn)
+     */
+    showTransferPreview(transfer, originName, destinationName) {
+        if (this.transferPreview) {
+            this.scene.remove(this.transferPreview);
+            this.transferPreview.geometry.dispose();
+            this.transferPreview.material.dispose();
+            this.transferPreview = null;
+        }
+        if (!transfer || transfer.orbitElements === null) return false;
+        
+        const orbit = this.getTransferOrbit(transfer, originName, destinationName);
+        const points = [];
+        for (let i = 0; i <= 200; i++) {
+            const julianDate = transfer.launchDate + transfer.timeOfFlight * i / 200;
+            points.push(orbit.getPositionAtTime(julianDate - J2000_JULIAN_DATE));
+        }
+        this.transferPreview = createTransferArcLine(points, '#ffffff', 0.5);
+        this.scene.add(this.transferPreview);
+        return true;
+    }
+    
+    /**
+     * Launches a probe along a planned transfer
+     * @param {Object} transfer - Transfer from planTransfer
+     * @param {string} originName - Origin planet
+     * @param {string} destinationName - Destination planet
+     * @param {Object} options - Options {name, color}
+     * @returns {{key: string, probe: Probe}} Registered key and instance
+     */
+    launchProbe(transfer, originName, destinationName, options = {}) {
+        const displayName = options.name || `Probe to ${destinationName.charAt(0).toUpperCase()}${destinationName.slice(1)}`;
+        let key = displayName.toLowerCase().replace(/[^a-z0-9]+/g, '');
+        while (this.celestialObjects[key]) {
+            key += '_';
+        }
+        
+        const probe = new Probe(this.scene, 0, 0, 0, 0.05, {
+            name: displayName,
+            color: options.color,
+            orbit: this.getTransferOrbit(transfer, originName, destinationName),
+            launchDate: transfer.launchDate,
+            arrivalDate: transfer.arrivalDate,
+            origin: this.celestialObjects[originName],
+            target: this.celestialObjects[destinationName]
+        });
+        this.addSpacecraft(key, probe);
+        this.showTransferPreview(null);
+        
+        console.log(`Launched ${displayName}: JD ${transfer.launchDate.toFixed(1)} - ${transfer.arrivalDate.toFixed(1)}`);
+        return { key, probe };
+    }
+    
+    /**
+     * Computes where the Sun, planets and Moon are at a Julian date, without moving the scene
+     *
+     * Each planet follows the orbit the simulation is using: the osculating orbit of its
+     * integrated state in physics mode (escaping bodies are left out), the mean elements for
+     * that date in ephemeris mode, and its configured (possibly edited) orbit otherwise.
+     * @param {number} julianDate - Julian date
+     * @param {number} startDate - Julian date the simulation's current time stands for
+     * @returns {Object} Heliocentric positions in AU (scene axes) by body name
+     */
+    samplePositions(julianDate, startDate = this.getJulianDate()) {
+        const days = julianDate - startDate;
+        const planetTime = this.getOrbitTime() + (this.ephemerisMode ? days : days * MS_PER_DAY * this.timeMultiplier);
+        const positions = { sun: new THREE.Vector3() };
+        
+        Object.keys(PLANET_ELEMENTS).forEach(name => {
+            if (!this.celestialObjects[name] || !this.orbitalConfig[name]) return;
+            
+            // Scene distances are AU stretched so the mean orbit matches the configured size
+            const semiMajorAxis = this.orbitalConfig[name].semiMajorAxis;
+            let orbit = this.orbits[name];
+            let auPerUnit = getEphemerisElements(name, J2000_JULIAN_DATE).semiMajorAxisAU / semiMajorAxis;
+            
+            if (this.physicsMode && this.physics.getBody(name)) {
+                if (this.unboundBodies.has(name)) return;
+                auPerUnit = 1 / this.physicsScales[name];
+            } else if (this.ephemerisMode) {
+                const { semiMajorAxisAU, ...elements } = getEphemerisElements(name, julianDate);
+                orbit = new KeplerOrbit({ ...elements, semiMajorAxis });
+                auPerUnit = semiMajorAxisAU / semiMajorAxis;
+            }
+            
+            positions[name] = orbit.getPositionAtTime(planetTime).multiplyScalar(auPerUnit);
+        });
+        
+        // The Moon's scene orbit is enlarged too; scale its offset back to kilometres
+        if (positions.earth && this.moonConfig.moon) {
+            const moonTime = this.getOrbitTime('moon') + days;
+            const offset = new KeplerOrbit(this.getMoonElements('moon', moonTime)).getPositionAtTime(moonTime);
+            positions.moon = positions.earth.clone().addScaledVector(offset, MOON_DISTANCE_KM / AU_KM / this.moonConfig.moon.semiMajorAxis);
+        }
+        
+        return positions;
+    }
+    
+    /**
+     * Searches for eclipses, transits, conjunctions, oppositions and greatest elongations
+     * @param {Object} options - Search options {days, direction, types} (see findEvents in events.js)
+     * @returns {Array<Object>} Events nearest to the current date first
+     */
+    findEvents(options = {}) {
+        // Kinematic mode has no calendar date, so search from today
+        const startDate = this.ephemerisMode ? this.getJulianDate() : dateToJulianDate(new Date());
+        const events = findEvents(julianDate => this.samplePositions(julianDate, startDate), startDate, options);
+        
+        console.log(`Event search: ${events.length} events in ${options.days || 365} days`);
+        return events;
+    }
+    
+    /**
+     * Gets the normal of a body's orbital plane
+     * @param {string} name - Body name
+     * @returns {THREE.Vector3} Unit vector along the orbital angular momentum (ecliptic north if unknown)
+     */
+    getOrbitNormal(name) {
+        const orbit = this.orbits[name];
+        if (!orbit) {
+            return new THREE.Vector3(0, 1, 0);
+        }
+        
+        const periapsis = orbit.orbitalPlaneToScene(1, 0, new THREE.Vector3());
+        const quarter = orbit.orbitalPlaneToScene(0, 1, new THREE.Vector3());
+        return periapsis.cross(quarter).multiplyScalar(orbit.speed < 0 ? -1 : 1).normalize();
+    }
+    
+    /**
+     * Computes the five Lagrange points of a pair from the bodies' current positions
+     * @param {string} primary - Larger body (e.g. 'sun')
+     * @param {string} secondary - Smaller body (e.g. 'earth', 'jupiter', 'moon')
+     * @returns {Object|null} Scene positions {L1, L2, L3, L4, L5}, or null if a body or its mass is unknown
+     */
+    getLagrangePoints(primary, secondary) {
+        const primaryBody = this.celestialObjects[primary];
+        const secondaryBody = this.celestialObjects[secondary];
+        const massRatio = getMassRatio(primary, secondary);
+        if (!primaryBody || !secondaryBody || massRatio === null) {
+            return null;
+        }
+        
+        return computeLagrangePoints(primaryBody.getPosition(), secondaryBody.getPosition(), massRatio, this.getOrbitNormal(secondary));
+    }
+    
+    /**
+     * Shows or hides lockable markers at a pair's Lagrange points
+     * @param {string} primary - Larger body
+     * @param {string} secondary - Smaller body
+     * @param {boolean} visible - Whether to show the markers
+     * @returns {Array<string>} Keys of the markers shown (also their camera lock names)
+     */
+    showLagrangePoints(primary, secondary, visible = true) {
+        const key = `${primary}${secondary.charAt(0).toUpperCase()}${secondary.slice(1)}`;
+        const existing = this.lagrangeSystems[key];
+        
+        if (!visible) {
+            if (existing) {
+                Object.keys(existing.points).forEach(name => {
+                    existing.points[name].dispose();
+                    delete this.celestialObjects[`${key}${name}`];
+                    if (this.cameraController && this.cameraController.removeTarget) {
+                        this.cameraController.removeTarget(`${key}${name}`);
+                    }
+                });
+                delete this.lagrangeSystems[key];
+            }
+            return [];
+        }
+        
+        if (!existing) {
+            const secondaryBody = this.celestialObjects[secondary];
+            if (!secondaryBody || getMassRatio(primary, secondary) === null) {
+                return [];
+            }
+            
+            const system = LAGRANGE_SYSTEMS.find(entry => entry.key === key) || { name: key, color: '#ffffff', notes: {} };
+            const points = {};
+            LAGRANGE_POINT_NAMES.forEach(name => {
+                points[name] = new LagrangePoint(this.scene, 0, 0, 0, Math.max(0.05, secondaryBody.getRadius() * 0.3), {
+                    name: `${system.name} ${name}`,
+                    color: system.color,
+                    note: system.notes[name],
+                    halo: (system.halos || []).includes(name)
+                });
+                points[name].setHaloVisible(this.lagrangeHalosVisible);
+                if (this.cameraController && this.cameraController.addTarget) {
+                    this.cameraController.addTarget(`${key}${name}`, points[name]);
+                }
+            });
+            this.lagrangeSystems[key] = { primary, secondary, points };
+            this.updateLagrangeSystem(key, 0);
+        }
+        
+        return LAGRANGE_POINT_NAMES.map(name => `${key}${name}`);
+    }
+    
+    /**
+     * Moves a pair's markers (and halo sketches) to the current Lagrange points
+     * @param {string} key - System key (e.g. 'sunEarth')
+     * @param {number} deltaTime - Simulated milliseconds since the last frame
+     */
+    updateLagrangeSystem(key, deltaTime) {
+        const system = this.lagrangeSystems[key];
+        const points = this.getLagrangePoints(system.primary, system.secondary);
+        if (!points) return;
+        
+        const secondary = this.celestialObjects[system.secondary];
+        const secondaryPosition = secondary.getPosition();
+        clearSecondary(points, secondaryPosition, secondary.getRadius() * 4);
+        
+        const axis = secondaryPosition.clone().sub(this.celestialObjects[system.primary].getPosition()).normalize();
+        const normal = this.getOrbitNormal(system.secondary);
+        
+        Object.keys(system.points).forEach(name => {
+            const marker = system.points[name];
+            marker.setPosition(points[name].x, points[name].y, points[name].z);
+            marker.setHaloFrame(axis, normal, points[name].distanceTo(secondaryPosition) * 0.4);
+            marker.update(deltaTime);
+        });
+    }
+    
+    /**
+     * Shows or hides the halo-orbit sketches around collinear Lagrange points
+     * @param {boolean} visible - Whether to draw them
+     */
+    setLagrangeHalosVisible(visible) {
+        this.lagrangeHalosVisible = visible;
+        Object.values(this.lagrangeSystems).forEach(system => {
+            Object.values(system.points).forEach(point => point.setHaloVisible(visible));
+        });
+    }
+    
+    /**
+     * Shows or hides the Trojan asteroid clouds at Jupiter's L4 and L5
+     * @param {boolean} visible - Whether to show them
+     */
+    setJupiterTrojansVisible(visible) {
+        if (!visible) {
+            this.removeBelt('jupiterTrojans');
+            return;
         }
+        if (this.getBelt('jupiterTrojans')) return;
+        
+        this.addBelt('jupiterTrojans', new SmallBodyBelt(this.scene, {
+            name: 'Jupiter Trojans',
+            elements: sampleJupiterTrojans(4000),
+            distanceScale: au => this.getSceneDistance(au),
+            colors: ['#9c8f7a', '#b39b7d', '#7e7468'],
+            opacity: 0.7
+        }));
+        this.belts.jupiterTrojans.update(this.simulationTime / MS_PER_DAY);
     }
     
+    /**
+     * Adds a spacecraft that follows the simulation date and registers it as a lock target
+     * @param {string} name - Name of the spacecraft
+     * @param {Spacecraft} spacecraft - The spacecraft instance
+     */
+    addSpacecraft(name, spacecraft) {
+        this.celestialObjects[name] = spacecraft;
+        this.spacecraft[name] = spacecraft;
+        spacecraft.updateAtJulianDate(this.getJulianDate());
+        
+        if (this.cameraController && this.cameraController.addTarget) {
+            this.cameraController.addTarget(name, spacecraft);
+        }
+    }
+    
+    /**
+     * Adds a small-body belt that follows the simulation clock
+     * @param {string} name - Name of the belt
+     * @param {SmallBodyBelt} belt - The belt instance
+     */
+    addBelt(name, belt) {
+        this.belts[name] = belt;
+        belt.update(this.simulationTime / MS_PER_DAY);
+    }
+    
+    /**
+     * Gets a small-body belt
+     * @param {string} name - Name of the belt
+     * @returns {SmallBodyBelt|null} Belt or null if not found
+     */
+    getBelt(name) {
+        return this.belts[name] || null;
+    }
+    
+    /**
+     * Removes a small-body belt
+     * @param {string} name - Name of the belt
+     */
+    removeBelt(name) {
+        if (this.belts[name]) {
+            this.belts[name].dispose();
+            delete this.belts[name];
+        }
+    }
+    
+    /**
+     * Converts a heliocentric distance in AU to scene units
+     *
+     * Interpolates between the planets' real and scene semi-major axes, and extrapolates
+     * beyond the innermost and outermost planets, so other bodies line up with the planets.
+     * @param {number} au - Distance in AU
+     * @returns {number} Distance in scene units
+     */
+    getSceneDistance(au) {
+        const anchors = LAYOUT_PLANETS
+            .filter(name => this.orbitalConfig[name])
+            .map(name => [PLANET_ELEMENTS[name].elements.a, this.orbitalConfig[name].semiMajorAxis])
+            .sort((a, b) => a[0] - b[0]);
+        
+        if (anchors.length < 2) {
+            return au;
+        }
+        
+        // Inside the first planet: scale towards the Sun
+        if (au <= anchors[0][0]) {
+            return au * anchors[0][1] / anchors[0][0];
+        }
+        
+        for (let i = 1; i < anchors.length; i++) {
+            const [au0, scene0] = anchors[i - 1];
+            const [au1, scene1] = anchors[i];
+            if (au <= au1 || i === anchors.length - 1) {
+                return scene0 + (au - au0) * (scene1 - scene0) / (au1 - au0);
+            }
+        }
+        
+        return au;
+    }
+
+    /**
+     * Switches the scale mode, morphing orbits, bodies and camera distances over a transition
+     * @param {string} mode - Key of SCALE_MODES ('artistic', 'log', 'exaggerated' or 'true')
+     * @param {number} duration - Transition length in real milliseconds (0 switches at once)
+     * @returns {boolean} Whether the mode is known
+     */
+    setScaleMode(mode, duration = 2000) {
+        if (!SCALE_MODES[mode]) {
+            console.warn('Unknown scale mode:', mode);
+            return false;
+        }
+        if (mode === this.scaleMode && !this.scaleTransition) {
+            return true;
+        }
+
+        // Every mode is derived from the artistic layout, so capture it (with any orbit edits) on the way out
+        if (this.scaleMode === 'artistic' && !this.scaleTransition) {
+            this.artisticLayout = this.captureArtisticLayout();
+        }
+
+        this.scaleTransition = {
+            from: this.scaleLayout || this.getScaleLayout(this.scaleMode),
+            to: this.getScaleLayout(mode),
+            start: performance.now(),
+            duration
+        };
+        this.scaleMode = mode;
+        console.log(`Scale mode: ${SCALE_MODES[mode].name}`);
+        return true;
+    }
+
+    /**
+     * Gets the current (or target, while morphing) scale mode
+     * @returns {string} Key of SCALE_MODES
+     */
+    getScaleMode() {
+        return this.scaleMode;
+    }
+
+    /**
+     * Records the artistic layout: planet and moon semi-major axes and body radii in scene units
+     * @returns {Object} Layout {planets, moons, radii}
+     */
+    captureArtisticLayout() {
+        const layout = { planets: {}, moons: {}, radii: {} };
+        LAYOUT_PLANETS.filter(name => this.orbitalConfig[name]).forEach(name => {
+            layout.planets[name] = this.orbitalConfig[name].semiMajorAxis;
+        });
+        Object.keys(this.moonConfig).forEach(name => {
+            layout.moons[name] = this.moonConfig[name].semiMajorAxis;
+        });
+        BODY_CATALOG.filter(entry => entry.radiusKm).forEach(({ key: name }) => {
+            const object = this.celestialObjects[name];
+            if (object && object.getRadius && object.setScale) {
+                layout.radii[name] = object.getRadius();
+            }
+        });
+        return layout;
+    }
+
+    /**
+     * Computes the layout of a scale mode from the artistic layout
+     * @param {string} mode - Key of SCALE_MODES
+     * @returns {Object} Layout {planets, moons, radii}
+     */
+    getScaleLayout(mode) {
+        const artistic = this.artisticLayout || this.captureArtisticLayout();
+        const layout = { planets: {}, moons: {}, radii: {} };
+
+        Object.keys(artistic.planets).forEach(name => {
+            layout.planets[name] = getModeDistance(mode, PLANET_ELEMENTS[name].elements.a, artistic.planets[name]);
+        });
+        Object.keys(artistic.radii).forEach(name => {
+            layout.radii[name] = getModeRadius(mode, name, artistic.radii[name]);
+        });
+        Object.keys(artistic.moons).forEach(name => {
+            const parent = this.moonConfig[name] ? this.moonConfig[name].parent : null;
+            const parentScale = artistic.radii[parent] ? layout.radii[parent] / artistic.radii[parent] : 1;
+            layout.moons[name] = getModeMoonDistance(mode, name, artistic.moons[name], parentScale);
+        });
+
+        return layout;
+    }
+
+    /**
+     * Advances a running scale-mode transition
+     * @param {number} currentTime - performance.now() of the frame
+     */
+    updateScaleTransition(currentTime) {
+        if (!this.scaleTransition) {
+            return;
+        }
+
+        const { from, to, start, duration } = this.scaleTransition;
+        const progress = duration > 0 ? Math.min(1, (currentTime - start) / duration) : 1;
+        const eased = progress * progress * (3 - 2 * progress);
+
+        // Blend ratios rather than differences: a Sun shrinking 30-fold should not
+        // lose nearly all of it in the first few frames
+        const layout = { planets: {}, moons: {}, radii: {} };
+        Object.keys(layout).forEach(group => {
+            Object.keys(to[group]).forEach(name => {
+                const value = from[group][name];
+                layout[group][name] = value ? value * Math.pow(to[group][name] / value, eased) : to[group][name];
+            });
+        });
+        this.applyScaleLayout(layout);
+
+        if (progress >= 1) {
+            this.scaleTransition = null;
+
+            // Belt orbits live in vertex attributes; rebuilding them every frame is too slow
+            Object.values(this.belts).forEach(belt => belt.rebuild());
+        }
+
+        // The running clock places bodies anyway; otherwise do it here
+        if (this.isPaused || !this.isRunning) {
+            this.updateCelestialObjects(0, this.getOrbitTime());
+        }
+    }
+
+    /**
+     * Applies a layout to the orbits, bodies and camera distances
+     * @param {Object} layout - Layout {planets, moons, radii} from getScaleLayout
+     */
+    applyScaleLayout(layout) {
+        Object.keys(layout.planets).forEach(name => {
+            if (this.orbitalConfig[name]) {
+                this.setSemiMajorAxis(name, layout.planets[name]);
+            }
+        });
+
+        // Dwarf planets and imported asteroids follow the planets' new scale
+        this.refreshDerivedOrbits();
+
+        Object.keys(layout.moons).forEach(name => {
+            if (this.moonConfig[name]) {
+                this.moonConfig[name].semiMajorAxis = layout.moons[name];
+                this.orbits[name].setElements({ semiMajorAxis: layout.moons[name] });
+            }
+        });
+
+        Object.keys(layout.radii).forEach(name => {
+            const object = this.celestialObjects[name];
+            if (object && object.setScale) {
+                object.setScale(layout.radii[name] / this.artisticLayout.radii[name]);
+            }
+        });
+
+        Object.values(this.spacecraft).forEach(craft => {
+            if (craft.refreshScenePath) {
+                craft.refreshScenePath();
+            }
+        });
+
+        this.scaleLayout = layout;
+        this.notifyOrbitChange(Object.keys(this.orbits));
+    }
+
     /**
      * Removes a celestial object from animation
      * @param {string} name - Name of the celestial object to remove
@@ -247,6 +1671,22 @@ export class AnimationController {
         }
         if (this.orbitalConfig[name]) {
             delete this.orbitalConfig[name];
+            delete this.orbits[name];
+        }
+        if (this.moonConfig[name]) {
+            delete this.moonConfig[name];
+            delete this.orbits[name];
+        }
+        if (this.cometConfig[name]) {
+            delete this.cometConfig[name];
+            delete this.orbits[name];
+        }
+        if (this.spacecraft[name]) {
+            this.spacecraft[name].dispose();
+            delete this.spacecraft[name];
+            if (this.cameraController && this.cameraController.removeTarget) {
+                this.cameraController.removeTarget(name);
+            }
         }
     }
     
@@ -255,6 +1695,8 @@ export class AnimationController {
      */
     dispose() {
         this.stop();
+        this.bloom.dispose();
+        this.bloom = null;
         this.celestialObjects = null;
         this.cameraController = null;
         this.renderer = null;
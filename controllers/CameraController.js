@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { BODY_CATALOG, getCatalogEntry } from '../models/catalog.js';
 
 export class CameraController {
     constructor(camera, celestialObjects = {}) {
@@ -25,6 +26,7 @@ export class CameraController {
         this.zoomSpeed = 0.05;
 
         this.defaultMinDistance = 1;
+        this.defaultNear = camera.near;
         
         // Calculate camera distances dynamically based on available objects
         this.cameraDistances = this.calculateCameraDistances();
@@ -79,38 +81,59 @@ export class CameraController {
     calculateCameraDistances() {
         const distances = {};
         
-        // Calculate safe viewing distances for all celestial objects
-        if (this.celestialObjects.sun) {
-            distances.sun = this.celestialObjects.sun.getRadius() * 2;
-        }
-        if (this.celestialObjects.mercury) {
-            distances.mercury = this.celestialObjects.mercury.getRadius() * 3;
-        }
-        if (this.celestialObjects.venus) {
-            distances.venus = this.celestialObjects.venus.getRadius() * 3;
-        }
-        if (this.celestialObjects.mars) {
-            distances.mars = this.celestialObjects.mars.getRadius() * 3;
-        }
-        if (this.celestialObjects.earth) {
-            distances.earth = this.celestialObjects.earth.getRadius() * 3;
-        }
-        if (this.celestialObjects.jupiter) {
-            distances.jupiter = this.celestialObjects.jupiter.getRadius() * 3;
-        }
-        if (this.celestialObjects.saturn) {
-            distances.saturn = this.celestialObjects.saturn.getRadius() * 3;
-        }
-        if (this.celestialObjects.uranus) {
-            distances.uranus = this.celestialObjects.uranus.getRadius() * 3;
-        }
-        if (this.celestialObjects.neptune) {
-            distances.neptune = this.celestialObjects.neptune.getRadius() * 3;
-        }
+        // Safe viewing distances for all celestial objects, in body radii from the catalog
+        Object.keys(this.celestialObjects).forEach(name => {
+            const object = this.celestialObjects[name];
+            if (object && object.getRadius) {
+                distances[name] = this.getViewingDistance(name, object);
+            }
+        });
         
         return distances;
     }
 
+    /**
+     * Safe viewing distance of one object
+     * @param {string} name - Object name
+     * @param {Object} object - Object with getRadius()
+     * @returns {number} Scene units
+     */
+    getViewingDistance(name, object) {
+        const entry = getCatalogEntry(name);
+        const radii = entry && entry.camera ? entry.camera.distance : 3;
+        return object.getRadius() * radii;
+    }
+
+    /**
+     * Recalculates the camera distances after bodies have been resized (e.g. by a scale mode),
+     * keeping a locked view at the same apparent size
+     */
+    refreshCameraDistances() {
+        const activeLock = Object.keys(this.target_locks).find(lock => this.target_locks[lock]);
+        const objectName = activeLock ? activeLock.replace(/Lock$/, '') : null;
+        const previous = objectName ? this.cameraDistances[objectName] : null;
+
+        this.cameraDistances = this.calculateCameraDistances();
+
+        const current = objectName ? this.cameraDistances[objectName] : null;
+        if (previous && current) {
+            this.cameraDistance *= current / previous;
+            this.minDistance = current;
+        }
+        this.updateNearPlane();
+    }
+
+    /**
+     * Pulls the near clipping plane in for bodies smaller than the default allows
+     */
+    updateNearPlane() {
+        const near = Math.min(this.defaultNear, this.minDistance * 0.1);
+        if (this.camera.near !== near) {
+            this.camera.near = near;
+            this.camera.updateProjectionMatrix();
+        }
+    }
+
     /**
      * Create target locks dynamically based on available objects
      */
@@ -118,19 +141,40 @@ export class CameraController {
         const locks = {};
         
         // Create locks for all celestial objects
-        if (this.celestialObjects.sun) locks.sunLock = false;
-        if (this.celestialObjects.mercury) locks.mercuryLock = false;
-        if (this.celestialObjects.venus) locks.venusLock = false;
-        if (this.celestialObjects.mars) locks.marsLock = false;
-        if (this.celestialObjects.earth) locks.earthLock = false;
-        if (this.celestialObjects.jupiter) locks.jupiterLock = false;
-        if (this.celestialObjects.saturn) locks.saturnLock = false;
-        if (this.celestialObjects.uranus) locks.uranusLock = false;
-        if (this.celestialObjects.neptune) locks.neptuneLock = false;
+        Object.keys(this.celestialObjects).forEach(name => {
+            if (this.celestialObjects[name]) {
+                locks[`${name}Lock`] = false;
+            }
+        });
         
         return locks;
     }
 
+    /**
+     * Registers a lockable target added after construction (moons, small bodies, spacecraft)
+     * @param {string} name - Object name (lock key is `${name}Lock`)
+     * @param {Object} object - Object with getPosition() and getRadius()
+     */
+    addTarget(name, object) {
+        this.celestialObjects[name] = object;
+        this.cameraDistances[name] = object.getRadius ? this.getViewingDistance(name, object) : 1;
+        if (this.target_locks[`${name}Lock`] === undefined) {
+            this.target_locks[`${name}Lock`] = false;
+        }
+    }
+
+    /**
+     * Removes a lockable target
+     * @param {string} name - Object name
+     */
+    removeTarget(name) {
+        if (this.target_locks[`${name}Lock`]) {
+            this.updateLocks(`${name}Lock`);
+        }
+        delete this.target_locks[`${name}Lock`];
+        delete this.cameraDistances[name];
+    }
+
     /**
      * Sets up event listeners
      */
@@ -239,8 +283,10 @@ export class CameraController {
     onMouseWheel(event) {
         event.preventDefault();
         
+        // Steps grow with the distance (unchanged at the default 15), so both a true-scale
+        // Earth 0.003 units across and the whole true-scale system stay a few turns away
         const delta = event.deltaY;
-        this.cameraDistance += delta * this.zoomSpeed;
+        this.cameraDistance += delta * this.zoomSpeed * this.cameraDistance / 15;
         
         // Use current minimum distance (which changes based on lock state)
         this.cameraDistance = Math.max(this.minDistance, this.cameraDistance);
@@ -305,61 +351,15 @@ export class CameraController {
             case 'KeyP':
                 this.togglePause();
                 break;
-            // Updated keybindings for all planets in solar system order
-            case 'Digit0':
-                if (this.celestialObjects.sun) {
-                    this.updateLocks('sunLock');
-                    console.log('Sun Lock:', this.target_locks.sunLock);
-                }
-                break;
-            case 'Digit1':
-                if (this.celestialObjects.mercury) {
-                    this.updateLocks('mercuryLock');
-                    console.log('Mercury Lock:', this.target_locks.mercuryLock);
-                }
-                break;
-            case 'Digit2':
-                if (this.celestialObjects.venus) {
-                    this.updateLocks('venusLock');
-                    console.log('Venus Lock:', this.target_locks.venusLock);
-                }
-                break;
-            case 'Digit3':
-                if (this.celestialObjects.mars) {
-                    this.updateLocks('marsLock');
-                    console.log('Mars Lock:', this.target_locks.marsLock);
-                }
-                break;
-            case 'Digit4':
-                if (this.celestialObjects.earth) {
-                    this.updateLocks('earthLock');
-                    console.log('Earth Lock:', this.target_locks.earthLock);
-                }
-                break;
-            case 'Digit5':
-                if (this.celestialObjects.jupiter) {
-                    this.updateLocks('jupiterLock');
-                    console.log('Jupiter Lock:', this.target_locks.jupiterLock);
-                }
-                break;
-            case 'Digit6':
-                if (this.celestialObjects.saturn) {
-                    this.updateLocks('saturnLock');
-                    console.log('Saturn Lock:', this.target_locks.saturnLock);
-                }
-                break;
-            case 'Digit7':
-                if (this.celestialObjects.uranus) {
-                    this.updateLocks('uranusLock');
-                    console.log('Uranus Lock:', this.target_locks.uranusLock);
-                }
-                break;
-            case 'Digit8':
-                if (this.celestialObjects.neptune) {
-                    this.updateLocks('neptuneLock');
-                    console.log('Neptune Lock:', this.target_locks.neptuneLock);
+            default: {
+                // Lock shortcuts come from the catalog's keyboardKey (Digit0 is the Sun)
+                const entry = BODY_CATALOG.find(body => body.keyboardKey && `Digit${body.keyboardKey}` === event.code);
+                if (entry && this.celestialObjects[entry.key]) {
+                    this.updateLocks(`${entry.key}Lock`);
+                    console.log(`${entry.name} Lock:`, this.target_locks[`${entry.key}Lock`]);
                 }
                 break;
+            }
         }
     }
 
@@ -436,25 +436,11 @@ export class CameraController {
             this.currentRotationY += (this.targetRotationY - this.currentRotationY) * 0.05;
         }
 
-        // Handle Lock-In Targets with proper orbital rotation for all planets
-        if (this.target_locks.sunLock && this.celestialObjects.sun) {
-            this.handleObjectLock(this.celestialObjects.sun, this.cameraDistances.sun);
-        } else if (this.target_locks.mercuryLock && this.celestialObjects.mercury) {
-            this.handleObjectLock(this.celestialObjects.mercury, this.cameraDistances.mercury);
-        } else if (this.target_locks.venusLock && this.celestialObjects.venus) {
-            this.handleObjectLock(this.celestialObjects.venus, this.cameraDistances.venus);
-        } else if (this.target_locks.marsLock && this.celestialObjects.mars) {
-            this.handleObjectLock(this.celestialObjects.mars, this.cameraDistances.mars);
-        } else if (this.target_locks.earthLock && this.celestialObjects.earth) {
-            this.handleObjectLock(this.celestialObjects.earth, this.cameraDistances.earth);
-        } else if (this.target_locks.jupiterLock && this.celestialObjects.jupiter) {
-            this.handleObjectLock(this.celestialObjects.jupiter, this.cameraDistances.jupiter);
-        } else if (this.target_locks.saturnLock && this.celestialObjects.saturn) {
-            this.handleObjectLock(this.celestialObjects.saturn, this.cameraDistances.saturn);
-        } else if (this.target_locks.uranusLock && this.celestialObjects.uranus) {
-            this.handleObjectLock(this.celestialObjects.uranus, this.cameraDistances.uranus);
-        } else if (this.target_locks.neptuneLock && this.celestialObjects.neptune) {
-            this.handleObjectLock(this.celestialObjects.neptune, this.cameraDistances.neptune);
+        // Handle Lock-In Targets with proper orbital rotation
+        const activeLock = Object.keys(this.target_locks).find(lock => this.target_locks[lock]);
+        const objectName = activeLock ? activeLock.replace(/Lock$/, '') : null;
+        if (objectName && this.celestialObjects[objectName]) {
+            this.handleObjectLock(this.celestialObjects[objectName], this.cameraDistances[objectName]);
         }
         
         // FIXED: Stable mouse look when not locked - works from any angle
@@ -502,6 +488,33 @@ export class CameraController {
         this.camera.lookAt(objPos);
     }
 
+    /**
+     * Locks onto an object and swings the camera round to view it from a given direction
+     * @param {string} name - Object name (lock key is `${name}Lock`)
+     * @param {THREE.Vector3} direction - Direction from the object towards the camera
+     * @param {number} distance - Optional camera distance (never closer than the safe distance)
+     * @returns {boolean} Whether the object could be locked
+     */
+    frameObject(name, direction, distance = null) {
+        const lock = `${name}Lock`;
+        if (this.target_locks[lock] === undefined) {
+            return false;
+        }
+
+        if (!this.target_locks[lock]) {
+            this.updateLocks(lock);
+        }
+        if (distance) {
+            this.cameraDistance = Math.max(this.minDistance, distance);
+        }
+
+        // Inverse of the spherical placement in handleObjectLock
+        const unit = direction.clone().normalize();
+        this.targetRotationX = Math.asin(unit.y);
+        this.targetRotationY = Math.atan2(unit.x, unit.z);
+        return true;
+    }
+
     // Utility methods
     setPosition(x, y, z) {
         this.camera.position.set(x, y, z);
@@ -593,6 +606,8 @@ export class CameraController {
             const lookDistance = 10;
             this.lookAtTarget.copy(this.camera.position).add(currentDirection.multiplyScalar(lookDistance));
         }
+        
+        this.updateNearPlane();
     }
 
     destroy() {
@@ -1,4 +1,17 @@
 import * as THREE from 'three';
+import { detectElementsFormat, parseElementsFile } from '../models/elementsParser.js';
+import { PARKING_ALTITUDE_KM } from '../models/transfer.js';
+import { EPHEMERIS_VALID_YEARS, julianDateToDate } from '../models/ephemeris.js';
+import { EVENT_TYPES } from '../models/events.js';
+import { LAGRANGE_SYSTEMS } from '../models/lagrange.js';
+import { SCALE_MODES } from '../models/scale.js';
+import { BODY_CATALOG, getCatalogEntry } from '../models/catalog.js';
+
+// Marker colors cycled through for successive spacecraft and probes
+const SPACECRAFT_COLORS = ['#ffd166', '#06d6a0', '#ef476f', '#f78c6b', '#83c5be'];
+
+// Planets the mission planner can fly between
+const PLANNER_PLANETS = ['mercury', 'venus', 'earth', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune'];
 
 /**
  * UiController.js
@@ -22,11 +35,37 @@ export class UiController {
         // UI elements
         this.container = null;
         this.pauseIndicator = null;
+        this.datePanel = null;
+        this.dateDisplay = null;
+        this.dateWarning = null;
+        this.dateInput = null;
+        this.rateDisplay = null;
         this.svgContainer = null;
+        this.importLog = null;
+        this.importLogList = null;
+        
+        // Mission planner state
+        this.plannerPanel = null;
+        this.plannerWindows = [];
+        this.plannerSelection = null;
+        
+        // Porkchop plot state
+        this.porkchopPanel = null;
+        this.porkchopGrid = null;
+        this.porkchopSelection = null;
+        
+        // Event finder state
+        this.eventPanel = null;
+        this.eventResults = [];
+        
+        // Lagrange point panel state
+        this.lagrangePanel = null;
+        this.lagrangeLists = {};
         
         // Object tracking system
         this.trackedObjects = new Map();
         this.trackingEnabled = true;
+        this.ringsVisible = true;
         
         // Trajectory system
         this.trajectories = new Map();
@@ -72,12 +111,24 @@ export class UiController {
         // Create pause indicator
         this.createPauseIndicator();
         
+        // Create date picker next to the pause indicator
+        this.createDatePanel();
+        
         // Create toggle controls
         this.createToggleControls();
         
         // Create planet selection panel
         this.createPlanetSelectionPanel();
         
+        // Create the (initially hidden) log for dropped element files
+        this.createImportLog();
+        
+        // Create the (initially hidden) mission planner, porkchop plot and event finder
+        this.createMissionPlanner();
+        this.createPorkchopPanel();
+        this.createEventFinder();
+        this.createLagrangePanel();
+        
         // Add to page
         document.body.appendChild(this.container);
     }
@@ -135,6 +186,256 @@ export class UiController {
         this.uiElements.push(this.pauseIndicator);
     }
     
+    /**
+     * Creates the simulation date display and picker to the left of the pause indicator
+     */
+    createDatePanel() {
+        const color = '#87cefa';
+        
+        this.datePanel = document.createElement('div');
+        this.datePanel.id = 'date-panel';
+        this.datePanel.style.cssText = `
+            position: absolute;
+            top: 20px;
+            right: 200px;
+            padding: 6px 10px;
+            border: 2px solid ${color};
+            background: rgba(0, 0, 0, 0.7);
+            color: ${color};
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            box-shadow: 0 0 10px ${this.hexToRgba(color, 0.3)};
+            pointer-events: auto;
+            z-index: 1001;
+        `;
+        
+        // Current simulation date
+        this.dateDisplay = document.createElement('span');
+        this.dateDisplay.id = 'date-display';
+        this.dateDisplay.style.cssText = `
+            font-weight: bold;
+            letter-spacing: 1px;
+            min-width: 170px;
+            white-space: nowrap;
+        `;
+        
+        // Date/time picker (interpreted as UTC)
+        this.dateInput = document.createElement('input');
+        this.dateInput.type = 'datetime-local';
+        this.dateInput.id = 'date-input';
+        this.dateInput.style.cssText = `
+            background: rgba(0, 0, 0, 0.7);
+            border: 1px solid ${color};
+            color: ${color};
+            font-family: 'Courier New', monospace;
+            font-size: 12px;
+            padding: 2px 4px;
+            color-scheme: dark;
+        `;
+        
+        // Keep typing in the picker from triggering keyboard shortcuts
+        this.dateInput.addEventListener('keydown', (event) => {
+            event.stopPropagation();
+            if (event.key === 'Enter') {
+                this.jumpToInputDate();
+            }
+        });
+        
+        const goButton = this.createDateButton('GO', color);
+        goButton.addEventListener('click', () => this.jumpToInputDate());
+        
+        const nowButton = this.createDateButton('NOW', color);
+        nowButton.addEventListener('click', () => this.jumpToDate(new Date()));
+        
+        // Time-warp controls and current rate
+        const slowerButton = this.createDateButton('◀◀ [', color);
+        slowerButton.addEventListener('click', () => this.stepTimeWarp(-1));
+        
+        this.rateDisplay = document.createElement('span');
+        this.rateDisplay.id = 'rate-display';
+        this.rateDisplay.style.cssText = `
+            font-weight: bold;
+            letter-spacing: 1px;
+            min-width: 120px;
+            text-align: center;
+            white-space: nowrap;
+        `;
+        
+        const fasterButton = this.createDateButton('] ▶▶', color);
+        fasterButton.addEventListener('click', () => this.stepTimeWarp(1));
+        
+        const reverseButton = this.createDateButton('⇄ [\\]', color);
+        reverseButton.addEventListener('click', () => this.reverseTime());
+        
+        // Shown while the date is outside the ephemeris' fitted range
+        this.dateWarning = document.createElement('span');
+        this.dateWarning.id = 'date-warning';
+        this.dateWarning.textContent = `⚠ OUTSIDE ${EPHEMERIS_VALID_YEARS.start}-${EPHEMERIS_VALID_YEARS.end}`;
+        this.dateWarning.title = 'The planetary element table is only valid for these years; positions are extrapolated';
+        this.dateWarning.style.cssText = `
+            display: none;
+            color: #ef476f;
+            font-weight: bold;
+            white-space: nowrap;
+        `;
+        
+        this.datePanel.appendChild(this.dateDisplay);
+        this.datePanel.appendChild(this.dateWarning);
+        this.datePanel.appendChild(this.dateInput);
+        this.datePanel.appendChild(goButton);
+        this.datePanel.appendChild(nowButton);
+        this.datePanel.appendChild(slowerButton);
+        this.datePanel.appendChild(this.rateDisplay);
+        this.datePanel.appendChild(fasterButton);
+        this.datePanel.appendChild(reverseButton);
+        this.container.appendChild(this.datePanel);
+        
+        // Add date panel to hideable UI elements
+        this.uiElements.push(this.datePanel);
+        
+        this.updateDateDisplay();
+    }
+    
+    /**
+     * Creates a small button for the date panel
+     */
+    createDateButton(text, color) {
+        const button = document.createElement('button');
+        button.innerHTML = text;
+        button.style.cssText = `
+            background: transparent;
+            border: 1px solid ${color};
+            color: ${color};
+            font-family: 'Courier New', monospace;
+            font-size: 12px;
+            font-weight: bold;
+            cursor: pointer;
+            padding: 2px 8px;
+            transition: all 0.2s ease;
+        `;
+        
+        button.addEventListener('mouseenter', () => {
+            button.style.background = `rgba(${this.hexToRgb(color)}, 0.2)`;
+        });
+        
+        button.addEventListener('mouseleave', () => {
+            button.style.background = 'transparent';
+        });
+        
+        return button;
+    }
+    
+    /**
+     * Jumps to the date currently entered in the picker
+     */
+    jumpToInputDate() {
+        if (!this.dateInput.value) {
+            return;
+        }
+        
+        // datetime-local has no zone; treat the entered value as UTC
+        this.jumpToDate(new Date(`${this.dateInput.value}Z`));
+    }
+    
+    /**
+     * Jumps the whole system to a date and refreshes trackers and trajectories immediately
+     * @param {Date} date - Target date
+     */
+    jumpToDate(date) {
+        if (!this.animationController || isNaN(date.getTime())) {
+            return;
+        }
+        
+        this.animationController.setSimulationDate(date);
+        this.update();
+    }
+    
+    /**
+     * Updates the displayed simulation date
+     */
+    updateDateDisplay() {
+        if (!this.dateDisplay) return;
+        
+        const date = this.animationController && this.animationController.getSimulationDate
+            ? this.animationController.getSimulationDate()
+            : null;
+        
+        this.dateDisplay.textContent = date ? this.formatDate(date) : 'NO DATE';
+        
+        // The planetary elements are only fitted for a few centuries
+        const year = date ? date.getUTCFullYear() : null;
+        const outside = year !== null && (year < EPHEMERIS_VALID_YEARS.start || year > EPHEMERIS_VALID_YEARS.end);
+        this.dateDisplay.style.color = outside ? '#ef476f' : '';
+        if (this.dateWarning) {
+            this.dateWarning.style.display = outside ? 'inline' : 'none';
+        }
+        
+        if (this.rateDisplay && this.animationController) {
+            this.rateDisplay.textContent = this.formatTimeRate(this.animationController.getTimeSpeed());
+        }
+    }
+    
+    /**
+     * Steps the time-warp ladder up (+1) or down (-1)
+     */
+    stepTimeWarp(direction) {
+        if (this.animationController && this.animationController.stepTimeWarp) {
+            this.animationController.stepTimeWarp(direction);
+            this.updateDateDisplay();
+        }
+    }
+    
+    /**
+     * Reverses the direction of simulation time
+     */
+    reverseTime() {
+        if (this.animationController && this.animationController.reverseTime) {
+            this.animationController.reverseTime();
+            this.updateDateDisplay();
+        }
+    }
+    
+    /**
+     * Formats a time rate (simulated seconds per real second) as e.g. "1 day/s" or "◀ 10 yr/s"
+     */
+    formatTimeRate(rate) {
+        const units = [
+            { seconds: 31557600, label: 'yr' },
+            { seconds: 86400, label: 'day', plural: 'days' },
+            { seconds: 3600, label: 'h' },
+            { seconds: 60, label: 'min' },
+            { seconds: 1, label: 's' }
+        ];
+        
+        const magnitude = Math.abs(rate);
+        const unit = units.find(u => magnitude >= u.seconds) || units[units.length - 1];
+        const value = Math.round((magnitude / unit.seconds) * 10) / 10;
+        const label = value !== 1 && unit.plural ? unit.plural : unit.label;
+        const direction = rate < 0 ? '◀ ' : '';
+        
+        if (magnitude === 0) {
+            return 'STOPPED';
+        }
+        return magnitude === 1 ? `${direction}REAL TIME` : `${direction}${value} ${label}/s`;
+    }
+    
+    /**
+     * Formats a date as "YYYY-MM-DD HH:MM UTC" (or just the day); years outside 0-9999
+     * get a sign, e.g. "-0500-03-01" or "+12000-01-01"
+     */
+    formatDate(date, withTime = true) {
+        if (isNaN(date.getTime())) {
+            return 'INVALID DATE';
+        }
+        
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        const year = date.getUTCFullYear();
+        const yearText = year < 0 ? `-${pad(-year, 4)}` : year > 9999 ? `+${year}` : pad(year, 4);
+        const day = `${yearText}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+        return withTime ? `${day} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())} UTC` : day;
+    }
+    
     /**
      * Creates toggle controls for trackers and trajectories
      */
@@ -224,9 +525,196 @@ export class UiController {
             text-align: center;
         `;
         
+        // Create spacecraft loader (state-vector tables picked from disk, no network)
+        this.missionButton = document.createElement('button');
+        this.missionButton.id = 'mission-load';
+        this.missionButton.innerHTML = 'LOAD MISSION';
+        this.missionButton.title = 'Load a JPL Horizons vector table (CSV, text or JSON) with heliocentric state vectors';
+        this.missionButton.style.cssText = `
+            padding: 8px 12px;
+            border: 2px solid #ffd166;
+            background: rgba(0, 0, 0, 0.7);
+            color: #ffd166;
+            font-family: 'Courier New', monospace;
+            font-size: 12px;
+            font-weight: bold;
+            letter-spacing: 1px;
+            cursor: pointer;
+            text-transform: uppercase;
+            box-shadow: 0 0 10px rgba(255, 209, 102, 0.3);
+            transition: all 0.2s ease;
+            min-width: 120px;
+            text-align: center;
+        `;
+        
+        // Create mission planner toggle
+        this.plannerButton = document.createElement('button');
+        this.plannerButton.id = 'planner-toggle';
+        this.plannerButton.innerHTML = 'PLANNER';
+        this.plannerButton.title = 'Plan a Hohmann transfer between two planets and launch a probe';
+        this.plannerButton.style.cssText = `
+            padding: 8px 12px;
+            border: 2px solid #06d6a0;
+            background: rgba(0, 0, 0, 0.7);
+            color: #06d6a0;
+            font-family: 'Courier New', monospace;
+            font-size: 12px;
+            font-weight: bold;
+            letter-spacing: 1px;
+            cursor: pointer;
+            text-transform: uppercase;
+            box-shadow: 0 0 10px rgba(6, 214, 160, 0.3);
+            transition: all 0.2s ease;
+            min-width: 120px;
+            text-align: center;
+        `;
+        
+        // Create porkchop plot toggle
+        this.porkchopButton = document.createElement('button');
+        this.porkchopButton.id = 'porkchop-toggle';
+        this.porkchopButton.innerHTML = 'PORKCHOP';
+        this.porkchopButton.title = 'Plot departure C3 and delta-v over departure and arrival dates (Lambert solutions)';
+        this.porkchopButton.style.cssText = `
+            padding: 8px 12px;
+            border: 2px solid #f78c6b;
+            background: rgba(0, 0, 0, 0.7);
+            color: #f78c6b;
+            font-family: 'Courier New', monospace;
+            font-size: 12px;
+            font-weight: bold;
+            letter-spacing: 1px;
+            cursor: pointer;
+            text-transform: uppercase;
+            box-shadow: 0 0 10px rgba(247, 140, 107, 0.3);
+            transition: all 0.2s ease;
+            min-width: 120px;
+            text-align: center;
+        `;
+        
+        // Create event finder toggle
+        this.eventButton = document.createElement('button');
+        this.eventButton.id = 'event-toggle';
+        this.eventButton.innerHTML = 'EVENTS';
+        this.eventButton.title = 'Find eclipses, transits, conjunctions, oppositions and elongations';
+        this.eventButton.style.cssText = `
+            padding: 8px 12px;
+            border: 2px solid #c77dff;
+            background: rgba(0, 0, 0, 0.7);
+            color: #c77dff;
+            font-family: 'Courier New', monospace;
+            font-size: 12px;
+            font-weight: bold;
+            letter-spacing: 1px;
+            cursor: pointer;
+            text-transform: uppercase;
+            box-shadow: 0 0 10px rgba(199, 125, 255, 0.3);
+            transition: all 0.2s ease;
+            min-width: 120px;
+            text-align: center;
+        `;
+        
+        // Create Lagrange point toggle
+        this.lagrangeButton = document.createElement('button');
+        this.lagrangeButton.id = 'lagrange-toggle';
+        this.lagrangeButton.innerHTML = 'LAGRANGE';
+        this.lagrangeButton.title = 'Show the Lagrange points of the Sun–Earth, Sun–Jupiter and Earth–Moon pairs';
+        this.lagrangeButton.style.cssText = `
+            padding: 8px 12px;
+            border: 2px solid #90e0ef;
+            background: rgba(0, 0, 0, 0.7);
+            color: #90e0ef;
+            font-family: 'Courier New', monospace;
+            font-size: 12px;
+            font-weight: bold;
+            letter-spacing: 1px;
+            cursor: pointer;
+            text-transform: uppercase;
+            box-shadow: 0 0 10px rgba(144, 224, 239, 0.3);
+            transition: all 0.2s ease;
+            min-width: 120px;
+            text-align: center;
+        `;
+        
+        // Create scale mode selector (cycles through SCALE_MODES)
+        this.scaleButton = document.createElement('button');
+        this.scaleButton.id = 'scale-toggle';
+        this.scaleButton.style.cssText = `
+            padding: 8px 12px;
+            border: 2px solid #f4a261;
+            background: rgba(0, 0, 0, 0.7);
+            color: #f4a261;
+            font-family: 'Courier New', monospace;
+            font-size: 12px;
+            font-weight: bold;
+            letter-spacing: 1px;
+            cursor: pointer;
+            text-transform: uppercase;
+            box-shadow: 0 0 10px rgba(244, 162, 97, 0.3);
+            transition: all 0.2s ease;
+            min-width: 120px;
+            text-align: center;
+        `;
+        
+        // Create ring systems toggle (compare the ringed planets with and without their rings)
+        this.ringsToggle = document.createElement('button');
+        this.ringsToggle.id = 'rings-toggle';
+        this.ringsToggle.title = 'Show or hide the ring systems of Jupiter, Saturn, Uranus and Neptune';
+        this.ringsToggle.style.cssText = `
+            padding: 8px 12px;
+            border: 2px solid #d4b483;
+            background: rgba(0, 0, 0, 0.7);
+            color: #d4b483;
+            font-family: 'Courier New', monospace;
+            font-size: 12px;
+            font-weight: bold;
+            letter-spacing: 1px;
+            cursor: pointer;
+            text-transform: uppercase;
+            box-shadow: 0 0 10px rgba(212, 180, 131, 0.3);
+            transition: all 0.2s ease;
+            min-width: 120px;
+            text-align: center;
+        `;
+        
+        // Create bloom toggle (post-processing glare around the Sun)
+        this.bloomToggle = document.createElement('button');
+        this.bloomToggle.id = 'bloom-toggle';
+        this.bloomToggle.title = 'Turn the glare around the Sun on or off';
+        this.bloomToggle.style.cssText = `
+            padding: 8px 12px;
+            border: 2px solid #ffd27f;
+            background: rgba(0, 0, 0, 0.7);
+            color: #ffd27f;
+            font-family: 'Courier New', monospace;
+            font-size: 12px;
+            font-weight: bold;
+            letter-spacing: 1px;
+            cursor: pointer;
+            text-transform: uppercase;
+            box-shadow: 0 0 10px rgba(255, 210, 127, 0.3);
+            transition: all 0.2s ease;
+            min-width: 120px;
+            text-align: center;
+        `;
+        
+        this.missionInput = document.createElement('input');
+        this.missionInput.type = 'file';
+        this.missionInput.accept = '.csv,.txt,.json';
+        this.missionInput.multiple = true;
+        this.missionInput.style.display = 'none';
+        
         // Add buttons to hideable container
         this.hideableControlsContainer.appendChild(this.trackerToggle);
         this.hideableControlsContainer.appendChild(this.trajectoryToggle);
+        this.hideableControlsContainer.appendChild(this.missionButton);
+        this.hideableControlsContainer.appendChild(this.missionInput);
+        this.hideableControlsContainer.appendChild(this.plannerButton);
+        this.hideableControlsContainer.appendChild(this.porkchopButton);
+        this.hideableControlsContainer.appendChild(this.eventButton);
+        this.hideableControlsContainer.appendChild(this.lagrangeButton);
+        this.hideableControlsContainer.appendChild(this.scaleButton);
+        this.hideableControlsContainer.appendChild(this.ringsToggle);
+        this.hideableControlsContainer.appendChild(this.bloomToggle);
         
         // Add both containers to main controls container
         controlsContainer.appendChild(this.hideableControlsContainer);
@@ -254,6 +742,90 @@ export class UiController {
             this.trajectoryToggle.style.boxShadow = '0 0 10px rgba(255, 170, 0, 0.3)';
         });
         
+        // Add hover effects for mission loader
+        this.missionButton.addEventListener('mouseenter', () => {
+            this.missionButton.style.background = 'rgba(255, 209, 102, 0.2)';
+            this.missionButton.style.boxShadow = '0 0 15px rgba(255, 209, 102, 0.6)';
+        });
+        
+        this.missionButton.addEventListener('mouseleave', () => {
+            this.missionButton.style.background = 'rgba(0, 0, 0, 0.7)';
+            this.missionButton.style.boxShadow = '0 0 10px rgba(255, 209, 102, 0.3)';
+        });
+        
+        // Add hover effects for mission planner
+        this.plannerButton.addEventListener('mouseenter', () => {
+            this.plannerButton.style.background = 'rgba(6, 214, 160, 0.2)';
+            this.plannerButton.style.boxShadow = '0 0 15px rgba(6, 214, 160, 0.6)';
+        });
+        
+        this.plannerButton.addEventListener('mouseleave', () => {
+            this.plannerButton.style.background = 'rgba(0, 0, 0, 0.7)';
+            this.plannerButton.style.boxShadow = '0 0 10px rgba(6, 214, 160, 0.3)';
+        });
+        
+        // Add hover effects for porkchop plot
+        this.porkchopButton.addEventListener('mouseenter', () => {
+            this.porkchopButton.style.background = 'rgba(247, 140, 107, 0.2)';
+            this.porkchopButton.style.boxShadow = '0 0 15px rgba(247, 140, 107, 0.6)';
+        });
+        
+        this.porkchopButton.addEventListener('mouseleave', () => {
+            this.porkchopButton.style.background = 'rgba(0, 0, 0, 0.7)';
+            this.porkchopButton.style.boxShadow = '0 0 10px rgba(247, 140, 107, 0.3)';
+        });
+        
+        // Add hover effects for event finder
+        this.eventButton.addEventListener('mouseenter', () => {
+            this.eventButton.style.background = 'rgba(199, 125, 255, 0.2)';
+            this.eventButton.style.boxShadow = '0 0 15px rgba(199, 125, 255, 0.6)';
+        });
+        
+        this.eventButton.addEventListener('mouseleave', () => {
+            this.eventButton.style.background = 'rgba(0, 0, 0, 0.7)';
+            this.eventButton.style.boxShadow = '0 0 10px rgba(199, 125, 255, 0.3)';
+        });
+        
+        // Add hover effects for Lagrange points
+        this.lagrangeButton.addEventListener('mouseenter', () => {
+            this.lagrangeButton.style.background = 'rgba(144, 224, 239, 0.2)';
+            this.lagrangeButton.style.boxShadow = '0 0 15px rgba(144, 224, 239, 0.6)';
+        });
+        
+        this.lagrangeButton.addEventListener('mouseleave', () => {
+            this.lagrangeButton.style.background = 'rgba(0, 0, 0, 0.7)';
+            this.lagrangeButton.style.boxShadow = '0 0 10px rgba(144, 224, 239, 0.3)';
+        });
+        
+        // Add hover effects for scale modes
+        this.scaleButton.addEventListener('mouseenter', () => {
+            this.scaleButton.style.background = 'rgba(244, 162, 97, 0.2)';
+            this.scaleButton.style.boxShadow = '0 0 15px rgba(244, 162, 97, 0.6)';
+        });
+        
+        this.scaleButton.addEventListener('mouseleave', () => {
+            this.scaleButton.style.background = 'rgba(0, 0, 0, 0.7)';
+            this.scaleButton.style.boxShadow = '0 0 10px rgba(244, 162, 97, 0.3)';
+        });
+        
+        // Add hover effects for rings toggle
+        this.ringsToggle.addEventListener('mouseenter', () => {
+            this.ringsToggle.style.background = 'rgba(212, 180, 131, 0.2)';
+        });
+        
+        this.ringsToggle.addEventListener('mouseleave', () => {
+            this.ringsToggle.style.background = 'rgba(0, 0, 0, 0.7)';
+        });
+        
+        // Add hover effects for bloom toggle
+        this.bloomToggle.addEventListener('mouseenter', () => {
+            this.bloomToggle.style.background = 'rgba(255, 210, 127, 0.2)';
+        });
+        
+        this.bloomToggle.addEventListener('mouseleave', () => {
+            this.bloomToggle.style.background = 'rgba(0, 0, 0, 0.7)';
+        });
+        
         // Add hover effects for UI toggle
         this.uiToggle.addEventListener('mouseenter', () => {
             this.uiToggle.style.background = 'rgba(255, 107, 157, 0.2)';
@@ -281,14 +853,100 @@ export class UiController {
             this.updateToggleButtonStates();
         });
         
-        // Add to main container
-        this.container.appendChild(controlsContainer);
+        this.missionButton.addEventListener('click', () => {
+            this.missionInput.click();
+        });
         
-        // Add hideable controls to the UI elements array
+        this.missionInput.addEventListener('change', () => {
+            Array.from(this.missionInput.files).forEach(file => this.loadSpacecraftFile(file));
+            this.missionInput.value = '';
+        });
+        
+        this.plannerButton.addEventListener('click', () => {
+            this.toggleMissionPlanner();
+        });
+        
+        this.porkchopButton.addEventListener('click', () => {
+            this.togglePorkchopPanel();
+        });
+        
+        this.eventButton.addEventListener('click', () => {
+            this.toggleEventFinder();
+        });
+        
+        this.lagrangeButton.addEventListener('click', () => {
+            this.toggleLagrangePanel();
+        });
+        
+        this.scaleButton.addEventListener('click', () => {
+            this.cycleScaleMode();
+        });
+        
+        this.ringsToggle.addEventListener('click', () => {
+            this.toggleRings();
+        });
+        
+        this.bloomToggle.addEventListener('click', () => {
+            this.toggleBloom();
+        });
+        
+        // Add to main container
+        this.container.appendChild(controlsContainer);
+        
+        // Add hideable controls to the UI elements array
         this.uiElements.push(this.hideableControlsContainer);
         
         // Set initial button states
         this.updateToggleButtonStates();
+        this.updateScaleButton();
+    }
+    
+    /**
+     * Switches to the next scale mode (artistic, log distance, exaggerated radii, true scale)
+     */
+    cycleScaleMode() {
+        if (!this.animationController) return;
+        
+        const modes = Object.keys(SCALE_MODES);
+        const next = modes[(modes.indexOf(this.animationController.getScaleMode()) + 1) % modes.length];
+        this.animationController.setScaleMode(next);
+        this.updateScaleButton();
+    }
+    
+    /**
+     * Shows the current scale mode on its button
+     */
+    updateScaleButton() {
+        if (!this.scaleButton) return;
+        
+        const mode = SCALE_MODES[this.animationController ? this.animationController.getScaleMode() : 'artistic'];
+        this.scaleButton.innerHTML = `SCALE: ${mode.name}`;
+        this.scaleButton.title = `${mode.description} (click for the next scale mode)`;
+    }
+    
+    /**
+     * Shows or hides the ring systems of every ringed body
+     */
+    toggleRings() {
+        this.ringsVisible = !this.ringsVisible;
+        Object.values(this.celestialObjects).forEach(object => {
+            if (object && object.setRingsVisible) {
+                object.setRingsVisible(this.ringsVisible);
+            }
+        });
+        
+        this.updateToggleButtonStates();
+        console.log('Ring systems:', this.ringsVisible ? 'VISIBLE' : 'HIDDEN');
+    }
+    
+    /**
+     * Turns the bloom pass on or off
+     */
+    toggleBloom() {
+        if (!this.animationController) return;
+        
+        this.animationController.setBloomEnabled(!this.animationController.isBloomEnabled());
+        this.updateToggleButtonStates();
     }
     
     /**
@@ -321,6 +979,36 @@ export class UiController {
             this.trajectoryToggle.style.boxShadow = '0 0 5px rgba(102, 102, 102, 0.3)';
         }
         
+        // Update rings toggle button
+        if (this.ringsToggle) {
+            if (this.ringsVisible) {
+                this.ringsToggle.innerHTML = 'RINGS ON';
+                this.ringsToggle.style.borderColor = '#d4b483';
+                this.ringsToggle.style.color = '#d4b483';
+                this.ringsToggle.style.boxShadow = '0 0 10px rgba(212, 180, 131, 0.5)';
+            } else {
+                this.ringsToggle.innerHTML = 'RINGS OFF';
+                this.ringsToggle.style.borderColor = '#666';
+                this.ringsToggle.style.color = '#666';
+                this.ringsToggle.style.boxShadow = '0 0 5px rgba(102, 102, 102, 0.3)';
+            }
+        }
+        
+        // Update bloom toggle button
+        if (this.bloomToggle && this.animationController) {
+            if (this.animationController.isBloomEnabled()) {
+                this.bloomToggle.innerHTML = 'BLOOM ON';
+                this.bloomToggle.style.borderColor = '#ffd27f';
+                this.bloomToggle.style.color = '#ffd27f';
+                this.bloomToggle.style.boxShadow = '0 0 10px rgba(255, 210, 127, 0.5)';
+            } else {
+                this.bloomToggle.innerHTML = 'BLOOM OFF';
+                this.bloomToggle.style.borderColor = '#666';
+                this.bloomToggle.style.color = '#666';
+                this.bloomToggle.style.boxShadow = '0 0 5px rgba(102, 102, 102, 0.3)';
+            }
+        }
+        
         // Update UI toggle button
         if (this.uiVisible) {
             this.uiToggle.innerHTML = 'UI ON [H]';
@@ -367,7 +1055,13 @@ export class UiController {
      * @param {number} options.segments - Number of line segments (default: 50)
      * @param {number} options.opacity - Line opacity (default: 0.7)
      * @param {boolean} options.dashed - Whether to use dashed line (default: false)
-     * @param {Object} options.orbitParams - Orbital parameters {centerX, centerY, centerZ, radius, speed}
+     * @param {Object} options.orbitParams - Orbital parameters {centerX, centerY, centerZ, name} where name is a body
+     *   whose live orbit model (AnimationController.getOrbit) is drawn, or {..., orbit} with a KeplerOrbit of its
+     *   own; otherwise a flat circle through the object (or of orbitParams.radius). Add {parent} to centre the
+     *   orbit on a moving parent body
+     * @param {number|Function} options.maxDistance - Hide the line when the camera is farther than this from the
+     *   object (a function is evaluated every frame)
+     * @param {Function} options.getPoints - Returns the 3D points to draw instead of an orbit (e.g. tabulated paths)
      */
     addTrajectoryLine(celestialObject, options = {}) {
         const config = {
@@ -378,12 +1072,12 @@ export class UiController {
             segments: options.segments || 50,
             opacity: options.opacity || 0.7,
             dashed: options.dashed || false, // Add this line
+            maxDistance: options.maxDistance || Infinity,
+            getPoints: options.getPoints || null,
             orbitParams: options.orbitParams || {
                 centerX: 0,
                 centerY: 0,
-                centerZ: 0,
-                radius: 70,
-                speed: 1
+                centerZ: 0
             }
         };
         
@@ -432,6 +1126,15 @@ export class UiController {
             return [];
         }
         
+        if (config.getPoints) {
+            return config.getPoints();
+        }
+        
+        const orbit = this.getTrajectoryOrbit(orbitParams);
+        if (orbit) {
+            return this.calculateOrbitPoints(orbitParams, segments, length, orbit);
+        }
+        
         const currentPos = object.getPosition();
         const points = [];
         
@@ -439,6 +1142,7 @@ export class UiController {
         const dx = currentPos.x - orbitParams.centerX;
         const dz = currentPos.z - orbitParams.centerZ;
         let currentAngle = Math.atan2(dz, dx);
+        const radius = orbitParams.radius || Math.hypot(dx, dz);
         
         // Generate trajectory points ahead of current position
         const angleStep = (length * 2 * Math.PI) / segments;
@@ -446,9 +1150,9 @@ export class UiController {
         for (let i = 0; i <= segments; i++) {
             const angle = currentAngle + (i * angleStep);
             
-            const x = orbitParams.centerX + Math.cos(angle) * orbitParams.radius;
-            const y = orbitParams.centerY; // Assuming flat orbit for now
-            const z = orbitParams.centerZ + Math.sin(angle) * orbitParams.radius;
+            const x = orbitParams.centerX + Math.cos(angle) * radius;
+            const y = orbitParams.centerY; // Flat circular fallback without an orbit model
+            const z = orbitParams.centerZ + Math.sin(angle) * radius;
             
             points.push(new THREE.Vector3(x, y, z));
         }
@@ -456,6 +1160,57 @@ export class UiController {
         return points;
     }
     
+    /**
+     * Gets the orbit model a trajectory draws: the named body's live orbit, so element
+     * updates, scale modes and re-registered bodies show up without rebuilding the overlay
+     * @param {Object} orbitParams - Orbital parameters of the trajectory
+     * @returns {KeplerOrbit|null} Orbit model or null for the circular fallback
+     */
+    getTrajectoryOrbit(orbitParams) {
+        const liveOrbit = orbitParams.name && this.animationController && this.animationController.getOrbit
+            ? this.animationController.getOrbit(orbitParams.name)
+            : null;
+        return liveOrbit || orbitParams.orbit || null;
+    }
+    
+    /**
+     * Resolves a maxDistance option that may be a function of the current layout
+     * @param {number|Function} maxDistance - Distance in scene units or a function returning it
+     * @returns {number} Distance in scene units
+     */
+    resolveMaxDistance(maxDistance) {
+        return typeof maxDistance === 'function' ? maxDistance() : maxDistance;
+    }
+    
+    /**
+     * Calculates trajectory points along a Keplerian orbit, starting at the body's current position
+     * @param {Object} orbitParams - Orbital parameters (centre, name and parent)
+     * @param {number} segments - Number of line segments
+     * @param {number} length - Fraction of the orbit to draw
+     * @param {KeplerOrbit} orbit - Orbit model (default: orbitParams.orbit)
+     * @returns {Array} Array of 3D points on the (possibly inclined) ellipse
+     */
+    calculateOrbitPoints(orbitParams, segments, length, orbit = orbitParams.orbit) {
+        const time = this.animationController ? this.animationController.getOrbitTime(orbitParams.name) : 0;
+        const currentAnomaly = orbit.getTrueAnomaly(orbit.getMeanAnomaly(time));
+        
+        // Moons are drawn around their parent's current position
+        const center = orbitParams.parent
+            ? orbitParams.parent.getPosition()
+            : new THREE.Vector3(orbitParams.centerX, orbitParams.centerY, orbitParams.centerZ);
+        
+        // Step in true anomaly for even spacing, following the direction of motion
+        const anomalyStep = Math.sign(orbit.speed || 1) * (length * 2 * Math.PI) / segments;
+        const points = [];
+        
+        for (let i = 0; i <= segments; i++) {
+            const point = orbit.getPositionAtTrueAnomaly(currentAnomaly + i * anomalyStep);
+            points.push(point.add(center));
+        }
+        
+        return points;
+    }
+    
     /**
      * Projects 3D points to screen coordinates
      * @param {Array} points3D - Array of 3D points
@@ -501,7 +1256,20 @@ export class UiController {
      * @param {Object} trajectory - Trajectory object
      */
     updateSingleTrajectory(trajectory) {
-        const { pathElement, config } = trajectory;
+        const { object, pathElement, config } = trajectory;
+        
+        // Small orbits (moons) are only drawn when the camera is close enough
+        if (object && object.getPosition && this.camera.position.distanceTo(object.getPosition()) > this.resolveMaxDistance(config.maxDistance)) {
+            pathElement.setAttribute('d', '');
+            return;
+        }
+        
+        // Escaping bodies have left their last ellipse behind
+        const name = config.orbitParams && config.orbitParams.name;
+        if (name && this.animationController && this.animationController.isUnbound(name)) {
+            pathElement.setAttribute('d', '');
+            return;
+        }
         
         // Calculate 3D trajectory points
         const points3D = this.calculateTrajectoryPoints(trajectory);
@@ -573,6 +1341,8 @@ export class UiController {
      * Adds tracking for any celestial object
      * @param {Object} celestialObject - The celestial object to track (must have getPosition() method)
      * @param {Object} options - Tracking options
+     * @param {number|Function} options.maxDistance - Hide the tracker when the camera is farther than this from
+     *   the object (a function is evaluated every frame)
      */
     addObjectTracker(celestialObject, options = {}) {
         const config = {
@@ -584,7 +1354,8 @@ export class UiController {
             showLabel: options.showLabel !== false,
             scaleWithDistance: options.scaleWithDistance !== false,
             minScale: options.minScale || 0.5,
-            maxScale: options.maxScale || 2.0
+            maxScale: options.maxScale || 2.0,
+            maxDistance: options.maxDistance || Infinity
         };
         
         // Create the tracker element
@@ -732,7 +1503,8 @@ export class UiController {
         const screenY = (-objectVector.y * 0.5 + 0.5) * window.innerHeight;
         
         // Check if object is in front of the camera (z < 1)
-        const isVisible = objectVector.z < 1;
+        const isVisible = objectVector.z < 1 &&
+            this.camera.position.distanceTo(objectPosition) <= this.resolveMaxDistance(config.maxDistance);
         
         if (isVisible && screenX >= -200 && screenX <= window.innerWidth + 200 && 
             screenY >= -200 && screenY <= window.innerHeight + 200) {
@@ -828,6 +1600,31 @@ export class UiController {
             }
         });
         
+        // Time-warp shortcuts: [ slower, ] faster, \ reverse
+        document.addEventListener('keydown', (event) => {
+            switch (event.code) {
+                case 'BracketLeft':
+                    this.stepTimeWarp(-1);
+                    break;
+                case 'BracketRight':
+                    this.stepTimeWarp(1);
+                    break;
+                case 'Backslash':
+                    this.reverseTime();
+                    break;
+            }
+        });
+        
+        // Drop element files or spacecraft tables anywhere on the canvas
+        window.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+        });
+        window.addEventListener('drop', (event) => {
+            event.preventDefault();
+            Array.from(event.dataTransfer.files).forEach(file => this.loadDroppedFile(file));
+        });
+        
         // Handle window resize for SVG
         window.addEventListener('resize', () => {
             if (this.svgContainer) {
@@ -843,7 +1640,26 @@ export class UiController {
     update() {
         this.updateTrackers();
         this.updateTrajectories();
+        this.updateDateDisplay();
         this.updatePlanetButtonStates(); // Add this line
+        this.updateResonanceDetails();
+    }
+    
+    /**
+     * Updates the resonance readouts in the planet selection panel
+     */
+    updateResonanceDetails() {
+        if (!this.animationController || !this.animationController.getResonance) return;
+        
+        this.planetButtons.forEach((buttonData, planetKey) => {
+            const { resonance, detailLabel } = buttonData;
+            if (!resonance || !detailLabel) return;
+            
+            const state = this.animationController.getResonance(planetKey, resonance.with, resonance.p, resonance.q);
+            if (state) {
+                detailLabel.textContent = `${resonance.q}:${resonance.p} ${resonance.with} · P ${state.periodRatio.toFixed(3)} · φ ${state.resonantAngle.toFixed(0)}°`;
+            }
+        });
     }
     
     /**
@@ -940,7 +1756,18 @@ export class UiController {
         }
         this.container = null;
         this.pauseIndicator = null;
+        this.datePanel = null;
+        this.dateDisplay = null;
+        this.dateWarning = null;
+        this.dateInput = null;
+        this.rateDisplay = null;
         this.svgContainer = null;
+        this.importLog = null;
+        this.importLogList = null;
+        this.plannerPanel = null;
+        this.porkchopPanel = null;
+        this.eventPanel = null;
+        this.lagrangePanel = null;
         this.trackedObjects.clear();
         this.trajectories.clear();
         this.uiElements = [];
@@ -952,145 +1779,1207 @@ export class UiController {
      * UPDATED: Automatically sets up trackers and trajectories for all celestial objects
      */
     setupAllTrackersAndTrajectories() {
-        // Define planet configurations matching your main.js setup
-        const planetConfigs = {
-            earth: {
-                tracker: {
-                    name: 'Earth',
-                    color: '#23ccff',
-                    size: 40,
-                    shape: 'square'
-                },
-                trajectory: {
-                    color: '#23ccff',
-                    length: 0.3,
-                    opacity: 0.6,
-                    radius: 70,
-                    speed: 1
-                }
-            },
-            mars: {
-                tracker: {
-                    name: 'Mars',
-                    color: '#ff6b6b',
-                    size: 35,
-                    shape: 'square'
-                },
-                trajectory: {
-                    color: '#ff6b6b',
-                    length: 0.3,
-                    opacity: 0.7,
-                    radius: 96,
-                    speed: 0.53
-                }
-            },
-            mercury: {
-                tracker: {
-                    name: 'Mercury',
-                    color: '#bbbbbb',
-                    size: 30,
-                    shape: 'square'
-                },
-                trajectory: {
-                    color: '#bbbbbb',
-                    length: 0.3,
-                    opacity: 0.7,
-                    radius: 36,
-                    speed: 4.15
-                }
-            },
-            venus: {
-                tracker: {
-                    name: 'Venus',
-                    color: '#ffddaa',
-                    size: 32,
-                    shape: 'square'
-                },
-                trajectory: {
-                    color: '#ffddaa',
-                    length: 0.3,
-                    opacity: 0.7,
-                    radius: 52,
-                    speed: 1.62
-                }
-            },
-            jupiter: {
-                tracker: {
-                    name: 'Jupiter',
-                    color: '#bf77ff',
-                    size: 45,
-                    shape: 'square'
-                },
-                trajectory: {
-                    color: '#bf77ff',
-                    length: 0.3,
-                    opacity: 0.7,
-                    radius: 130,
-                    speed: 0.084
-                }
-            },
-            saturn: {
-                tracker: {
-                    name: 'Saturn',
-                    color: '#a4f485',
-                    size: 42,
-                    shape: 'square'
-                },
-                trajectory: {
-                    color: '#a4f485',
-                    length: 0.3,
-                    opacity: 0.7,
-                    radius: 150,
-                    speed: 0.034
-                }
-            },
-            uranus: {
-                tracker: {
-                    name: 'Uranus',
-                    color: '#7fffd4',
-                    size: 40,
-                    shape: 'square'
-                },
-                trajectory: {
-                    color: '#7fffd4',
-                    length: 0.3,
-                    opacity: 0.7,
-                    radius: 200,
-                    speed: 0.012
-                }
-            },
-            neptune: {
-                tracker: {
-                    name: 'Neptune',
-                    color: '#4169e1',
-                    size: 40,
-                    shape: 'square'
-                },
-                trajectory: {
-                    color: '#4169e1',
-                    length: 0.3,
-                    opacity: 0.7,
-                    radius: 250,
-                    speed: 0.006
-                }
-            }
+        // Planets, dwarf planets and comets, with the overlay styles from the body catalog
+        BODY_CATALOG.forEach(entry => {
+            const body = this.celestialObjects[entry.key];
+            if (!body || entry.type === 'star' || entry.type === 'moon') return;
+            
+            // Add tracker
+            this.addPlanetTracker(body, entry.key, { name: entry.name, color: entry.color, ...entry.tracker });
+            
+            // Add trajectory
+            this.addPlanetTrajectory(body, entry.key, { color: entry.color, ...entry.trajectory });
+        });
+
+        // Moons get smaller circular trackers, shown only near their parent
+        if (this.animationController && this.animationController.moonConfig) {
+            Object.keys(this.animationController.moonConfig).forEach(moonName => {
+                this.addMoonTrackerAndTrajectory(moonName);
+            });
+        }
+    }
+
+    /**
+     * Adds a tracker and a full-orbit trajectory for a moon
+     * @param {string} moonName - Name of the moon in celestialObjects
+     */
+    addMoonTrackerAndTrajectory(moonName) {
+        const moon = this.celestialObjects[moonName];
+        const moonConfig = this.animationController.moonConfig[moonName];
+        if (!moon || !moonConfig) return;
+
+        const parent = this.celestialObjects[moonConfig.parent];
+        const color = moon.color || '#d8d8d8';
+        const entry = getCatalogEntry(moonName) || {};
+        const tracker = { size: 24, shape: 'circle', ...entry.tracker };
+        const trajectory = { length: 1.0, opacity: 0.5, ...entry.trajectory };
+
+        // Only worth showing within a few orbit radii of the parent (read live: scale modes resize the orbit)
+        const maxDistance = () => {
+            const liveConfig = this.animationController.moonConfig[moonName] || moonConfig;
+            return Math.max(30, liveConfig.semiMajorAxis * 12);
         };
 
-        // Setup trackers and trajectories for all available planets
-        Object.keys(planetConfigs).forEach(planetName => {
-            const planet = this.celestialObjects[planetName];
-            if (planet) {
-                const config = planetConfigs[planetName];
-                
-                // Add tracker
-                this.addPlanetTracker(planet, planetName, config.tracker);
-                
-                // Add trajectory
-                this.addPlanetTrajectory(planet, planetName, config.trajectory);
+        this.addObjectTracker(moon, {
+            name: moon.name || moonName,
+            id: `${moonName}-tracker`,
+            color: color,
+            size: tracker.size,
+            shape: tracker.shape,
+            minScale: 1.0,
+            maxScale: 1.2,
+            maxDistance: maxDistance
+        });
+
+        this.addTrajectoryLine(moon, {
+            id: `${moonName}-trajectory`,
+            color: color,
+            width: 1,
+            length: trajectory.length,
+            opacity: trajectory.opacity,
+            dashed: false,
+            segments: 80,
+            maxDistance: maxDistance,
+            orbitParams: {
+                centerX: 0,
+                centerY: 0,
+                centerZ: 0,
+                name: moonName,
+                parent: parent
             }
         });
     }
 
+    /**
+     * Loads a spacecraft from a state-vector file picked by the user
+     * @param {File} file - Horizons vector table (CSV, text or JSON)
+     */
+    loadSpacecraftFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            // Name after the file unless the table names its target
+            const fallbackName = file.name.replace(/\.[^.]+$/, '');
+            const key = this.loadSpacecraftText(reader.result, { fallbackName });
+            if (key) {
+                this.logImport(`${file.name}: loaded spacecraft ${this.celestialObjects[key].name}`, 'ok');
+            } else {
+                this.logImport(`${file.name}: no usable state vectors`, 'error');
+            }
+        };
+        reader.onerror = () => this.logImport(`${file.name}: could not be read`, 'error');
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Reads a dropped file and imports it as orbital elements or as a spacecraft table
+     * @param {File} file - Dropped file
+     */
+    loadDroppedFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const text = reader.result;
+            if (detectElementsFormat(text)) {
+                this.importElementsText(text, file.name);
+                return;
+            }
+            
+            // Not an element file: try it as a state-vector table
+            const fallbackName = file.name.replace(/\.[^.]+$/, '');
+            const key = this.loadSpacecraftText(text, { fallbackName });
+            if (key) {
+                this.logImport(`${file.name}: loaded spacecraft ${this.celestialObjects[key].name}`, 'ok');
+            } else {
+                this.logImport(`${file.name}: not a recognised element file or state-vector table`, 'error');
+            }
+        };
+        reader.onerror = () => this.logImport(`${file.name}: could not be read`, 'error');
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Imports asteroids and comets from MPC or Horizons element text and adds their overlays
+     * @param {string} text - File contents (see parseElementsFile)
+     * @param {string} sourceName - File name shown in the import log
+     * @returns {Array<string>} Keys of the bodies added as objects
+     */
+    importElementsText(text, sourceName = 'elements') {
+        if (!this.animationController) return [];
+        
+        const { format, records, errors } = parseElementsFile(text);
+        errors.forEach(error => {
+            const where = error.line ? `line ${error.line}` : 'header';
+            this.logImport(`${sourceName} ${where}: ${error.message}`, 'error');
+        });
+        if (records.length === 0) {
+            this.logImport(`${sourceName}: no usable records`, 'error');
+            return [];
+        }
+        
+        const { added, beltCount, mainBeltCount, dropped } = this.animationController.importOrbitalElements(records);
+        added.forEach(body => this.addImportedBodyOverlays(body));
+        
+        const summary = `${sourceName} (${format}): ${added.length} added` +
+            (beltCount ? `, ${beltCount} shown as points` : '') +
+            (mainBeltCount ? ` (${mainBeltCount} in the main belt)` : '') +
+            (errors.length ? `, ${errors.length} skipped` : '');
+        this.logImport(summary, 'ok');
+        if (dropped) {
+            this.logImport(`${sourceName}: ${dropped} comets not shown (object limit reached)`, 'error');
+        }
+        return added.map(body => body.key);
+    }
+    
+    /**
+     * Adds the tracker, orbit and lock button for an imported asteroid or comet
+     * @param {Object} body - Imported body {key, name, type, object}
+     */
+    addImportedBodyOverlays(body) {
+        const { key, name, type, object } = body;
+        const color = object.color || '#c9b79c';
+        
+        this.addPlanetTracker(object, key, {
+            name: name,
+            color: color,
+            size: 24,
+            shape: type === 'comet' ? 'circle' : 'diamond'
+        });
+        this.addPlanetTrajectory(object, key, {
+            color: color,
+            length: 1.0,
+            opacity: 0.4,
+            dashed: true
+        });
+        
+        if (this.planetPanel) {
+            this.planetPanel.appendChild(this.createPlanetBox({
+                key: key,
+                name: name,
+                color: color,
+                lockKey: `${key}Lock`
+            }));
+        }
+    }
+    
+    /**
+     * Creates the import log panel in the bottom right (shown after the first import)
+     */
+    createImportLog() {
+        // Wrapper joins the hideable UI; the panel itself stays hidden until there is something to show
+        const wrapper = document.createElement('div');
+        wrapper.style.cssText = `
+            position: absolute;
+            bottom: 20px;
+            right: 20px;
+            display: flex;
+            pointer-events: auto;
+            z-index: 1001;
+        `;
+        
+        this.importLog = document.createElement('div');
+        this.importLog.id = 'import-log';
+        this.importLog.style.cssText = `
+            display: none;
+            flex-direction: column;
+            width: 420px;
+            max-height: 200px;
+            padding: 10px 12px;
+            border: 2px solid #c9b79c;
+            background: rgba(0, 0, 0, 0.8);
+            box-shadow: 0 0 10px rgba(201, 183, 156, 0.3);
+            font-size: 11px;
+        `;
+        
+        const header = document.createElement('div');
+        header.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            color: #c9b79c;
+            font-weight: bold;
+            letter-spacing: 1px;
+            margin-bottom: 6px;
+        `;
+        header.textContent = 'IMPORT LOG';
+        
+        const closeButton = document.createElement('span');
+        closeButton.textContent = '×';
+        closeButton.style.cssText = 'cursor: pointer; font-size: 14px;';
+        closeButton.addEventListener('click', () => {
+            this.importLog.style.display = 'none';
+        });
+        header.appendChild(closeButton);
+        
+        this.importLogList = document.createElement('div');
+        this.importLogList.style.cssText = `
+            overflow-y: auto;
+            line-height: 1.4;
+        `;
+        
+        this.importLog.appendChild(header);
+        this.importLog.appendChild(this.importLogList);
+        wrapper.appendChild(this.importLog);
+        this.container.appendChild(wrapper);
+        
+        this.uiElements.push(wrapper);
+    }
+    
+    /**
+     * Appends a line to the import log and shows it
+     * @param {string} message - Message text
+     * @param {string} level - 'ok', 'error' or 'info'
+     */
+    logImport(message, level = 'info') {
+        const colors = { ok: '#06d6a0', error: '#ef476f', info: '#cccccc' };
+        (level === 'error' ? console.warn : console.log)(message);
+        if (!this.importLogList) return;
+        
+        const line = document.createElement('div');
+        line.style.color = colors[level] || colors.info;
+        line.textContent = message;
+        this.importLogList.appendChild(line);
+        this.importLogList.scrollTop = this.importLogList.scrollHeight;
+        this.importLog.style.display = 'flex';
+    }
+    
+    /**
+     * Creates the mission planner panel at the bottom of the screen (hidden until toggled)
+     */
+    createMissionPlanner() {
+        const color = '#06d6a0';
+        
+        // Wrapper joins the hideable UI; the panel itself is opened with the PLANNER button
+        const wrapper = document.createElement('div');
+        wrapper.style.cssText = `
+            position: absolute;
+            bottom: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: flex;
+            pointer-events: auto;
+            z-index: 1001;
+        `;
+        
+        this.plannerPanel = document.createElement('div');
+        this.plannerPanel.id = 'mission-planner';
+        this.plannerPanel.style.cssText = `
+            display: none;
+            flex-direction: column;
+            gap: 8px;
+            width: 460px;
+            padding: 10px 12px;
+            border: 2px solid ${color};
+            background: rgba(0, 0, 0, 0.8);
+            color: ${color};
+            box-shadow: 0 0 10px ${this.hexToRgba(color, 0.3)};
+            font-size: 12px;
+        `;
+        
+        const header = document.createElement('div');
+        header.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            font-weight: bold;
+            letter-spacing: 1px;
+        `;
+        header.textContent = 'MISSION PLANNER · HOHMANN TRANSFER';
+        
+        const closeButton = document.createElement('span');
+        closeButton.textContent = '×';
+        closeButton.style.cssText = 'cursor: pointer; font-size: 14px;';
+        closeButton.addEventListener('click', () => this.toggleMissionPlanner(false));
+        header.appendChild(closeButton);
+        
+        // Origin and destination pickers
+        const controls = document.createElement('div');
+        controls.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+        
+        const createSelect = (selected) => {
+            const select = document.createElement('select');
+            select.style.cssText = `
+                background: rgba(0, 0, 0, 0.7);
+                border: 1px solid ${color};
+                color: ${color};
+                font-family: 'Courier New', monospace;
+                font-size: 12px;
+                padding: 2px 4px;
+            `;
+            PLANNER_PLANETS.filter(name => this.celestialObjects && this.celestialObjects[name]).forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name.charAt(0).toUpperCase() + name.slice(1);
+                option.selected = name === selected;
+                select.appendChild(option);
+            });
+            select.addEventListener('change', () => this.planMission());
+            return select;
+        };
+        
+        this.plannerOrigin = createSelect('earth');
+        this.plannerDestination = createSelect('mars');
+        
+        const planButton = this.createDateButton('PLAN', color);
+        planButton.addEventListener('click', () => this.planMission());
+        
+        this.plannerLaunchButton = this.createDateButton('LAUNCH', color);
+        this.plannerLaunchButton.title = 'Jump to the selected launch window and launch a probe';
+        this.plannerLaunchButton.addEventListener('click', () => this.launchPlannedProbe());
+        
+        controls.appendChild(document.createTextNode('FROM'));
+        controls.appendChild(this.plannerOrigin);
+        controls.appendChild(document.createTextNode('TO'));
+        controls.appendChild(this.plannerDestination);
+        controls.appendChild(planButton);
+        controls.appendChild(this.plannerLaunchButton);
+        
+        // Transfer figures for the selected window
+        this.plannerDetails = document.createElement('div');
+        this.plannerDetails.style.cssText = 'line-height: 1.5; color: #cccccc; white-space: pre;';
+        
+        // Next launch windows (click one to select it)
+        this.plannerWindowList = document.createElement('div');
+        this.plannerWindowList.style.cssText = 'display: flex; flex-direction: column; gap: 2px;';
+        
+        this.plannerPanel.appendChild(header);
+        this.plannerPanel.appendChild(controls);
+        this.plannerPanel.appendChild(this.plannerWindowList);
+        this.plannerPanel.appendChild(this.plannerDetails);
+        wrapper.appendChild(this.plannerPanel);
+        this.container.appendChild(wrapper);
+        
+        this.uiElements.push(wrapper);
+    }
+    
+    /**
+     * Opens or closes the mission planner (planning on open, clearing the preview arc on close)
+     * @param {boolean} visible - Desired state (toggles when omitted)
+     */
+    toggleMissionPlanner(visible = this.plannerPanel.style.display === 'none') {
+        this.plannerPanel.style.display = visible ? 'flex' : 'none';
+        
+        if (visible) {
+            this.planMission();
+        } else if (this.animationController) {
+            this.animationController.showTransferPreview(null);
+        }
+    }
+    
+    /**
+     * Computes the next launch windows for the selected planets and lists them
+     */
+    planMission() {
+        if (!this.animationController) return;
+        
+        const origin = this.plannerOrigin.value;
+        const destination = this.plannerDestination.value;
+        this.plannerWindows = this.animationController.planTransfer(origin, destination, 3);
+        this.plannerWindowList.innerHTML = '';
+        
+        if (this.plannerWindows.length === 0) {
+            this.plannerSelection = null;
+            this.plannerDetails.textContent = origin === destination
+                ? 'Pick two different planets.'
+                : 'No launch window found.';
+            this.animationController.showTransferPreview(null);
+            return;
+        }
+        
+        this.plannerWindows.forEach((transfer, index) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'cursor: pointer; padding: 1px 4px;';
+            row.textContent = `WINDOW ${index + 1}: ${this.formatDate(julianDateToDate(transfer.launchDate), false)}` +
+                ` → ${this.formatDate(julianDateToDate(transfer.arrivalDate), false)}`;
+            row.addEventListener('click', () => this.selectLaunchWindow(index));
+            this.plannerWindowList.appendChild(row);
+        });
+        
+        this.selectLaunchWindow(0);
+    }
+    
+    /**
+     * Shows the figures and preview arc of one of the listed launch windows
+     * @param {number} index - Window index
+     */
+    selectLaunchWindow(index) {
+        const transfer = this.plannerWindows[index];
+        if (!transfer) return;
+        
+        this.plannerSelection = transfer;
+        Array.from(this.plannerWindowList.children).forEach((row, rowIndex) => {
+            row.style.background = rowIndex === index ? this.hexToRgba('#06d6a0', 0.25) : 'transparent';
+        });
+        
+        const origin = this.plannerOrigin.value;
+        const destination = this.plannerDestination.value;
+        const burn = value => (value === null ? 'n/a' : `${value.toFixed(2)} km/s`);
+        
+        this.plannerDetails.textContent = [
+            `Transfer orbit   a = ${transfer.semiMajorAxis.toFixed(3)} AU   e = ${transfer.eccentricity.toFixed(3)}`,
+            `Time of flight   ${transfer.timeOfFlight.toFixed(0)} days (${(transfer.timeOfFlight / 365.25).toFixed(2)} yr)`,
+            `Phase angle      ${transfer.phaseAngle.toFixed(1)}° (${destination} ahead of ${origin})`,
+            `Delta-v (Sun)    ${transfer.departureDeltaV.toFixed(2)} + ${transfer.arrivalDeltaV.toFixed(2)} = ${transfer.totalDeltaV.toFixed(2)} km/s`,
+            `From ${PARKING_ALTITUDE_KM} km orbit ${burn(transfer.departureBurn)} departure, ${burn(transfer.captureBurn)} capture`
+        ].join('\n');
+        
+        this.animationController.showTransferPreview(transfer, origin, destination);
+    }
+    
+    /**
+     * Jumps to the selected launch window and launches a probe along the transfer
+     */
+    launchPlannedProbe() {
+        const transfer = this.plannerSelection;
+        if (!this.animationController || !transfer) return;
+        
+        const origin = this.plannerOrigin.value;
+        const destination = this.plannerDestination.value;
+        const count = Object.keys(this.animationController.spacecraft).length;
+        
+        this.jumpToDate(julianDateToDate(transfer.launchDate));
+        const { key, probe } = this.animationController.launchProbe(transfer, origin, destination, {
+            color: SPACECRAFT_COLORS[count % SPACECRAFT_COLORS.length]
+        });
+        this.addSpacecraftOverlays(key, probe);
+    }
+    
+    /**
+     * Creates the porkchop plot panel below the date panel (hidden until toggled)
+     */
+    createPorkchopPanel() {
+        const color = '#f78c6b';
+        
+        // Wrapper joins the hideable UI; the panel itself is opened with the PORKCHOP button
+        const wrapper = document.createElement('div');
+        wrapper.style.cssText = `
+            position: absolute;
+            top: 80px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: flex;
+            pointer-events: auto;
+            z-index: 1001;
+        `;
+        
+        this.porkchopPanel = document.createElement('div');
+        this.porkchopPanel.id = 'porkchop-panel';
+        this.porkchopPanel.style.cssText = `
+            display: none;
+            flex-direction: column;
+            gap: 8px;
+            padding: 10px 12px;
+            border: 2px solid ${color};
+            background: rgba(0, 0, 0, 0.85);
+            color: ${color};
+            box-shadow: 0 0 10px ${this.hexToRgba(color, 0.3)};
+            font-size: 12px;
+        `;
+        
+        const header = document.createElement('div');
+        header.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            font-weight: bold;
+            letter-spacing: 1px;
+        `;
+        header.textContent = 'PORKCHOP PLOT · LAMBERT TRANSFERS';
+        
+        const closeButton = document.createElement('span');
+        closeButton.textContent = '×';
+        closeButton.style.cssText = 'cursor: pointer; font-size: 14px;';
+        closeButton.addEventListener('click', () => this.togglePorkchopPanel(false));
+        header.appendChild(closeButton);
+        
+        // Body pickers (filled on open, so imported bodies are included) and metric
+        const controls = document.createElement('div');
+        controls.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+        
+        const createSelect = () => {
+            const select = document.createElement('select');
+            select.style.cssText = `
+                background: rgba(0, 0, 0, 0.7);
+                border: 1px solid ${color};
+                color: ${color};
+                font-family: 'Courier New', monospace;
+                font-size: 12px;
+                padding: 2px 4px;
+            `;
+            return select;
+        };
+        
+        this.porkchopOrigin = createSelect();
+        this.porkchopDestination = createSelect();
+        this.porkchopMetric = createSelect();
+        [['deltaV', 'TOTAL ΔV'], ['c3', 'C3']].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.porkchopMetric.appendChild(option);
+        });
+        this.porkchopOrigin.addEventListener('change', () => this.computePorkchopPlot());
+        this.porkchopDestination.addEventListener('change', () => this.computePorkchopPlot());
+        this.porkchopMetric.addEventListener('change', () => this.drawPorkchopPlot());
+        
+        const computeButton = this.createDateButton('COMPUTE', color);
+        computeButton.title = 'Recompute from the current simulation date';
+        computeButton.addEventListener('click', () => this.computePorkchopPlot());
+        
+        controls.appendChild(document.createTextNode('FROM'));
+        controls.appendChild(this.porkchopOrigin);
+        controls.appendChild(document.createTextNode('TO'));
+        controls.appendChild(this.porkchopDestination);
+        controls.appendChild(this.porkchopMetric);
+        controls.appendChild(computeButton);
+        
+        // Chart: departure date across, arrival date up
+        this.porkchopCanvas = document.createElement('canvas');
+        this.porkchopCanvas.width = 460;
+        this.porkchopCanvas.height = 340;
+        this.porkchopCanvas.style.cssText = 'cursor: crosshair;';
+        this.porkchopCanvas.addEventListener('click', (event) => {
+            const bounds = this.porkchopCanvas.getBoundingClientRect();
+            this.selectPorkchopCell(event.clientX - bounds.left, event.clientY - bounds.top);
+        });
+        
+        this.porkchopDetails = document.createElement('div');
+        this.porkchopDetails.style.cssText = 'line-height: 1.5; color: #cccccc; white-space: pre;';
+        this.porkchopDetails.textContent = 'Click the chart to pick a departure and arrival date.';
+        
+        this.porkchopPanel.appendChild(header);
+        this.porkchopPanel.appendChild(controls);
+        this.porkchopPanel.appendChild(this.porkchopCanvas);
+        this.porkchopPanel.appendChild(this.porkchopDetails);
+        wrapper.appendChild(this.porkchopPanel);
+        this.container.appendChild(wrapper);
+        
+        this.uiElements.push(wrapper);
+    }
+    
+    /**
+     * Opens or closes the porkchop plot (computing on open, clearing the drawn conic on close)
+     * @param {boolean} visible - Desired state (toggles when omitted)
+     */
+    togglePorkchopPanel(visible = this.porkchopPanel.style.display === 'none') {
+        this.porkchopPanel.style.display = visible ? 'flex' : 'none';
+        if (!this.animationController) return;
+        
+        if (!visible) {
+            this.animationController.showTransferPreview(null);
+            return;
+        }
+        
+        // Offer every body in the scene that has ephemeris elements
+        const bodies = this.animationController.getEphemerisBodies();
+        [[this.porkchopOrigin, 'earth'], [this.porkchopDestination, 'mars']].forEach(([select, fallback]) => {
+            const previous = select.value || fallback;
+            select.innerHTML = '';
+            bodies.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = this.celestialObjects[name].name || name.charAt(0).toUpperCase() + name.slice(1);
+                option.selected = name === previous;
+                select.appendChild(option);
+            });
+        });
+        this.computePorkchopPlot();
+    }
+    
+    /**
+     * Computes the porkchop grid for the selected bodies from the current date
+     */
+    computePorkchopPlot() {
+        this.porkchopGrid = this.animationController.planPorkchop(this.porkchopOrigin.value, this.porkchopDestination.value);
+        this.porkchopSelection = null;
+        this.drawPorkchopPlot();
+    }
+    
+    // Plot area of the porkchop canvas (room for axis labels on the left and bottom)
+    getPorkchopPlotArea() {
+        return { left: 70, top: 10, width: this.porkchopCanvas.width - 80, height: this.porkchopCanvas.height - 50 };
+    }
+    
+    /**
+     * Draws the porkchop grid as colored cells with contour lines
+     */
+    drawPorkchopPlot() {
+        const context = this.porkchopCanvas.getContext('2d');
+        const { width, height } = this.porkchopCanvas;
+        context.clearRect(0, 0, width, height);
+        
+        const grid = this.porkchopGrid;
+        if (!grid) {
+            context.fillStyle = '#cccccc';
+            context.font = "12px 'Courier New', monospace";
+            context.fillText('Pick two different bodies.', 20, 30);
+            return;
+        }
+        
+        const metric = this.porkchopMetric.value;
+        const values = metric === 'c3' ? grid.c3 : grid.totalDeltaV;
+        const steps = grid.departureDates.length;
+        const area = this.getPorkchopPlotArea();
+        const cellWidth = area.width / steps;
+        const cellHeight = area.height / steps;
+        
+        // Color scale from the cheapest transfer up to a fixed span above it
+        let minimum = Infinity;
+        values.forEach(row => row.forEach(value => {
+            if (value < minimum) minimum = value;
+        }));
+        const span = metric === 'c3' ? 80 : 12;
+        const levelStep = metric === 'c3' ? 10 : 1;
+        
+        values.forEach((row, arrivalIndex) => {
+            row.forEach((value, departureIndex) => {
+                const t = (value - minimum) / span;
+                context.fillStyle = !Number.isFinite(value) || t > 1
+                    ? '#1a1a1a'
+                    : `hsl(${Math.round(200 * (1 - t))}, 80%, ${Math.round(25 + 20 * (1 - t))}%)`;
+                context.fillRect(
+                    area.left + departureIndex * cellWidth,
+                    area.top + area.height - (arrivalIndex + 1) * cellHeight,
+                    Math.ceil(cellWidth),
+                    Math.ceil(cellHeight)
+                );
+            });
+        });
+        
+        // Contours through the cell centers (marching squares)
+        const x = departureIndex => area.left + (departureIndex + 0.5) * cellWidth;
+        const y = arrivalIndex => area.top + area.height - (arrivalIndex + 0.5) * cellHeight;
+        context.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        context.lineWidth = 1;
+        for (let level = Math.ceil(minimum / levelStep) * levelStep; level <= minimum + span; level += levelStep) {
+            context.beginPath();
+            for (let j = 0; j < steps - 1; j++) {
+                for (let i = 0; i < steps - 1; i++) {
+                    const corners = [[i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1]];
+                    const crossings = [];
+                    corners.forEach(([ci, cj], index) => {
+                        const [ni, nj] = corners[(index + 1) % 4];
+                        const a = values[cj][ci];
+                        const b = values[nj][ni];
+                        if (!Number.isFinite(a) || !Number.isFinite(b) || (a < level) === (b < level)) return;
+                        const t = (level - a) / (b - a);
+                        crossings.push([x(ci + (ni - ci) * t), y(cj + (nj - cj) * t)]);
+                    });
+                    for (let k = 0; k + 1 < crossings.length; k += 2) {
+                        context.moveTo(...crossings[k]);
+                        context.lineTo(...crossings[k + 1]);
+                    }
+                }
+            }
+            context.stroke();
+        }
+        
+        // Axes with date ticks
+        const formatDay = julianDate => this.formatDate(julianDateToDate(julianDate), false);
+        context.fillStyle = '#f78c6b';
+        context.font = "10px 'Courier New', monospace";
+        for (let tick = 0; tick <= 3; tick++) {
+            const index = Math.round(tick * (steps - 1) / 3);
+            context.textAlign = 'center';
+            context.fillText(formatDay(grid.departureDates[index]), x(index), area.top + area.height + 14);
+            context.textAlign = 'right';
+            context.fillText(formatDay(grid.arrivalDates[index]), area.left - 4, y(index) + 3);
+        }
+        context.textAlign = 'center';
+        context.fillText('DEPARTURE', area.left + area.width / 2, height - 6);
+        context.save();
+        context.translate(10, area.top + area.height / 2);
+        context.rotate(-Math.PI / 2);
+        context.fillText('ARRIVAL', 0, 0);
+        context.restore();
+        
+        // Cheapest transfer and the current selection
+        const mark = (departureIndex, arrivalIndex, markColor) => {
+            context.strokeStyle = markColor;
+            context.lineWidth = 2;
+            context.strokeRect(x(departureIndex) - 4, y(arrivalIndex) - 4, 8, 8);
+        };
+        if (grid.best) {
+            mark(grid.best.departureIndex, grid.best.arrivalIndex, '#ffffff');
+        }
+        if (this.porkchopSelection) {
+            mark(this.porkchopSelection.departureIndex, this.porkchopSelection.arrivalIndex, '#ffd166');
+        }
+    }
+    
+    /**
+     * Picks the grid cell under a click: jumps to its departure date and draws its conic
+     * @param {number} canvasX - Click position in canvas pixels
+     * @param {number} canvasY - Click position in canvas pixels
+     */
+    selectPorkchopCell(canvasX, canvasY) {
+        const grid = this.porkchopGrid;
+        if (!grid || !this.animationController) return;
+        
+        const steps = grid.departureDates.length;
+        const area = this.getPorkchopPlotArea();
+        const departureIndex = Math.floor((canvasX - area.left) / (area.width / steps));
+        const arrivalIndex = Math.floor((area.top + area.height - canvasY) / (area.height / steps));
+        if (departureIndex < 0 || departureIndex >= steps || arrivalIndex < 0 || arrivalIndex >= steps) return;
+        
+        const origin = this.porkchopOrigin.value;
+        const destination = this.porkchopDestination.value;
+        const transfer = this.animationController.getLambertTransfer(
+            origin,
+            destination,
+            grid.departureDates[departureIndex],
+            grid.arrivalDates[arrivalIndex]
+        );
+        
+        this.porkchopSelection = { departureIndex, arrivalIndex };
+        this.drawPorkchopPlot();
+        if (!transfer) {
+            this.porkchopDetails.textContent = 'No transfer for these dates.';
+            return;
+        }
+        
+        // The grid keeps its dates; only the clock and the drawn conic follow the pick
+        this.jumpToDate(julianDateToDate(transfer.launchDate));
+        const drawn = this.animationController.showTransferPreview(transfer, origin, destination);
+        
+        const formatDay = julianDate => this.formatDate(julianDateToDate(julianDate), false);
+        this.porkchopDetails.textContent = [
+            `Depart ${formatDay(transfer.launchDate)}   Arrive ${formatDay(transfer.arrivalDate)}   (${transfer.timeOfFlight.toFixed(0)} days)`,
+            `C3 ${transfer.c3.toFixed(1)} km²/s²   v∞ out ${transfer.departureVInf.toFixed(2)} km/s   v∞ in ${transfer.arrivalVInf.toFixed(2)} km/s`,
+            `Total ΔV ${transfer.totalDeltaV.toFixed(2)} km/s` +
+                (drawn ? `   a = ${transfer.orbitElements.semiMajorAxis.toFixed(3)} AU  e = ${transfer.orbitElements.eccentricity.toFixed(3)}` : '   (hyperbolic: not drawn)')
+        ].join('\n');
+    }
+    
+    /**
+     * Creates the event finder panel below the toggle buttons (hidden until toggled)
+     */
+    createEventFinder() {
+        const color = '#c77dff';
+        
+        // Wrapper joins the hideable UI; the panel itself is opened with the EVENTS button
+        const wrapper = document.createElement('div');
+        wrapper.style.cssText = `
+            position: absolute;
+            top: 80px;
+            right: 180px;
+            display: flex;
+            pointer-events: auto;
+            z-index: 1001;
+        `;
+        
+        this.eventPanel = document.createElement('div');
+        this.eventPanel.id = 'event-panel';
+        this.eventPanel.style.cssText = `
+            display: none;
+            flex-direction: column;
+            gap: 8px;
+            width: 380px;
+            padding: 10px 12px;
+            border: 2px solid ${color};
+            background: rgba(0, 0, 0, 0.85);
+            color: ${color};
+            box-shadow: 0 0 10px ${this.hexToRgba(color, 0.3)};
+            font-size: 12px;
+        `;
+        
+        const header = document.createElement('div');
+        header.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            font-weight: bold;
+            letter-spacing: 1px;
+        `;
+        header.textContent = 'EVENT FINDER';
+        
+        const closeButton = document.createElement('span');
+        closeButton.textContent = '×';
+        closeButton.style.cssText = 'cursor: pointer; font-size: 14px;';
+        closeButton.addEventListener('click', () => this.toggleEventFinder(false));
+        header.appendChild(closeButton);
+        
+        // Search direction and span
+        const controls = document.createElement('div');
+        controls.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+        
+        const createSelect = (options) => {
+            const select = document.createElement('select');
+            select.style.cssText = `
+                background: rgba(0, 0, 0, 0.7);
+                border: 1px solid ${color};
+                color: ${color};
+                font-family: 'Courier New', monospace;
+                font-size: 12px;
+                padding: 2px 4px;
+            `;
+            options.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            return select;
+        };
+        
+        this.eventDirection = createSelect([['1', 'FORWARD'], ['-1', 'BACKWARD']]);
+        this.eventSpan = createSelect([['365', '1 YEAR'], ['1826', '5 YEARS'], ['7305', '20 YEARS']]);
+        
+        const findButton = this.createDateButton('FIND', color);
+        findButton.title = 'Search from the current simulation date';
+        findButton.addEventListener('click', () => this.findEvents());
+        
+        controls.appendChild(this.eventDirection);
+        controls.appendChild(this.eventSpan);
+        controls.appendChild(findButton);
+        
+        // Event type filters
+        const filters = document.createElement('div');
+        filters.style.cssText = 'display: flex; flex-wrap: wrap; gap: 2px 10px; color: #cccccc;';
+        this.eventTypeInputs = {};
+        Object.keys(EVENT_TYPES).forEach(type => {
+            const label = document.createElement('label');
+            label.style.cssText = 'cursor: pointer; white-space: nowrap;';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = true;
+            input.style.cssText = `accent-color: ${color}; margin: 0 4px 0 0; vertical-align: middle;`;
+            label.appendChild(input);
+            label.appendChild(document.createTextNode(EVENT_TYPES[type]));
+            filters.appendChild(label);
+            this.eventTypeInputs[type] = input;
+        });
+        
+        this.eventList = document.createElement('div');
+        this.eventList.style.cssText = `
+            max-height: 260px;
+            overflow-y: auto;
+            line-height: 1.5;
+        `;
+        
+        this.eventStatus = document.createElement('div');
+        this.eventStatus.style.cssText = 'color: #cccccc;';
+        this.eventStatus.textContent = 'Click an event to jump to it.';
+        
+        this.eventPanel.appendChild(header);
+        this.eventPanel.appendChild(controls);
+        this.eventPanel.appendChild(filters);
+        this.eventPanel.appendChild(this.eventList);
+        this.eventPanel.appendChild(this.eventStatus);
+        wrapper.appendChild(this.eventPanel);
+        this.container.appendChild(wrapper);
+        
+        this.uiElements.push(wrapper);
+    }
+    
+    /**
+     * Opens or closes the event finder (searching on first open)
+     * @param {boolean} visible - Desired state (toggles when omitted)
+     */
+    toggleEventFinder(visible = this.eventPanel.style.display === 'none') {
+        this.eventPanel.style.display = visible ? 'flex' : 'none';
+        if (visible && this.eventResults.length === 0) {
+            this.findEvents();
+        }
+    }
+    
+    /**
+     * Searches from the current date with the selected direction, span and event types
+     */
+    findEvents() {
+        if (!this.animationController) return;
+        
+        const types = Object.keys(this.eventTypeInputs).filter(type => this.eventTypeInputs[type].checked);
+        this.eventResults = this.animationController.findEvents({
+            days: parseInt(this.eventSpan.value, 10),
+            direction: parseInt(this.eventDirection.value, 10),
+            types
+        });
+        
+        this.eventList.innerHTML = '';
+        this.eventResults.forEach((event, index) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'cursor: pointer; padding: 1px 4px; white-space: nowrap;';
+            row.textContent = `${this.formatDate(julianDateToDate(event.julianDate)).replace(' UTC', '')}  ${event.title}`;
+            row.title = event.detail;
+            row.addEventListener('click', () => this.selectEvent(index));
+            this.eventList.appendChild(row);
+        });
+        
+        this.eventStatus.textContent = this.eventResults.length > 0
+            ? `${this.eventResults.length} events. Click one to jump to it.`
+            : 'No events in this span.';
+    }
+    
+    /**
+     * Jumps the clock to an event and frames it from the body it is seen from
+     * @param {number} index - Index in the result list
+     */
+    selectEvent(index) {
+        const event = this.eventResults[index];
+        if (!event) return;
+        
+        Array.from(this.eventList.children).forEach((row, rowIndex) => {
+            row.style.background = rowIndex === index ? this.hexToRgba('#c77dff', 0.25) : 'transparent';
+        });
+        this.jumpToDate(julianDateToDate(event.julianDate));
+        this.eventStatus.textContent = `${event.title}: ${event.detail}`;
+        
+        const focus = this.celestialObjects[event.focus];
+        const viewpoint = this.celestialObjects[event.viewFrom];
+        if (!focus || !viewpoint || !this.cameraController) return;
+        
+        // Look along the line of the alignment, raised a little so both bodies show
+        const direction = viewpoint.getPosition().sub(focus.getPosition()).normalize();
+        direction.y += 0.3;
+        
+        // From the sunward side the Earth and the Moon's shadow need room in the frame
+        let distance = null;
+        if (event.type === 'solar-eclipse' && this.celestialObjects.moon) {
+            distance = this.celestialObjects.moon.getPosition().distanceTo(focus.getPosition()) * 2;
+        }
+        
+        if (this.cameraController.frameObject(event.focus, direction, distance)) {
+            this.updatePlanetButtonStates();
+        }
+    }
+    
+    /**
+     * Creates the Lagrange point panel (hidden until toggled)
+     */
+    createLagrangePanel() {
+        const color = '#90e0ef';
+        
+        // Wrapper joins the hideable UI; the panel itself is opened with the LAGRANGE button
+        const wrapper = document.createElement('div');
+        wrapper.style.cssText = `
+            position: absolute;
+            bottom: 20px;
+            left: 240px;
+            display: flex;
+            pointer-events: auto;
+            z-index: 1001;
+        `;
+        
+        this.lagrangePanel = document.createElement('div');
+        this.lagrangePanel.id = 'lagrange-panel';
+        this.lagrangePanel.style.cssText = `
+            display: none;
+            flex-direction: column;
+            gap: 6px;
+            width: 320px;
+            max-height: 60vh;
+            overflow-y: auto;
+            padding: 10px 12px;
+            border: 2px solid ${color};
+            background: rgba(0, 0, 0, 0.85);
+            color: ${color};
+            box-shadow: 0 0 10px ${this.hexToRgba(color, 0.3)};
+            font-size: 12px;
+        `;
+        
+        const header = document.createElement('div');
+        header.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            font-weight: bold;
+            letter-spacing: 1px;
+        `;
+        header.textContent = 'LAGRANGE POINTS';
+        
+        const closeButton = document.createElement('span');
+        closeButton.textContent = '×';
+        closeButton.style.cssText = 'cursor: pointer; font-size: 14px;';
+        closeButton.addEventListener('click', () => this.toggleLagrangePanel(false));
+        header.appendChild(closeButton);
+        this.lagrangePanel.appendChild(header);
+        
+        const createCheckbox = (text, checked, onChange) => {
+            const label = document.createElement('label');
+            label.style.cssText = 'cursor: pointer; white-space: nowrap;';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = checked;
+            input.style.cssText = `accent-color: ${color}; margin: 0 6px 0 0; vertical-align: middle;`;
+            input.addEventListener('change', () => onChange(input.checked));
+            label.appendChild(input);
+            label.appendChild(document.createTextNode(text));
+            return { label, input };
+        };
+        
+        // One switch per pair, followed by its lockable points once shown
+        this.lagrangeInputs = {};
+        LAGRANGE_SYSTEMS.forEach(system => {
+            if (!this.celestialObjects[system.primary] || !this.celestialObjects[system.secondary]) return;
+            
+            const { label, input } = createCheckbox(system.name.toUpperCase(), false, checked => this.showLagrangeSystem(system, checked));
+            label.style.fontWeight = 'bold';
+            this.lagrangeInputs[system.key] = input;
+            
+            const list = document.createElement('div');
+            list.style.cssText = 'display: flex; flex-direction: column; gap: 4px;';
+            this.lagrangeLists[system.key] = list;
+            
+            this.lagrangePanel.appendChild(label);
+            this.lagrangePanel.appendChild(list);
+        });
+        
+        // Extras: halo-orbit sketches and Jupiter's Trojan clouds
+        const extras = document.createElement('div');
+        extras.style.cssText = 'display: flex; gap: 12px; color: #cccccc; margin-top: 4px;';
+        extras.appendChild(createCheckbox('HALO ORBITS', true, checked => {
+            if (this.animationController) this.animationController.setLagrangeHalosVisible(checked);
+        }).label);
+        extras.appendChild(createCheckbox('JUPITER TROJANS', false, checked => {
+            if (this.animationController) this.animationController.setJupiterTrojansVisible(checked);
+        }).label);
+        this.lagrangePanel.appendChild(extras);
+        
+        wrapper.appendChild(this.lagrangePanel);
+        this.container.appendChild(wrapper);
+        
+        this.uiElements.push(wrapper);
+    }
+    
+    /**
+     * Opens or closes the Lagrange point panel (showing Sun–Earth on first open)
+     * @param {boolean} visible - Desired state (toggles when omitted)
+     */
+    toggleLagrangePanel(visible = this.lagrangePanel.style.display === 'none') {
+        this.lagrangePanel.style.display = visible ? 'flex' : 'none';
+        
+        const anyShown = Object.values(this.lagrangeInputs).some(input => input.checked);
+        if (visible && !anyShown && this.lagrangeInputs.sunEarth) {
+            this.lagrangeInputs.sunEarth.checked = true;
+            this.showLagrangeSystem(LAGRANGE_SYSTEMS.find(system => system.key === 'sunEarth'), true);
+        }
+    }
+    
+    /**
+     * Shows or hides a pair's Lagrange points with labeled trackers and lock buttons
+     * @param {Object} system - Entry from LAGRANGE_SYSTEMS
+     * @param {boolean} visible - Whether to show the points
+     */
+    showLagrangeSystem(system, visible) {
+        if (!this.animationController) return;
+        
+        // Drop the previous rows, their lock buttons and trackers
+        const list = this.lagrangeLists[system.key];
+        Array.from(list.children).forEach(box => {
+            const key = box.id.replace(/-box$/, '');
+            this.planetButtons.delete(key);
+            this.removeTracker(`${key}-tracker`);
+        });
+        list.innerHTML = '';
+        
+        const keys = this.animationController.showLagrangePoints(system.primary, system.secondary, visible);
+        
+        // Labels only show within a few separations of the pair, like moon trackers
+        const separation = this.celestialObjects[system.primary].getPosition()
+            .distanceTo(this.celestialObjects[system.secondary].getPosition());
+        
+        keys.forEach(key => {
+            const point = this.celestialObjects[key];
+            list.appendChild(this.createPlanetBox({
+                key,
+                name: key.slice(-2),
+                color: system.color,
+                lockKey: `${key}Lock`,
+                indent: true,
+                detail: point.note
+            }));
+            this.addObjectTracker(point, {
+                name: point.name,
+                id: `${key}-tracker`,
+                color: system.color,
+                size: 20,
+                shape: 'diamond',
+                minScale: 1.0,
+                maxScale: 1.2,
+                maxDistance: Math.max(30, separation * 12)
+            });
+        });
+        this.updatePlanetButtonStates();
+    }
+    
+    /**
+     * Loads a spacecraft from a state-vector file shipped with the project
+     * @param {string} url - Relative URL of the table (e.g. './data/voyager1.csv')
+     * @param {Object} options - Options passed to AnimationController.loadSpacecraft
+     * @returns {Promise<string|null>} Key of the loaded spacecraft
+     */
+    async loadSpacecraftUrl(url, options = {}) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            console.error(`Failed to load spacecraft table ${url}: ${response.status}`);
+            return null;
+        }
+        return this.loadSpacecraftText(await response.text(), options);
+    }
+    
+    /**
+     * Creates a spacecraft from table text and adds its tracker, paths and panel entry
+     * @param {string} text - Table contents
+     * @param {Object} options - Options passed to AnimationController.loadSpacecraft, plus fallbackName
+     * @returns {string|null} Key of the loaded spacecraft
+     */
+    loadSpacecraftText(text, options = {}) {
+        if (!this.animationController) return null;
+        
+        // Cycle through distinct colors for successive missions
+        const count = Object.keys(this.animationController.spacecraft).length;
+        const color = options.color || SPACECRAFT_COLORS[count % SPACECRAFT_COLORS.length];
+        
+        let result = null;
+        try {
+            result = this.animationController.loadSpacecraft(text, { ...options, color });
+        } catch (error) {
+            this.logImport(`${options.fallbackName || 'Spacecraft table'}: ${error.message}`, 'error');
+        }
+        if (!result) return null;
+        
+        const { key, spacecraft } = result;
+        this.addSpacecraftOverlays(key, spacecraft);
+        return key;
+    }
+    
+    /**
+     * Adds the tracker, past/future paths and lock button for a spacecraft
+     * @param {string} key - Spacecraft key in celestialObjects
+     * @param {Spacecraft} spacecraft - The spacecraft instance
+     */
+    addSpacecraftOverlays(key, spacecraft) {
+        this.addObjectTracker(spacecraft, {
+            name: spacecraft.name,
+            id: `${key}-tracker`,
+            color: spacecraft.color,
+            size: 24,
+            shape: 'diamond',
+            minScale: 1.0,
+            maxScale: 1.2
+        });
+        
+        // Path already flown (solid) and still ahead (dashed)
+        this.addTrajectoryLine(spacecraft, {
+            id: `${key}-trajectory-past`,
+            color: spacecraft.color,
+            width: 2,
+            opacity: 0.7,
+            getPoints: () => spacecraft.getPathPoints('past')
+        });
+        this.addTrajectoryLine(spacecraft, {
+            id: `${key}-trajectory-future`,
+            color: spacecraft.color,
+            width: 1,
+            opacity: 0.4,
+            dashed: true,
+            getPoints: () => spacecraft.getPathPoints('future')
+        });
+        
+        if (this.planetPanel) {
+            this.planetPanel.appendChild(this.createPlanetBox({
+                key: key,
+                name: spacecraft.name,
+                color: spacecraft.color,
+                lockKey: `${key}Lock`
+            }));
+        }
+    }
+    
     /**
  * Adds a tracker for a specific planet
  * @param {Object} planet - The planet object
@@ -1110,7 +2999,10 @@ addPlanetTracker(planet, planetName, config) {
 }
 
     /**
-     * UPDATED: Adds a trajectory for a specific planet using your exact configuration
+     * Adds a trajectory for a planet, dwarf planet or comet along its live orbit model
+     * @param {Object} planet - The body
+     * @param {string} planetName - Name of the body (also its orbit in AnimationController)
+     * @param {Object} config - Trajectory style {color, length, opacity, dashed}
      */
     addPlanetTrajectory(planet, planetName, config) {
         this.addTrajectoryLine(planet, {
@@ -1119,14 +3011,13 @@ addPlanetTracker(planet, planetName, config) {
             width: 2,
             length: config.length,
             opacity: config.opacity,
-            dashed: false,
-            segments: 80, // Increased for smoother curves
+            dashed: config.dashed || false,
+            segments: config.length > 0.5 ? 240 : 80, // Increased for smoother curves
             orbitParams: {
                 centerX: 0,
                 centerY: 0,
                 centerZ: 0,
-                radius: config.radius,
-                speed: config.speed
+                name: planetName
             }
         });
     }
@@ -1138,6 +3029,7 @@ addPlanetTracker(planet, planetName, config) {
         // Create planet selection container
         const planetPanel = document.createElement('div');
         planetPanel.id = 'planet-selection-panel';
+        this.planetPanel = planetPanel;
         planetPanel.style.cssText = `
             position: absolute;
             top: 20px;
@@ -1153,18 +3045,17 @@ addPlanetTracker(planet, planetName, config) {
             padding-right: 8px;
         `;
 
-        // Define planet data in solar system order with keyboard shortcuts
-        const planetData = [
-            { key: 'sun', name: 'Sun', color: '#FFD700', lockKey: 'sunLock', keyboardKey: '0' },
-            { key: 'mercury', name: 'Mercury', color: '#bbbbbb', lockKey: 'mercuryLock', keyboardKey: '1' },
-            { key: 'venus', name: 'Venus', color: '#ffddaa', lockKey: 'venusLock', keyboardKey: '2' },
-            { key: 'earth', name: 'Earth', color: '#23ccff', lockKey: 'earthLock', keyboardKey: '4' },
-            { key: 'mars', name: 'Mars', color: '#ff6b6b', lockKey: 'marsLock', keyboardKey: '3' },
-            { key: 'jupiter', name: 'Jupiter', color: '#bf77ff', lockKey: 'jupiterLock', keyboardKey: '5' },
-            { key: 'saturn', name: 'Saturn', color: '#a4f485', lockKey: 'saturnLock', keyboardKey: '6' },
-            { key: 'uranus', name: 'Uranus', color: '#7fffd4', lockKey: 'uranusLock', keyboardKey: '7' },
-            { key: 'neptune', name: 'Neptune', color: '#4169e1', lockKey: 'neptuneLock', keyboardKey: '8' }
-        ];
+        // Bodies in catalog order with their keyboard shortcuts; moons are listed under their parent
+        const planetData = BODY_CATALOG
+            .filter(entry => entry.type !== 'moon')
+            .map(entry => ({
+                key: entry.key,
+                name: entry.name,
+                color: entry.color,
+                lockKey: `${entry.key}Lock`,
+                keyboardKey: entry.keyboardKey,
+                resonance: entry.resonance
+            }));
 
         // Store planet buttons for state updates
         this.planetButtons = new Map();
@@ -1175,6 +3066,21 @@ addPlanetTracker(planet, planetName, config) {
             if (this.celestialObjects[planet.key]) {
                 const planetBox = this.createPlanetBox(planet);
                 planetPanel.appendChild(planetBox);
+                
+                // Moons are listed (indented) under their parent
+                const moons = this.animationController && this.animationController.getMoons
+                    ? this.animationController.getMoons(planet.key)
+                    : [];
+                moons.forEach(moonName => {
+                    const moon = this.celestialObjects[moonName];
+                    planetPanel.appendChild(this.createPlanetBox({
+                        key: moonName,
+                        name: moon.name || moonName,
+                        color: moon.color || planet.color,
+                        lockKey: `${moonName}Lock`,
+                        indent: true
+                    }));
+                });
             }
         });
 
@@ -1197,20 +3103,23 @@ addPlanetTracker(planet, planetName, config) {
             justify-content: space-between;
             padding: 8px 12px;
             background: rgba(0, 0, 0, 0.8);
-            border: 2px solid ${planetData.color};
+            border: ${planetData.indent ? 1 : 2}px solid ${planetData.color};
             border-radius: 4px;
-            min-width: 150px;
+            min-width: ${planetData.indent ? 130 : 150}px;
+            margin-left: ${planetData.indent ? 20 : 0}px;
             box-shadow: 0 0 10px rgba(0, 0, 0, 0.5);
             transition: all 0.2s ease;
         `;
 
         // Planet name label with keyboard shortcut
         const nameLabel = document.createElement('span');
-        nameLabel.innerHTML = `${planetData.name} <span style="opacity: 0.6; font-size: 12px;">[${planetData.keyboardKey}]</span>`;
+        nameLabel.innerHTML = planetData.keyboardKey
+            ? `${planetData.name} <span style="opacity: 0.6; font-size: 12px;">[${planetData.keyboardKey}]</span>`
+            : planetData.name;
         nameLabel.style.cssText = `
             color: ${planetData.color};
             font-family: 'Courier New', monospace;
-            font-size: 14px;
+            font-size: ${planetData.indent ? 12 : 14}px;
             font-weight: bold;
             letter-spacing: 1px;
             text-transform: uppercase;
@@ -1218,6 +3127,26 @@ addPlanetTracker(planet, planetName, config) {
             flex-grow: 1;
         `;
 
+        // Resonance readout (e.g. Pluto's 2:3 with Neptune) or a fixed note under the name
+        let detailLabel = null;
+        if (planetData.resonance || planetData.detail) {
+            detailLabel = document.createElement('div');
+            if (planetData.resonance) {
+                detailLabel.title = 'Period ratio and resonant angle (librates around 180° while locked in resonance)';
+            } else {
+                detailLabel.textContent = planetData.detail;
+            }
+            detailLabel.style.cssText = `
+                font-size: 10px;
+                font-weight: normal;
+                letter-spacing: 0;
+                text-transform: none;
+                opacity: 0.75;
+                margin-top: 2px;
+            `;
+            nameLabel.appendChild(detailLabel);
+        }
+
         // Lock button
         const lockButton = document.createElement('button');
         lockButton.id = `${planetData.key}-lock-btn`;
@@ -1259,7 +3188,9 @@ addPlanetTracker(planet, planetName, config) {
             button: lockButton,
             box: planetBox,
             color: planetData.color,
-            lockKey: planetData.lockKey
+            lockKey: planetData.lockKey,
+            resonance: planetData.resonance || null,
+            detailLabel: detailLabel
         });
 
         // Add box hover effects
@@ -1284,16 +3215,7 @@ addPlanetTracker(planet, planetName, config) {
      */
     togglePlanetLock(planetKey, lockKey) {
         if (this.cameraController && this.cameraController.target_locks) {
-            // Unlock all other planets first
-            Object.keys(this.cameraController.target_locks).forEach(key => {
-                this.cameraController.target_locks[key] = false;
-            });
-
-            // Toggle the selected planet lock
-            const currentState = this.cameraController.target_locks[lockKey];
-            this.cameraController.target_locks[lockKey] = !currentState;
-
-            // Update camera settings
+            // Toggles the selected lock, releases all others and sets the camera distance
             this.cameraController.updateLocks(lockKey);
 
             // Update all button states
@@ -1,20 +1,50 @@
 import * as THREE from 'three';
-import { Earth } from './models/earth.js';
 import { Sun } from './models/sun.js';
-import { Mars } from './models/mars.js';
-import { Mercury } from './models/mercury.js';
-import { Venus } from './models/venus.js';
-import { Jupiter } from './models/jupiter.js';
-import { Saturn } from './models/saturn.js';
-import { Uranus } from './models/uranus.js';    
-import { Neptune } from './models/neptune.js';
+import { CelestialBody } from './models/celestialBody.js';
+import { BODY_TYPES, getCatalogEntries } from './models/catalog.js';
+import { getMoonOrbitElements } from './models/moon.js';
+import { Comet, getCometOrbitElements } from './models/comet.js';
+import { SmallBodyBelt, sampleMainBelt, sampleKuiperBelt } from './models/belt.js';
 import { CameraController } from './controllers/CameraController.js';
 import { AnimationController } from './controllers/AnimationController.js';
 import { UiController } from './controllers/UiController.js';
 import { Skybox } from './models/skybox.js';
 
 // Global variables
-let scene, camera, renderer, sun, mercury, venus, mars, earth, jupiter, saturn, uranus, neptune, cameraController, skybox, uiController;
+let scene, camera, renderer, cameraController, animationController, skybox, uiController;
+
+/**
+ * Builds the model for a body catalog entry
+ * @param {Object} entry - Catalog entry (see models/catalog.js)
+ * @param {Object} bodies - Bodies built so far (parents and the Sun come first in BODY_TYPES order)
+ * @returns {Object} The body instance
+ */
+function createBody(entry, bodies) {
+    switch (entry.type) {
+        case 'star': {
+            const star = new Sun(scene, 0, 0, 0, entry.radius, entry);
+            if (entry.light) star.setLightIntensity(entry.light.intensity);
+            if (entry.emissiveIntensity) star.setEmissiveIntensity(entry.emissiveIntensity);
+            if (entry.corona) star.addCorona();
+            return star;
+        }
+        case 'comet':
+            // Tails point away from the Sun
+            return new Comet(scene, 0, 0, 0, entry.radius, {
+                name: entry.name,
+                color: entry.color,
+                tailLength: entry.tailLength,
+                sun: bodies.sun
+            });
+        default:
+            return new CelestialBody(scene, 0, 0, 0, entry.radius, {
+                ...entry,
+                parent: entry.parent ? bodies[entry.parent] : null,
+                parentName: entry.parent || null,
+                sun: bodies.sun
+            });
+    }
+}
 
 async function init() {
     // Create scene and renderer
@@ -33,21 +63,14 @@ async function init() {
     
     document.body.appendChild(renderer.domElement);
 
-    // Create celestial objects
+    // Create celestial objects from the body catalog
     console.log('Creating celestial objects...');
-    sun = new Sun(scene, 0, 0, 0, 10);
-    sun.setLightIntensity(150);
-    sun.setEmissiveIntensity(3);
-    sun.addCorona();
-
-    mercury = new Mercury(scene, 36, 0, 0, 0.38);
-    venus = new Venus(scene, 52, 0, 0, 0.9);
-    mars = new Mars(scene, 96, 0, 0, 0.53);
-    earth = new Earth(scene, 70, 0, 0, 1);
-    jupiter = new Jupiter(scene, 130, 0, 0, 3);
-    saturn = new Saturn(scene, 150, 0, 0, 2.5);
-    uranus = new Uranus(scene, 200, 0, 0, 1.7);
-    neptune = new Neptune(scene, 250, 0, 0, 1.6);
+    const celestialObjects = {};
+    BODY_TYPES.forEach(type => {
+        getCatalogEntries(type).forEach(entry => {
+            celestialObjects[entry.key] = createBody(entry, celestialObjects);
+        });
+    });
 
     console.log('Celestial objects created successfully');
 
@@ -56,13 +79,49 @@ async function init() {
     camera.lookAt(0, 0, 0);
 
     // Create controllers
-    const celestialObjects = { sun, earth, mars, mercury, venus, jupiter, saturn, uranus, neptune };
     cameraController = new CameraController(camera, celestialObjects);
 
-    const animationController = new AnimationController(
+    animationController = new AnimationController(
         renderer, scene, camera, celestialObjects, cameraController
     );
 
+    // Put every body on its orbit (planets first: the others are placed on their scale)
+    getCatalogEntries('planet').forEach(entry => {
+        animationController.addCelestialObject(entry.key, celestialObjects[entry.key], entry.orbit);
+    });
+
+    getCatalogEntries('moon').forEach(entry => {
+        animationController.addMoon(
+            entry.key, celestialObjects[entry.key], entry.parent, getMoonOrbitElements(entry.orbit, celestialObjects[entry.parent])
+        );
+    });
+
+    getCatalogEntries('dwarfPlanet').forEach(entry => {
+        animationController.addEphemerisBody(entry.key, celestialObjects[entry.key]);
+    });
+
+    getCatalogEntries('comet').forEach(entry => {
+        animationController.addComet(entry.key, celestialObjects[entry.key], getCometOrbitElements(entry.orbit));
+    });
+
+    // Create the asteroid and Kuiper belts (placed on the same AU scale as the planets)
+    const distanceScale = au => animationController.getSceneDistance(au);
+    animationController.addBelt('asteroidBelt', new SmallBodyBelt(scene, {
+        name: 'Main Belt',
+        elements: sampleMainBelt(30000),
+        distanceScale,
+        colors: ['#8c8274', '#a39585', '#6f675e', '#b0a08a'],
+        opacity: 0.7
+    }));
+    animationController.addBelt('kuiperBelt', new SmallBodyBelt(scene, {
+        name: 'Kuiper Belt',
+        elements: sampleKuiperBelt(20000),
+        distanceScale,
+        colors: ['#8fa3b8', '#a88a7a', '#7d8a99'],
+        opacity: 0.6,
+        pointScale: 300
+    }));
+
     // Create UI controller
     console.log('Creating UI controller...');
     uiController = new UiController(cameraController, animationController, camera, celestialObjects);
@@ -92,6 +151,9 @@ async function init() {
         // Continue without skybox if it fails
     }
 
+    // Place every planet where it actually is today
+    animationController.setEphemerisMode(true, new Date());
+
     // Start animation loop
     animationController.start();
 
@@ -107,6 +169,9 @@ function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
+    if (animationController) {
+        animationController.setSize(window.innerWidth, window.innerHeight);
+    }
 }
 
 window.addEventListener('resize', onWindowResize, false);
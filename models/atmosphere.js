@@ -0,0 +1,214 @@
+import * as THREE from 'three';
+
+/**
+ * atmosphere.js
+ * Single-scattering atmosphere shell: each pixel marches the view ray through the shell,
+ * adding Rayleigh (wavelength-dependent, blue) and Mie (haze and dust, forward-peaked)
+ * scattering of sunlight and dimming whatever lies behind by the transmittance
+ *
+ * Densities fall off exponentially with height. Everything is worked out in planet radii,
+ * so an atmosphere follows its body through the scale modes. The shell is far thicker than
+ * real atmospheres (Earth's would be a 0.1% sliver), so the optical depths are artistic too.
+ */
+
+const SAMPLES = 12;
+const LIGHT_SAMPLES = 4;
+
+const vertexShader = /* glsl */`
+    varying vec3 vWorldPosition;
+
+    void main() {
+        vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+        vWorldPosition = worldPosition.xyz;
+        gl_Position = projectionMatrix * viewMatrix * worldPosition;
+    }
+`;
+
+const fragmentShader = /* glsl */`
+    #define SAMPLES ${SAMPLES}
+    #define LIGHT_SAMPLES ${LIGHT_SAMPLES}
+    #define PI 3.141592653589793
+
+    uniform vec3 planetCenter;
+    uniform float planetRadius;
+    uniform float atmosphereRadius;
+    uniform vec3 sunPosition;
+    uniform vec3 rayleigh;
+    uniform vec3 mie;
+    uniform float mieG;
+    uniform float scaleHeight;
+    uniform float intensity;
+
+    varying vec3 vWorldPosition;
+
+    // Distances along the ray to the sphere's entry and exit (x > y when missed)
+    vec2 intersectSphere(vec3 origin, vec3 direction, float radius) {
+        float b = dot(origin, direction);
+        float c = dot(origin, origin) - radius * radius;
+        float discriminant = b * b - c;
+        if (discriminant < 0.0) {
+            return vec2(1.0, -1.0);
+        }
+        float root = sqrt(discriminant);
+        return vec2(-b - root, -b + root);
+    }
+
+    float density(vec3 point) {
+        return exp(-(length(point) - 1.0) / scaleHeight);
+    }
+
+    // Density integrated from a point to the top of the atmosphere towards the Sun
+    float lightDepth(vec3 point, vec3 lightDirection) {
+        // In the planet's shadow no sunlight arrives
+        vec2 ground = intersectSphere(point, lightDirection, 1.0);
+        if (ground.x <= ground.y && ground.y > 0.0) {
+            return 1e4;
+        }
+
+        float span = intersectSphere(point, lightDirection, atmosphereRadius).y;
+        float stepSize = span / float(LIGHT_SAMPLES);
+        float depth = 0.0;
+        for (int i = 0; i < LIGHT_SAMPLES; i++) {
+            depth += density(point + lightDirection * (float(i) + 0.5) * stepSize) * stepSize;
+        }
+        return depth;
+    }
+
+    void main() {
+        // Work in planet radii around the planet's center
+        vec3 origin = (cameraPosition - planetCenter) / planetRadius;
+        vec3 direction = normalize(vWorldPosition - cameraPosition);
+        vec3 lightDirection = normalize(sunPosition - planetCenter);
+
+        vec2 shell = intersectSphere(origin, direction, atmosphereRadius);
+        vec2 ground = intersectSphere(origin, direction, 1.0);
+        float start = max(shell.x, 0.0);
+        float end = ground.x <= ground.y && ground.x > 0.0 ? ground.x : shell.y;
+        if (end <= start) {
+            discard;
+        }
+
+        float stepSize = (end - start) / float(SAMPLES);
+        float viewDepth = 0.0;
+        vec3 sunlit = vec3(0.0);
+
+        for (int i = 0; i < SAMPLES; i++) {
+            vec3 point = origin + direction * (start + (float(i) + 0.5) * stepSize);
+            float localDensity = density(point) * stepSize;
+            viewDepth += localDensity;
+
+            // Sunlight reaching this point, then scattered towards the camera
+            vec3 attenuation = exp(-(rayleigh + mie) * (viewDepth + lightDepth(point, lightDirection)) / scaleHeight);
+            sunlit += localDensity * attenuation;
+        }
+
+        float cosine = dot(direction, lightDirection);
+        float rayleighPhase = 3.0 / (16.0 * PI) * (1.0 + cosine * cosine);
+        float g2 = mieG * mieG;
+        float miePhase = 3.0 / (8.0 * PI) * ((1.0 - g2) * (1.0 + cosine * cosine))
+            / ((2.0 + g2) * pow(1.0 + g2 - 2.0 * mieG * cosine, 1.5));
+
+        // A vertical column holds one scale height of surface-density air, so the scattering
+        // coefficients are the vertical optical depths over the scale height
+        vec3 scattered = intensity * sunlit * (rayleigh * rayleighPhase + mie * miePhase) / scaleHeight;
+        vec3 transmittance = exp(-(rayleigh + mie) * viewDepth / scaleHeight);
+
+        // Premultiplied: the blend adds the scattered light and keeps the transmitted share of the background
+        gl_FragColor = vec4(1.0 - exp(-scattered), dot(transmittance, vec3(1.0 / 3.0)));
+
+        #include <colorspace_fragment>
+    }
+`;
+
+export class Atmosphere {
+    /**
+     * Creates an atmosphere shell; add getMesh() to the body's group (centered on the body)
+     * @param {number} radius - Radius of the body's geometry
+     * @param {Object} options - Atmosphere parameters
+     * @param {number} options.scale - Shell radius in body radii (default 1.03)
+     * @param {number} options.scaleHeight - Density scale height as a fraction of the shell's thickness (default 0.25)
+     * @param {Array<number>} options.rayleigh - Vertical Rayleigh optical depth of the whole atmosphere per
+     *   red, green, blue channel (default Earth-like [0.06, 0.14, 0.33])
+     * @param {number} options.mie - Vertical Mie optical depth (default 0.05)
+     * @param {Array<number>} options.mieColor - Tint of the Mie scatterers, e.g. rust-coloured dust (default white)
+     * @param {number} options.mieG - Mie asymmetry, 0 isotropic to ~0.9 strongly forward (default 0.76)
+     * @param {number} options.intensity - Brightness of the sunlight (default 12)
+     */
+    constructor(radius, options = {}) {
+        this.radius = radius;
+        this.scale = options.scale || 1.03;
+
+        const thickness = this.scale - 1;
+        const scaleHeight = (options.scaleHeight || 0.25) * thickness;
+        const rayleigh = options.rayleigh || [0.06, 0.14, 0.33];
+        const mieColor = options.mieColor || [1, 1, 1];
+        const mie = options.mie !== undefined ? options.mie : 0.05;
+
+        this.uniforms = {
+            planetCenter: { value: new THREE.Vector3() },
+            planetRadius: { value: radius },
+            atmosphereRadius: { value: this.scale },
+            sunPosition: { value: new THREE.Vector3() },
+            rayleigh: { value: new THREE.Vector3(...rayleigh) },
+            mie: { value: new THREE.Vector3(...mieColor.map(channel => mie * channel)) },
+            mieG: { value: options.mieG !== undefined ? options.mieG : 0.76 },
+            scaleHeight: { value: scaleHeight },
+            intensity: { value: options.intensity !== undefined ? options.intensity : 12 }
+        };
+        this.baseIntensity = this.uniforms.intensity.value;
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            vertexShader,
+            fragmentShader,
+            transparent: true,
+            depthWrite: false,
+            side: THREE.FrontSide,
+            blending: THREE.CustomBlending,
+            blendSrc: THREE.OneFactor,
+            blendDst: THREE.SrcAlphaFactor
+        });
+
+        this.mesh = new THREE.Mesh(new THREE.SphereGeometry(radius * this.scale, 64, 64), this.material);
+
+        // Read the body's world position and display scale just before drawing
+        const worldScale = new THREE.Vector3();
+        this.mesh.onBeforeRender = (renderer, scene, camera) => {
+            this.mesh.getWorldPosition(this.uniforms.planetCenter.value);
+            this.mesh.getWorldScale(worldScale);
+            this.uniforms.planetRadius.value = this.radius * worldScale.x;
+
+            // From inside the shell only its back faces are in view
+            const inside = camera.position.distanceTo(this.uniforms.planetCenter.value) < this.uniforms.planetRadius.value * this.scale;
+            this.material.side = inside ? THREE.BackSide : THREE.FrontSide;
+        };
+    }
+
+    /**
+     * Sets the position of the light source
+     * @param {THREE.Vector3} position - Sun position in world coordinates
+     */
+    setSunPosition(position) {
+        this.uniforms.sunPosition.value.copy(position);
+    }
+
+    /**
+     * Scales the scattered light (1 is the configured brightness)
+     * @param {number} factor - Brightness factor
+     */
+    setIntensity(factor) {
+        this.uniforms.intensity.value = this.baseIntensity * Math.max(0, factor);
+    }
+
+    getMesh() {
+        return this.mesh;
+    }
+
+    dispose() {
+        this.mesh.geometry.dispose();
+        this.material.dispose();
+        if (this.mesh.parent) {
+            this.mesh.parent.remove(this.mesh);
+        }
+    }
+}
@@ -0,0 +1,372 @@
+import * as THREE from 'three';
+import { J2000_JULIAN_DATE } from './ephemeris.js';
+
+/**
+ * belt.js
+ * Instanced small-body populations (main asteroid belt, Kuiper belt)
+ *
+ * Every body carries its own Keplerian elements as vertex attributes and the vertex
+ * shader solves Kepler's equation, so tens of thousands of bodies orbit on the GPU
+ * with a single draw call. Time is measured in days since J2000.
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// Mean motion of a 1 AU orbit around the Sun in radians per day
+const GAUSSIAN_MEAN_MOTION = 0.01720209895;
+
+// Kirkwood gaps: mean-motion resonances with Jupiter (semi-major axis and half-width in AU)
+export const KIRKWOOD_GAPS = [
+    { resonance: '4:1', a: 2.065, halfWidth: 0.03 },
+    { resonance: '3:1', a: 2.502, halfWidth: 0.03 },
+    { resonance: '5:2', a: 2.825, halfWidth: 0.02 },
+    { resonance: '7:3', a: 2.958, halfWidth: 0.012 },
+    { resonance: '2:1', a: 3.279, halfWidth: 0.04 }
+];
+
+// Semi-major axes of the main-belt point cloud, Hungarias to Hildas (AU)
+export const MAIN_BELT_RANGE = { min: 1.78, max: 4.2 };
+
+// Small seeded generator so the sampled belts look the same on every load
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Rayleigh-distributed sample (typical for eccentricities and inclinations)
+function rayleigh(random, sigma) {
+    return sigma * Math.sqrt(-2 * Math.log(1 - random()));
+}
+
+function uniform(random, min, max) {
+    return min + (max - min) * random();
+}
+
+/**
+ * Samples main-belt orbits; semi-major axes inside the Kirkwood gaps are rejected
+ *
+ * The gaps are imposed here, not emergent. A catalogue import (see
+ * AnimationController.importOrbitalElements) replaces this stand-in with real orbits,
+ * where the gaps come from the data itself.
+ * @param {number} count - Number of bodies
+ * @param {number} seed - Random seed
+ * @returns {Array<Object>} Elements {a (AU), e, i, node, peri, M (degrees)}
+ */
+export function sampleMainBelt(count, seed = 1) {
+    const random = createRandom(seed);
+    const bodies = [];
+
+    while (bodies.length < count) {
+        // Inner, middle and outer belt plus a thin Hilda group at the 3:2 resonance
+        const zone = random();
+        let a;
+        if (zone < 0.36) a = uniform(random, 2.1, 2.5);
+        else if (zone < 0.7) a = uniform(random, 2.5, 2.82);
+        else if (zone < 0.98) a = uniform(random, 2.82, 3.3);
+        else a = 3.97 + (random() - 0.5) * 0.1;
+
+        const inGap = KIRKWOOD_GAPS.some(gap => Math.abs(a - gap.a) < gap.halfWidth);
+        if (inGap && random() < 0.97) continue;
+
+        bodies.push({
+            a,
+            e: Math.min(0.35, rayleigh(random, 0.1)),
+            i: Math.min(35, rayleigh(random, 7)),
+            node: uniform(random, 0, 360),
+            peri: uniform(random, 0, 360),
+            M: uniform(random, 0, 360)
+        });
+    }
+
+    return bodies;
+}
+
+/**
+ * Samples trans-Neptunian orbits: plutinos, cold and hot classicals and scattered objects
+ * @param {number} count - Number of bodies
+ * @param {number} seed - Random seed
+ * @returns {Array<Object>} Elements {a (AU), e, i, node, peri, M (degrees)}
+ */
+export function sampleKuiperBelt(count, seed = 2) {
+    const random = createRandom(seed);
+    const bodies = [];
+
+    for (let n = 0; n < count; n++) {
+        const population = random();
+        let a;
+        let e;
+        let i;
+
+        if (population < 0.2) {
+            // Plutinos in the 3:2 resonance with Neptune
+            a = 39.4 + (random() - 0.5) * 0.4;
+            e = uniform(random, 0.1, 0.3);
+            i = rayleigh(random, 10);
+        } else if (population < 0.6) {
+            // Cold classical belt
+            a = uniform(random, 42.5, 47);
+            e = rayleigh(random, 0.04);
+            i = rayleigh(random, 2);
+        } else if (population < 0.85) {
+            // Hot classical belt
+            a = uniform(random, 40, 48);
+            e = rayleigh(random, 0.08);
+            i = rayleigh(random, 12);
+        } else {
+            // Scattered disc: perihelia near Neptune, distant aphelia
+            a = uniform(random, 50, 100);
+            e = 1 - uniform(random, 33, 40) / a;
+            i = rayleigh(random, 15);
+        }
+
+        bodies.push({
+            a,
+            e: Math.min(0.8, e),
+            i: Math.min(60, i),
+            node: uniform(random, 0, 360),
+            peri: uniform(random, 0, 360),
+            M: uniform(random, 0, 360)
+        });
+    }
+
+    return bodies;
+}
+
+/**
+ * Samples Jupiter's Trojans: two clouds centred 60 degrees ahead of (L4, the larger Greek
+ * camp) and behind (L5) Jupiter. All share Jupiter's semi-major axis so the clouds keep
+ * pace with it; the libration that holds real Trojans in place is not modelled.
+ * @param {number} count - Number of bodies
+ * @param {number} seed - Random seed
+ * @returns {Array<Object>} Elements {a (AU), e, i, node, peri, M (degrees)}
+ */
+export function sampleJupiterTrojans(count, seed = 3) {
+    const random = createRandom(seed);
+    const bodies = [];
+
+    // Jupiter's mean longitude at J2000
+    const jupiterLongitude = 34.39644;
+
+    for (let n = 0; n < count; n++) {
+        const lead = random() < 0.6 ? 60 : -60;
+        const spread = (random() + random() + random() - 1.5) * 30;
+        const longitude = jupiterLongitude + lead + spread;
+
+        const node = uniform(random, 0, 360);
+        const peri = uniform(random, 0, 360);
+        bodies.push({
+            a: 5.2029,
+            e: Math.min(0.25, rayleigh(random, 0.07)),
+            i: Math.min(40, rayleigh(random, 10)),
+            node,
+            peri,
+            M: ((longitude - node - peri) % 360 + 360) % 360
+        });
+    }
+
+    return bodies;
+}
+
+const vertexShader = `
+    uniform float time;
+    uniform float pointScale;
+
+    attribute vec4 orbitShape; // semi-major axis (scene units), eccentricity, inclination, node
+    attribute vec4 orbitPhase; // argument of periapsis, mean anomaly at J2000, mean motion, size
+    attribute vec3 bodyColor;
+
+    varying vec3 vColor;
+
+    void main() {
+        float a = orbitShape.x;
+        float e = orbitShape.y;
+        float inc = orbitShape.z;
+        float node = orbitShape.w;
+
+        // Newton iterations on Kepler's equation (belt eccentricities stay moderate)
+        float M = mod(orbitPhase.y + orbitPhase.z * time, 6.28318530718);
+        float E = M + e * sin(M);
+        for (int k = 0; k < 5; k++) {
+            E -= (E - e * sin(E) - M) / (1.0 - e * cos(E));
+        }
+
+        float px = a * (cos(E) - e);
+        float py = a * sqrt(1.0 - e * e) * sin(E);
+
+        // Orbital plane -> ecliptic, matching KeplerOrbit.orbitalPlaneToScene
+        float cw = cos(orbitPhase.x);
+        float sw = sin(orbitPhase.x);
+        float qx = px * cw - py * sw;
+        float qy = px * sw + py * cw;
+        float x = qx * cos(node) - qy * sin(node) * cos(inc);
+        float y = qx * sin(node) + qy * cos(node) * cos(inc);
+        float z = qy * sin(inc);
+
+        vec4 mvPosition = modelViewMatrix * vec4(x, z, -y, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+        gl_PointSize = clamp(orbitPhase.w * pointScale / -mvPosition.z, 1.0, 4.0);
+
+        vColor = bodyColor;
+    }
+`;
+
+const fragmentShader = `
+    uniform float opacity;
+
+    varying vec3 vColor;
+
+    void main() {
+        // Soft round points
+        float d = length(gl_PointCoord - vec2(0.5));
+        if (d > 0.5) discard;
+        gl_FragColor = vec4(vColor, opacity * (1.0 - smoothstep(0.25, 0.5, d)));
+    }
+`;
+
+export class SmallBodyBelt {
+    /**
+     * Creates a SmallBodyBelt instance
+     * @param {THREE.Scene} scene - Scene to add the points to
+     * @param {Object} options - Belt options
+     * @param {string} options.name - Display name
+     * @param {Array<Object>} options.elements - Orbital elements (see sampleMainBelt)
+     * @param {Function} options.distanceScale - Maps a distance in AU to scene units
+     * @param {Array<string>} options.colors - Palette picked from at random per body
+     * @param {number} options.opacity - Point opacity
+     * @param {number} options.pointScale - Point size factor (pixels at unit distance)
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.name = options.name || 'Belt';
+        this.distanceScale = options.distanceScale || (au => au);
+        this.colors = (options.colors || ['#9a8f82']).map(color => new THREE.Color(color));
+        this.elements = [];
+
+        this.geometry = null;
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                time: { value: 0 },
+                pointScale: { value: options.pointScale || 200 },
+                opacity: { value: options.opacity || 0.8 }
+            },
+            vertexShader,
+            fragmentShader,
+            transparent: true,
+            depthWrite: false
+        });
+        this.points = null;
+
+        this.setElements(options.elements || []);
+    }
+
+    /**
+     * Replaces the belt population
+     * @param {Array<Object>} elements - Elements {a (AU), e, i, node, peri, M (degrees), epoch (JD, optional)}
+     */
+    setElements(elements) {
+        this.elements = elements;
+        this.rebuild();
+    }
+
+    /**
+     * Changes the AU to scene-units mapping and rebuilds the orbit attributes
+     * @param {Function} distanceScale - Maps a distance in AU to scene units
+     */
+    setDistanceScale(distanceScale) {
+        this.distanceScale = distanceScale;
+        this.rebuild();
+    }
+
+    /**
+     * Rebuilds the per-body vertex attributes
+     */
+    rebuild() {
+        const count = this.elements.length;
+        const orbitShape = new Float32Array(count * 4);
+        const orbitPhase = new Float32Array(count * 4);
+        const bodyColor = new Float32Array(count * 3);
+
+        this.elements.forEach((body, index) => {
+            const meanMotion = GAUSSIAN_MEAN_MOTION / Math.pow(body.a, 1.5);
+            const epochOffset = (body.epoch !== undefined ? body.epoch : J2000_JULIAN_DATE) - J2000_JULIAN_DATE;
+            const meanAnomalyAtJ2000 = body.M * DEG_TO_RAD - meanMotion * epochOffset;
+
+            orbitShape.set([
+                this.distanceScale(body.a),
+                body.e,
+                body.i * DEG_TO_RAD,
+                body.node * DEG_TO_RAD
+            ], index * 4);
+
+            // Size varies per body; the hash keeps it stable across rebuilds
+            const hash = Math.abs(Math.sin(index * 12.9898) * 43758.5453) % 1;
+            orbitPhase.set([
+                body.peri * DEG_TO_RAD,
+                meanAnomalyAtJ2000 % (Math.PI * 2),
+                meanMotion,
+                0.6 + hash
+            ], index * 4);
+
+            const color = this.colors[Math.floor(hash * this.colors.length) % this.colors.length];
+            bodyColor.set([color.r, color.g, color.b], index * 3);
+        });
+
+        // A rebuild keeps the belt hidden if it was
+        const visible = this.points ? this.points.visible : true;
+        if (this.points) {
+            this.scene.remove(this.points);
+            this.geometry.dispose();
+        }
+
+        this.geometry = new THREE.BufferGeometry();
+        // Positions are computed in the shader; the attribute only sets the vertex count
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+        this.geometry.setAttribute('orbitShape', new THREE.BufferAttribute(orbitShape, 4));
+        this.geometry.setAttribute('orbitPhase', new THREE.BufferAttribute(orbitPhase, 4));
+        this.geometry.setAttribute('bodyColor', new THREE.BufferAttribute(bodyColor, 3));
+
+        this.points = new THREE.Points(this.geometry, this.material);
+        this.points.frustumCulled = false;
+        this.points.visible = visible;
+        this.scene.add(this.points);
+    }
+
+    /**
+     * Moves every body to its position at a time
+     * @param {number} time - Days since J2000
+     */
+    update(time) {
+        this.material.uniforms.time.value = time;
+    }
+
+    // Get number of bodies
+    getCount() {
+        return this.elements.length;
+    }
+
+    setVisible(visible) {
+        if (this.points) {
+            this.points.visible = visible;
+        }
+    }
+
+    getIsVisible() {
+        return this.points ? this.points.visible : false;
+    }
+
+    // Cleanup method
+    dispose() {
+        if (this.points) {
+            this.scene.remove(this.points);
+            this.geometry.dispose();
+            this.material.dispose();
+            this.points = null;
+        }
+    }
+}
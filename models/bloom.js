@@ -0,0 +1,89 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+
+/**
+ * bloom.js
+ * Optional post-processing glare: the scene is rendered into a half-float target, anything
+ * brighter than the threshold (the Sun's disk, not sunlit planets) bleeds into its
+ * surroundings, and the output pass converts to the screen's color space
+ *
+ * While disabled, render() draws the scene directly, so the composer costs nothing.
+ */
+
+export class BloomEffect {
+    /**
+     * @param {THREE.WebGLRenderer} renderer - The Three.js renderer
+     * @param {THREE.Scene} scene - The Three.js scene
+     * @param {THREE.Camera} camera - The Three.js camera
+     * @param {Object} options - Bloom parameters
+     * @param {number} options.strength - Glare strength (default 1.2)
+     * @param {number} options.radius - Glare spread, 0-1 (default 0.6)
+     * @param {number} options.threshold - Linear brightness above which pixels bloom (default 1.0)
+     * @param {boolean} options.enabled - Start enabled (default true)
+     */
+    constructor(renderer, scene, camera, options = {}) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = camera;
+        this.enabled = options.enabled !== undefined ? options.enabled : true;
+
+        const size = renderer.getSize(new THREE.Vector2());
+
+        this.composer = new EffectComposer(renderer);
+        this.composer.addPass(new RenderPass(scene, camera));
+
+        this.bloomPass = new UnrealBloomPass(
+            size,
+            options.strength !== undefined ? options.strength : 1.2,
+            options.radius !== undefined ? options.radius : 0.6,
+            options.threshold !== undefined ? options.threshold : 1.0
+        );
+        this.composer.addPass(this.bloomPass);
+        this.composer.addPass(new OutputPass());
+    }
+
+    /**
+     * Draws a frame, through the composer when enabled
+     */
+    render() {
+        if (this.enabled) {
+            this.composer.render();
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
+    /**
+     * Resizes the composer's render targets (call after renderer.setSize)
+     * @param {number} width - Width in CSS pixels
+     * @param {number} height - Height in CSS pixels
+     */
+    setSize(width, height) {
+        this.composer.setPixelRatio(this.renderer.getPixelRatio());
+        this.composer.setSize(width, height);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Sets the glare strength
+     * @param {number} strength - Strength (0 disables the glare but keeps the pass)
+     */
+    setStrength(strength) {
+        this.bloomPass.strength = Math.max(0, strength);
+    }
+
+    dispose() {
+        this.bloomPass.dispose();
+        this.composer.dispose();
+    }
+}
@@ -0,0 +1,61 @@
+import catalog from './bodies.json';
+
+/**
+ * catalog.js
+ * The body catalog (bodies.json): every star, planet, moon, dwarf planet and comet the
+ * simulation builds, so adding a body is a data change
+ *
+ * Entry fields (sizes in scene units, angles in degrees):
+ *   key, name, type           'star', 'planet', 'moon', 'dwarfPlanet' or 'comet'
+ *   radius, segments           Sphere size and tessellation
+ *   radiusKm                   Mean radius, for the true-scale and exaggerated-radii modes (see scale.js)
+ *   textures                   {map, bumpMap, bumpScale, displacementMap, displacementScale}
+ *   surface, shape, shininess  Procedural surface colors, ellipsoid stretch, Phong shininess
+ *   light, emissiveIntensity   Stars: point light {intensity} and disk brightness (above 1 it blooms)
+ *   corona                     Stars: adds the glow sprite; a star's surface is {limbDarkening,
+ *                              granulationContrast, sunspotAmount} for the photosphere shader (see sun.js)
+ *   dayNight                   Day/night shader instead of Phong (see dayNight.js); textures may add
+ *                              nightMap and specularMap, the fields tune the shading
+ *   clouds                     {alphaMap, scale (body radii), opacity, rotationPeriod (hours)}
+ *   atmosphere                 Scattering shell {scale (body radii), scaleHeight, rayleigh, mie, mieColor,
+ *                              mieG, intensity} (see atmosphere.js)
+ *   rings                      Ring systems, each {name, innerRadius, outerRadius (body radii), map or color,
+ *                              opacity, profile, bands, gaps, arcs, inclination, node} (see rings.js);
+ *                              ringed bodies cast and receive shadows
+ *   rotation                   {axialTilt, tiltDirection, rotationPeriod (hours), phase (at simulation time zero)}
+ *   orbit                      Planets: KeplerOrbit elements (see AnimationController.updatePlanetOrbit);
+ *                              moons: see getMoonOrbitElements, around `parent`, plus semiMajorAxisKm
+ *                              for true scale; comets: see getCometOrbitElements; dwarf planets: 'ephemeris'
+ *   color, keyboardKey         UI color and lock shortcut (Digit key)
+ *   camera                     {distance}: safe viewing distance in radii (default 3)
+ *   tracker, trajectory        {size, shape} and {length, opacity, dashed} for the overlays
+ *   resonance                  {with, p, q}: mean-motion resonance shown in the body's panel row
+ *
+ * Notes the JSON cannot carry: Pluto's pole lies at ecliptic latitude -22.8 degrees (retrograde
+ * spin), Haumea's pole is poorly constrained, Eris is tidally locked to Dysnomia, and Triton's
+ * ~157 degree orbit is approximated as retrograde equatorial. The narrow rings of Uranus and Neptune
+ * are drawn a few times wider than they are (tens of km), or they would vanish between pixels.
+ */
+
+export const BODY_CATALOG = catalog.bodies;
+
+// Registration order: dwarf planets and comets are placed on the planets' scene scale
+export const BODY_TYPES = ['star', 'planet', 'moon', 'dwarfPlanet', 'comet'];
+
+/**
+ * Gets the catalog entry of a body
+ * @param {string} key - Body key
+ * @returns {Object|null} Entry or null if the body is not in the catalog
+ */
+export function getCatalogEntry(key) {
+    return BODY_CATALOG.find(entry => entry.key === key) || null;
+}
+
+/**
+ * Gets all catalog entries of one type, in catalog order
+ * @param {string} type - One of BODY_TYPES
+ * @returns {Array<Object>} Entries
+ */
+export function getCatalogEntries(type) {
+    return BODY_CATALOG.filter(entry => entry.type === type);
+}
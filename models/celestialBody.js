@@ -0,0 +1,399 @@
+import * as THREE from 'three';
+import { AxialRotation } from './rotation.js';
+import { createDayNightMaterial } from './dayNight.js';
+import { Atmosphere } from './atmosphere.js';
+import { createRingSystem, disposeRingSystem } from './rings.js';
+
+/**
+ * celestialBody.js
+ * One model for every planet, moon and dwarf planet, configured by a body catalog entry
+ * (see catalog.js): texture maps, a day/night shader or a procedural surface, optional cloud
+ * layer, scattering atmosphere and rings, spin axis, or tidal locking to a parent body
+ */
+
+// Hash-based value noise, enough for low-resolution procedural surfaces
+function hash(x, y, seed) {
+    const h = Math.sin(x * 127.1 + y * 311.7 + seed * 74.7) * 43758.5453;
+    return h - Math.floor(h);
+}
+
+function valueNoise(x, y, seed) {
+    const xi = Math.floor(x);
+    const yi = Math.floor(y);
+    const xf = x - xi;
+    const yf = y - yi;
+    const u = xf * xf * (3 - 2 * xf);
+    const v = yf * yf * (3 - 2 * yf);
+
+    const a = hash(xi, yi, seed);
+    const b = hash(xi + 1, yi, seed);
+    const c = hash(xi, yi + 1, seed);
+    const d = hash(xi + 1, yi + 1, seed);
+
+    return a + (b - a) * u + (c - a) * v + (a - b - c + d) * u * v;
+}
+
+function fractalNoise(x, y, seed, octaves = 4) {
+    let value = 0;
+    let amplitude = 0.5;
+    let frequency = 1;
+    for (let i = 0; i < octaves; i++) {
+        value += amplitude * valueNoise(x * frequency, y * frequency, seed);
+        amplitude *= 0.5;
+        frequency *= 2;
+    }
+    return value;
+}
+
+export class CelestialBody {
+    constructor(scene, x = 0, y = 0, z = 0, radius = 1, options = {}) {
+        this.scene = scene;
+        this.position = new THREE.Vector3(x, y, z);
+        this.textureLoader = new THREE.TextureLoader();
+
+        // Identity and appearance
+        this.key = options.key || null;
+        this.name = options.name || 'Body';
+        this.color = options.color || '#cccccc';
+        this.textures = options.textures || null;
+        this.surface = options.surface || null;
+        this.shininess = options.shininess !== undefined ? options.shininess : 30;
+        this.shapeScale = options.shape || [1, 1, 1];
+        this.dayNight = options.dayNight || null;
+
+        // The Sun lights the day/night shader (assumed at the origin without one)
+        this.sun = options.sun || null;
+
+        // Moons: parent body, and whether they keep one face towards it
+        this.parent = options.parent || null;
+        this.parentName = options.parentName || null;
+        this.tidallyLocked = !!options.tidallyLocked;
+
+        // Initialize geometry
+        this.Radius = radius;
+        this.scale = 1; // Display scale on top of the geometry radius
+        const segments = options.segments || 48;
+        this.bodyGeometry = new THREE.SphereGeometry(this.Radius, segments, segments);
+
+        // Initialize meshes (will be created in create methods); the group carries the
+        // axial tilt, so the atmosphere and rings stay in the body's equatorial frame
+        this.group = new THREE.Group();
+        this.body = null;
+        this.atmosphere = null;
+        this.clouds = null;
+        this.rings = null;
+        this.ringSystems = [];
+        this.surfaceTexture = null;
+
+        // Spin axis and sidereal day
+        this.axialRotation = new AxialRotation(options.rotation || {});
+
+        // Create the body and whatever surrounds it
+        const seed = options.seed || [...this.name].reduce((sum, character) => sum + character.charCodeAt(0), 0);
+        this.createBody(seed);
+        if (options.clouds) {
+            this.createClouds(options.clouds, options.rotation || {});
+        }
+        if (options.atmosphere) {
+            this.setAtmosphere(options.atmosphere);
+        }
+        if (options.rings) {
+            this.createRings(options.rings);
+        }
+        this.scene.add(this.group);
+
+        // Set initial position
+        this.setPosition(x, y, z);
+
+        // Apply the initial axial tilt
+        this.update(0);
+    }
+
+    createBody(seed) {
+        if (this.textures && this.dayNight) {
+            // City lights on the night side, glinting oceans on the day side
+            this.body = new THREE.Mesh(this.bodyGeometry, createDayNightMaterial(this.textureLoader, this.textures, this.dayNight));
+            this.group.add(this.body);
+            return;
+        }
+
+        const material = new THREE.MeshPhongMaterial({ shininess: this.shininess });
+
+        if (this.textures) {
+            // Texture maps shipped for the body
+            material.map = this.textureLoader.load(this.textures.map);
+            if (this.textures.bumpMap) {
+                material.bumpMap = this.textureLoader.load(this.textures.bumpMap);
+                material.bumpScale = this.textures.bumpScale || 1;
+            }
+            if (this.textures.displacementMap) {
+                material.displacementMap = this.textureLoader.load(this.textures.displacementMap);
+                material.displacementScale = this.textures.displacementScale || 0.05;
+            }
+        } else if (this.surface) {
+            // No maps ship for most dwarf planets, so paint one procedurally
+            this.surfaceTexture = this.createSurfaceTexture(seed);
+            material.map = this.surfaceTexture;
+        } else {
+            material.color.set(this.color);
+        }
+
+        // Stretched into an ellipsoid for irregular bodies (Haumea)
+        this.body = new THREE.Mesh(this.bodyGeometry, material);
+        this.body.scale.set(...this.shapeScale);
+        this.group.add(this.body);
+    }
+
+    createSurfaceTexture(seed) {
+        const width = 256;
+        const height = 128;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        const image = context.createImageData(width, height);
+
+        const base = new THREE.Color(this.surface.base);
+        const highlight = new THREE.Color(this.surface.highlight);
+        const spots = this.surface.spots ? new THREE.Color(this.surface.spots) : null;
+        const heart = this.surface.heart ? new THREE.Color(this.surface.heart) : null;
+        const pixel = new THREE.Color();
+
+        for (let py = 0; py < height; py++) {
+            for (let px = 0; px < width; px++) {
+                // Wrap the noise around the longitude seam
+                const u = px / width;
+                const v = py / height;
+                const angle = u * Math.PI * 2;
+                const n = fractalNoise(Math.cos(angle) * 3 + 10, Math.sin(angle) * 3 + v * 6, seed);
+
+                pixel.copy(base).lerp(highlight, Math.min(1, Math.max(0, (n - 0.3) * 1.8)));
+
+                // Bright spots (Ceres' salt deposits, Haumea's dark red region)
+                if (spots && fractalNoise(u * 40, v * 20, seed + 7, 2) > 0.8) {
+                    pixel.lerp(spots, 0.8);
+                }
+
+                // Pluto's bright nitrogen-ice "heart" (Tombaugh Regio)
+                if (heart) {
+                    const dx = (u - 0.5) * 2.2;
+                    const dy = (v - 0.5) * 2.8;
+                    const lobes = Math.min(Math.hypot(dx + 0.18, dy + 0.1), Math.hypot(dx - 0.18, dy + 0.1));
+                    if (lobes < 0.28 || (dy > -0.1 && Math.abs(dx) < 0.45 - dy * 0.9 && dy < 0.45)) {
+                        pixel.lerp(heart, 0.85);
+                    }
+                }
+
+                const index = (py * width + px) * 4;
+                image.data[index] = pixel.r * 255;
+                image.data[index + 1] = pixel.g * 255;
+                image.data[index + 2] = pixel.b * 255;
+                image.data[index + 3] = 255;
+            }
+        }
+
+        context.putImageData(image, 0, 0);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        return texture;
+    }
+
+    createClouds(clouds, rotation) {
+        // Lit shell just above the surface, with its own (slightly faster) spin
+        const geometry = new THREE.SphereGeometry(this.Radius * (clouds.scale || 1.01), 64, 64);
+        const material = new THREE.MeshPhongMaterial({
+            color: 0xffffff,
+            alphaMap: this.textureLoader.load(clouds.alphaMap),
+            transparent: true,
+            opacity: clouds.opacity !== undefined ? clouds.opacity : 0.8,
+            depthWrite: false
+        });
+
+        this.clouds = new THREE.Mesh(geometry, material);
+        this.cloudRotation = new AxialRotation({ ...rotation, rotationPeriod: clouds.rotationPeriod || rotation.rotationPeriod });
+        this.group.add(this.clouds);
+    }
+
+    /**
+     * Attaches a scattering atmosphere (see atmosphere.js), replacing any current one
+     * @param {Object|null} atmosphere - Atmosphere parameters, or null to remove it
+     */
+    setAtmosphere(atmosphere) {
+        if (this.atmosphere) {
+            this.atmosphere.dispose();
+            this.atmosphere = null;
+        }
+        if (atmosphere) {
+            this.atmosphere = new Atmosphere(this.Radius, atmosphere);
+            this.updateSunPosition();
+            this.group.add(this.atmosphere.getMesh());
+        }
+    }
+
+    createRings(rings) {
+        // One or more ring systems in the equatorial plane (see rings.js)
+        this.rings = new THREE.Group();
+        this.ringSystems = (Array.isArray(rings) ? rings : [rings]).map(ring => {
+            const system = createRingSystem(ring, this.Radius, this.textureLoader);
+            this.rings.add(system);
+            return system;
+        });
+
+        // The planet shadows its rings and the rings shadow the planet
+        this.body.castShadow = true;
+        this.body.receiveShadow = true;
+
+        this.group.add(this.rings);
+    }
+
+    setPosition(x, y, z) {
+        this.position.set(x, y, z);
+
+        // Move the entire group (body, atmosphere and rings)
+        if (this.group) {
+            this.group.position.copy(this.position);
+        }
+    }
+
+    // Get current position
+    getPosition() {
+        return this.position.clone();
+    }
+
+    getRadius() {
+        return this.Radius * this.scale;
+    }
+
+    // Update method for animations
+    update(deltaTime = 16.67, simulationTime = 0) { // Simulated milliseconds since the last frame and since time zero
+        this.updateSunPosition();
+
+        if (this.tidallyLocked && this.parent) {
+            // Tidal locking: always keep the same face towards the parent
+            this.group.lookAt(this.parent.getPosition());
+            return;
+        }
+
+        this.axialRotation.setTime(simulationTime);
+
+        // Tilt the whole system so atmosphere and rings stay in the equatorial plane
+        this.group.quaternion.copy(this.axialRotation.tiltQuaternion);
+
+        // Spin the body (and its clouds) around its own axis
+        this.body.rotation.y = this.axialRotation.angle;
+        if (this.clouds) {
+            this.cloudRotation.setTime(simulationTime);
+            this.clouds.rotation.y = this.cloudRotation.angle;
+        }
+    }
+
+    // Pass the Sun's position (the origin without one) to the shaders that light themselves
+    updateSunPosition() {
+        const sunPosition = this.sun ? this.sun.getPosition() : new THREE.Vector3();
+        if (this.body.material.uniforms && this.body.material.uniforms.sunPosition) {
+            this.body.material.uniforms.sunPosition.value.copy(sunPosition);
+        }
+        if (this.atmosphere) {
+            this.atmosphere.setSunPosition(sunPosition);
+        }
+    }
+
+    // Method to orbit around a point (the Sun or a parent planet) along a Keplerian orbit
+    orbitAround(centerX, centerY, centerZ, orbit, time) {
+        const offset = orbit.getPositionAtTime(time);
+        this.setPosition(centerX + offset.x, centerY + offset.y, centerZ + offset.z);
+    }
+
+    // Method to set rotation
+    setRotation(x, y, z) {
+        if (this.group) {
+            this.group.rotation.set(x, y, z);
+        }
+    }
+
+    // Method to set scale
+    setScale(scale) {
+        this.scale = scale;
+        if (this.group) {
+            this.group.scale.setScalar(scale);
+        }
+    }
+
+    // Method to show/hide atmosphere
+    setAtmosphereVisible(visible) {
+        if (this.atmosphere) {
+            this.atmosphere.getMesh().visible = visible;
+        }
+    }
+
+    // Method to adjust atmosphere brightness (1 is the configured scattering)
+    setAtmosphereIntensity(factor) {
+        if (this.atmosphere) {
+            this.atmosphere.setIntensity(factor);
+        }
+    }
+
+    // Method to get the body mesh (for external animations)
+    getMesh() {
+        return this.body;
+    }
+
+    // Method to get the atmosphere mesh
+    getAtmosphereMesh() {
+        return this.atmosphere ? this.atmosphere.getMesh() : null;
+    }
+
+    // Method to get the cloud layer mesh
+    getCloudsMesh() {
+        return this.clouds;
+    }
+
+    // Method to show/hide the ring systems
+    setRingsVisible(visible) {
+        if (this.rings) {
+            this.rings.visible = visible;
+        }
+    }
+
+    // Method to check for ring systems
+    hasRings() {
+        return !!this.rings;
+    }
+
+    // Method to get the rings (a group holding every ring system)
+    getRingsMesh() {
+        return this.rings;
+    }
+
+    // Method to get the entire group (body, atmosphere and rings)
+    getGroup() {
+        return this.group;
+    }
+
+    // Cleanup method
+    dispose() {
+        if (this.rings) {
+            this.ringSystems.forEach(system => disposeRingSystem(system));
+        }
+
+        [this.body, this.clouds].forEach(mesh => {
+            if (mesh) {
+                mesh.geometry.dispose();
+                mesh.material.dispose();
+            }
+        });
+
+        if (this.atmosphere) {
+            this.atmosphere.dispose();
+        }
+
+        if (this.surfaceTexture) {
+            this.surfaceTexture.dispose();
+        }
+
+        if (this.group) {
+            this.scene.remove(this.group);
+        }
+    }
+}
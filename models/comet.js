@@ -0,0 +1,283 @@
+import * as THREE from 'three';
+import { J2000_JULIAN_DATE } from './ephemeris.js';
+import { GAUSSIAN_GRAVITATIONAL_CONSTANT } from './nbody.js';
+
+// Comet orbits in the body catalog are perihelion elements (q in AU, angles in degrees,
+// perihelion time as a Julian date) from the JPL small-body database
+
+/**
+ * Converts perihelion elements into KeplerOrbit elements (AU, radians per day since J2000)
+ * @param {Object} orbit - Orbit of a comet's catalog entry
+ * @returns {Object} Elements for KeplerOrbit
+ */
+export function getCometOrbitElements(orbit) {
+    const semiMajorAxis = orbit.perihelionDistance / (1 - orbit.eccentricity);
+    const speed = GAUSSIAN_GRAVITATIONAL_CONSTANT / Math.pow(semiMajorAxis, 1.5);
+    const meanAnomalyAtEpoch = speed * (J2000_JULIAN_DATE - orbit.perihelionTime) * 180 / Math.PI;
+
+    return {
+        semiMajorAxis,
+        eccentricity: orbit.eccentricity,
+        inclination: orbit.inclination,
+        longitudeOfAscendingNode: orbit.longitudeOfAscendingNode,
+        argumentOfPeriapsis: orbit.argumentOfPeriapsis,
+        meanAnomalyAtEpoch: meanAnomalyAtEpoch % 360,
+        speed
+    };
+}
+
+// Soft round sprite shared by the coma and the tail particles
+function createGlowTexture() {
+    const size = 64;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext('2d');
+
+    const gradient = context.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    gradient.addColorStop(0.3, 'rgba(255, 255, 255, 0.5)');
+    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, size, size);
+
+    return new THREE.CanvasTexture(canvas);
+}
+
+export class Comet {
+    constructor(scene, x = 0, y = 0, z = 0, radius = 0.05, options = {}) {
+        this.scene = scene;
+        this.position = new THREE.Vector3(x, y, z);
+
+        // Identity and the body whose light and wind shape the tails
+        this.name = options.name || 'Comet';
+        this.color = options.color || '#9fd8ff';
+        this.sun = options.sun || null;
+
+        // Tail settings (scene units)
+        this.tailLength = options.tailLength || 30;
+        this.ionParticleCount = options.ionParticleCount || 1500;
+        this.dustParticleCount = options.dustParticleCount || 2500;
+
+        // Orbital state cached by orbitAround()
+        this.heliocentricDistance = Infinity; // AU
+        this.velocityDirection = new THREE.Vector3(1, 0, 0);
+        this.activity = 0;
+
+        // Initialize geometry
+        this.Radius = radius;
+        this.nucleusGeometry = new THREE.SphereGeometry(this.Radius, 16, 16);
+
+        // Initialize meshes (will be created in create methods)
+        this.nucleus = null;
+        this.coma = null;
+        this.ionTail = null;
+        this.dustTail = null;
+        this.glowTexture = createGlowTexture();
+
+        // Create the comet
+        this.createNucleus();
+        this.createComa();
+        this.createTails();
+
+        // Set initial position
+        this.setPosition(x, y, z);
+    }
+
+    createNucleus() {
+        // Dark, irregular-looking nucleus
+        const nucleusMaterial = new THREE.MeshPhongMaterial({
+            color: 0x3a3530,
+            shininess: 2
+        });
+
+        this.nucleus = new THREE.Mesh(this.nucleusGeometry, nucleusMaterial);
+        this.nucleus.scale.set(1.3, 0.9, 1);
+        this.scene.add(this.nucleus);
+    }
+
+    createComa() {
+        const comaMaterial = new THREE.SpriteMaterial({
+            map: this.glowTexture,
+            color: this.color,
+            transparent: true,
+            opacity: 0,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+
+        this.coma = new THREE.Sprite(comaMaterial);
+        this.scene.add(this.coma);
+    }
+
+    createTails() {
+        // Ion tail: straight, blue, fed by the solar wind
+        this.ionTail = this.createTail(this.ionParticleCount, new THREE.Color(0x6fa8ff), 0.35);
+
+        // Dust tail: broader, yellowish, curved by radiation pressure
+        this.dustTail = this.createTail(this.dustParticleCount, new THREE.Color(0xfff1c8), 0.5);
+    }
+
+    createTail(count, color, size) {
+        const positions = new Float32Array(count * 3);
+        const colors = new Float32Array(count * 3);
+
+        // Fixed per-particle parameters: distance along the tail and a random spread direction
+        const along = new Float32Array(count);
+        const spread = new Float32Array(count * 3);
+
+        for (let i = 0; i < count; i++) {
+            along[i] = Math.pow(Math.random(), 0.7);
+            const theta = Math.random() * Math.PI * 2;
+            const radius = Math.sqrt(Math.random());
+            spread.set([Math.cos(theta) * radius, Math.sin(theta) * radius, Math.random() - 0.5], i * 3);
+
+            // Fade towards the end of the tail
+            const fade = 1 - along[i];
+            colors.set([color.r * fade, color.g * fade, color.b * fade], i * 3);
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+        const material = new THREE.PointsMaterial({
+            size: size,
+            map: this.glowTexture,
+            vertexColors: true,
+            transparent: true,
+            opacity: 0,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+
+        const points = new THREE.Points(geometry, material);
+        points.frustumCulled = false;
+        this.scene.add(points);
+
+        return { points, along, spread, count };
+    }
+
+    setPosition(x, y, z) {
+        this.position.set(x, y, z);
+
+        if (this.nucleus) {
+            this.nucleus.position.copy(this.position);
+        }
+        if (this.coma) {
+            this.coma.position.copy(this.position);
+        }
+    }
+
+    // Get current position
+    getPosition() {
+        return this.position.clone();
+    }
+
+    getRadius() {
+        return this.Radius;
+    }
+
+    // Get distance from the Sun in AU (from the last orbit update)
+    getHeliocentricDistance() {
+        return this.heliocentricDistance;
+    }
+
+    // Update method for animations
+    update(deltaTime = 16.67) { // Simulated milliseconds since the last frame
+        // Activity switches on inside ~5 AU, where ices start to sublimate
+        const r = this.heliocentricDistance;
+        this.activity = Math.pow(Math.max(0, Math.min(1, (5 - r) / 4.5)), 2);
+
+        const comaSize = this.Radius * 20 + this.tailLength * 0.08 * this.activity;
+        this.coma.scale.set(comaSize, comaSize, 1);
+        this.coma.material.opacity = 0.2 + 0.8 * this.activity;
+
+        this.updateTails();
+    }
+
+    updateTails() {
+        const sunPosition = this.sun ? this.sun.getPosition() : new THREE.Vector3();
+
+        // Ion tail points straight away from the Sun
+        const antiSun = this.position.clone().sub(sunPosition).normalize();
+
+        // Perpendicular basis for the tail's cross-section
+        const side = new THREE.Vector3().crossVectors(antiSun, this.velocityDirection);
+        if (side.lengthSq() < 1e-8) {
+            side.set(0, 1, 0).cross(antiSun);
+        }
+        side.normalize();
+        const normal = new THREE.Vector3().crossVectors(side, antiSun).normalize();
+
+        const length = this.tailLength * this.activity;
+        this.ionTail.points.visible = this.activity > 0;
+        this.dustTail.points.visible = this.activity > 0;
+        this.ionTail.points.material.opacity = 0.9 * this.activity;
+        this.dustTail.points.material.opacity = 0.7 * this.activity;
+        if (this.activity === 0) return;
+
+        // Ion tail: narrow and straight
+        this.writeTail(this.ionTail, (s, spread, target) => target
+            .copy(this.position)
+            .addScaledVector(antiSun, s * length)
+            .addScaledVector(side, spread[0] * length * 0.02 * (0.2 + s))
+            .addScaledVector(normal, spread[1] * length * 0.02 * (0.2 + s)));
+
+        // Dust tail: fans out and lags behind the comet along its orbit
+        const dustLength = length * 0.7;
+        this.writeTail(this.dustTail, (s, spread, target) => target
+            .copy(this.position)
+            .addScaledVector(antiSun, s * dustLength)
+            .addScaledVector(this.velocityDirection, -s * s * dustLength * 0.6)
+            .addScaledVector(side, spread[0] * dustLength * 0.08 * s)
+            .addScaledVector(normal, spread[1] * dustLength * 0.03 * s)
+            .addScaledVector(antiSun, spread[2] * dustLength * 0.05 * s));
+    }
+
+    writeTail(tail, place) {
+        const positions = tail.points.geometry.attributes.position;
+        const point = new THREE.Vector3();
+        const spread = [0, 0, 0];
+
+        for (let i = 0; i < tail.count; i++) {
+            spread[0] = tail.spread[i * 3];
+            spread[1] = tail.spread[i * 3 + 1];
+            spread[2] = tail.spread[i * 3 + 2];
+            place(tail.along[i], spread, point);
+            positions.setXYZ(i, point.x, point.y, point.z);
+        }
+
+        positions.needsUpdate = true;
+    }
+
+    // Method to orbit around a point (the Sun) along a Keplerian orbit
+    orbitAround(centerX, centerY, centerZ, orbit, time) {
+        const trueAnomaly = orbit.getTrueAnomaly(orbit.getMeanAnomaly(time));
+        const offset = orbit.getPositionAtTrueAnomaly(trueAnomaly);
+        this.setPosition(centerX + offset.x, centerY + offset.y, centerZ + offset.z);
+
+        // Semi-major axis is in AU, so the focal distance is heliocentric AU
+        this.heliocentricDistance = orbit.getRadiusAtTrueAnomaly(trueAnomaly);
+        orbit.getVelocityAtTrueAnomaly(trueAnomaly, this.velocityDirection).normalize();
+    }
+
+    // Method to get nucleus mesh (for external animations)
+    getCometMesh() {
+        return this.nucleus;
+    }
+
+    // Cleanup method
+    dispose() {
+        [this.nucleus, this.ionTail.points, this.dustTail.points].forEach(object => {
+            this.scene.remove(object);
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+
+        // Sprites share one geometry, so only the material is ours to dispose
+        this.scene.remove(this.coma);
+        this.coma.material.dispose();
+        this.glowTexture.dispose();
+    }
+}
@@ -0,0 +1,187 @@
+import * as THREE from 'three';
+
+/**
+ * dayNight.js
+ * Surface shader for bodies with a lit and a night side (Earth): the day map fades into
+ * city lights across a soft terminator computed from the Sun's position, and only the
+ * oceans reflect a specular glint
+ *
+ * Without a night map the city lights are scattered procedurally over the land, and without
+ * a specular map the oceans are picked out of the day map by their color.
+ */
+
+const vertexShader = /* glsl */`
+    uniform sampler2D displacementMap;
+    uniform float displacementScale;
+    uniform bool hasDisplacementMap;
+
+    varying vec2 vUv;
+    varying vec3 vWorldPosition;
+    varying vec3 vWorldNormal;
+
+    void main() {
+        vUv = uv;
+
+        vec3 displaced = position;
+        if (hasDisplacementMap) {
+            displaced += normal * texture2D(displacementMap, uv).r * displacementScale;
+        }
+
+        vec4 worldPosition = modelMatrix * vec4(displaced, 1.0);
+        vWorldPosition = worldPosition.xyz;
+        vWorldNormal = normalize(mat3(modelMatrix) * normal);
+
+        gl_Position = projectionMatrix * viewMatrix * worldPosition;
+    }
+`;
+
+const fragmentShader = /* glsl */`
+    uniform sampler2D dayMap;
+    uniform sampler2D nightMap;
+    uniform sampler2D specularMap;
+    uniform sampler2D bumpMap;
+    uniform bool hasNightMap;
+    uniform bool hasSpecularMap;
+    uniform bool hasBumpMap;
+    uniform float bumpScale;
+
+    uniform vec3 sunPosition;
+    uniform vec3 sunColor;
+    uniform float terminatorWidth;
+    uniform float nightIntensity;
+    uniform float specularStrength;
+    uniform float shininess;
+    uniform float ambient;
+
+    varying vec2 vUv;
+    varying vec3 vWorldPosition;
+    varying vec3 vWorldNormal;
+
+    float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+    }
+
+    float valueNoise(vec2 p) {
+        vec2 i = floor(p);
+        vec2 f = fract(p);
+        vec2 u = f * f * (3.0 - 2.0 * f);
+        return mix(mix(hash(i), hash(i + vec2(1.0, 0.0)), u.x),
+                   mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), u.x), u.y);
+    }
+
+    // Oceans are the pixels clearly bluer than they are red or green
+    float oceanMask(vec3 day) {
+        if (hasSpecularMap) {
+            return texture2D(specularMap, vUv).r;
+        }
+        return smoothstep(0.03, 0.12, day.b - max(day.r, day.g));
+    }
+
+    vec3 cityLights(float land) {
+        if (hasNightMap) {
+            return texture2D(nightMap, vUv).rgb;
+        }
+
+        // Sparse lit cells, clustered by low-frequency noise and kept away from the poles
+        float cluster = smoothstep(0.55, 0.85, valueNoise(vUv * vec2(48.0, 24.0)));
+        float cell = step(0.9, hash(floor(vUv * vec2(2048.0, 1024.0))));
+        float latitude = abs(vUv.y - 0.5) * 2.0;
+        return vec3(1.0, 0.78, 0.45) * land * cluster * cell * smoothstep(0.8, 0.6, latitude);
+    }
+
+    // Bump mapping from screen-space derivatives (no tangents needed)
+    vec3 perturbNormal(vec3 normal, float height) {
+        vec3 dpdx = dFdx(vWorldPosition);
+        vec3 dpdy = dFdy(vWorldPosition);
+        float dhdx = dFdx(height);
+        float dhdy = dFdy(height);
+        vec3 r1 = cross(dpdy, normal);
+        vec3 r2 = cross(normal, dpdx);
+        float det = dot(dpdx, r1);
+        vec3 gradient = sign(det) * (dhdx * r1 + dhdy * r2);
+        return normalize(abs(det) * normal - gradient);
+    }
+
+    void main() {
+        vec3 geometryNormal = normalize(vWorldNormal);
+        vec3 normal = hasBumpMap ? perturbNormal(geometryNormal, texture2D(bumpMap, vUv).r * bumpScale) : geometryNormal;
+        vec3 lightDirection = normalize(sunPosition - vWorldPosition);
+        vec3 viewDirection = normalize(cameraPosition - vWorldPosition);
+
+        vec3 day = texture2D(dayMap, vUv).rgb;
+        float ocean = oceanMask(day);
+
+        // Soft terminator on the smooth sphere, so bumps do not speckle the twilight band
+        float sunHeight = dot(geometryNormal, lightDirection);
+        float dayFactor = smoothstep(-terminatorWidth, terminatorWidth, sunHeight);
+        float diffuse = max(dot(normal, lightDirection), 0.0);
+
+        vec3 color = day * sunColor * (diffuse * dayFactor + ambient);
+
+        // Warm tint along the terminator
+        float twilight = 4.0 * dayFactor * (1.0 - dayFactor);
+        color += day * vec3(0.25, 0.08, 0.0) * twilight;
+
+        // Sun glint on the oceans only
+        vec3 halfway = normalize(lightDirection + viewDirection);
+        float specular = pow(max(dot(geometryNormal, halfway), 0.0), shininess);
+        color += sunColor * specular * specularStrength * ocean * dayFactor;
+
+        // City lights where the Sun has set
+        color += cityLights(1.0 - ocean) * nightIntensity * (1.0 - dayFactor);
+
+        gl_FragColor = vec4(color, 1.0);
+
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+    }
+`;
+
+/**
+ * Creates the day/night surface material
+ * @param {THREE.TextureLoader} textureLoader - Loader for the maps
+ * @param {Object} textures - Texture paths {map, nightMap, specularMap, bumpMap, bumpScale,
+ *   displacementMap, displacementScale} (only map is required)
+ * @param {Object} options - Shading {terminatorWidth, nightIntensity, specularStrength, shininess, ambient}
+ * @returns {THREE.ShaderMaterial} Material; keep its sunPosition uniform up to date
+ */
+export function createDayNightMaterial(textureLoader, textures, options = {}) {
+    const load = (path, colorSpace = THREE.NoColorSpace) => {
+        if (!path) return null;
+        const texture = textureLoader.load(path);
+        texture.colorSpace = colorSpace;
+        return texture;
+    };
+
+    const dayMap = load(textures.map, THREE.SRGBColorSpace);
+    const nightMap = load(textures.nightMap, THREE.SRGBColorSpace);
+    const specularMap = load(textures.specularMap);
+    const bumpMap = load(textures.bumpMap);
+    const displacementMap = load(textures.displacementMap);
+
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            dayMap: { value: dayMap },
+            nightMap: { value: nightMap },
+            specularMap: { value: specularMap },
+            bumpMap: { value: bumpMap },
+            displacementMap: { value: displacementMap },
+            hasNightMap: { value: !!nightMap },
+            hasSpecularMap: { value: !!specularMap },
+            hasBumpMap: { value: !!bumpMap },
+            hasDisplacementMap: { value: !!displacementMap },
+            // Same bumpScale as the Phong maps, as world height: 1 lifts white 1% of a unit radius
+            bumpScale: { value: textures.bumpScale !== undefined ? textures.bumpScale * 0.01 : 0.01 },
+            displacementScale: { value: textures.displacementScale || 0.05 },
+            sunPosition: { value: new THREE.Vector3() },
+            sunColor: { value: new THREE.Color(0xffffff) },
+            terminatorWidth: { value: options.terminatorWidth !== undefined ? options.terminatorWidth : 0.12 },
+            nightIntensity: { value: options.nightIntensity !== undefined ? options.nightIntensity : 1.2 },
+            specularStrength: { value: options.specularStrength !== undefined ? options.specularStrength : 0.6 },
+            shininess: { value: options.shininess !== undefined ? options.shininess : 40 },
+            ambient: { value: options.ambient !== undefined ? options.ambient : 0.02 }
+        },
+        vertexShader,
+        fragmentShader
+    });
+}
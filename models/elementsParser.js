@@ -0,0 +1,323 @@
+import { AU_KM, dateToJulianDate } from './ephemeris.js';
+
+/**
+ * elementsParser.js
+ * Readers for heliocentric orbital element files
+ *
+ * Supported formats:
+ * - Minor Planet Center one-line asteroid elements (MPCORB.DAT and its extracts)
+ * - Minor Planet Center one-line comet elements (CometEls.txt)
+ * - JPL Horizons "ELEMENTS" tables, plain text or CSV, centered on the Sun
+ *
+ * Every reader returns {format, records, errors}. Records are
+ * {key, name, type: 'asteroid'|'comet', a (AU), e, i, node, peri, M (degrees), epoch (Julian date), H};
+ * errors are {line, message} so malformed lines can be shown to the user.
+ */
+
+// Packed MPC digits: 0-9, then A-Z for 10-35, then a-z for 36-61
+const PACKED_DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// Comet designations: 1P/, 73P/, C/, P/, D/, X/, I/
+const COMET_DESIGNATION = /^(\d+[PDI]|[CPDXI])\//;
+
+/**
+ * Guesses the format of an element file
+ * @param {string} text - File contents
+ * @returns {string|null} 'mpcorb', 'mpc-comet', 'horizons-elements' or null
+ */
+export function detectElementsFormat(text) {
+    if (/\$\$SOE/.test(text) && /\bEC\b/.test(text) && /\bQR\b/.test(text)) {
+        return 'horizons-elements';
+    }
+
+    const lines = text.split(/\r?\n/);
+    if (lines.some(isMpcorbLine)) {
+        return 'mpcorb';
+    }
+    if (lines.some(isMpcCometLine)) {
+        return 'mpc-comet';
+    }
+    return null;
+}
+
+/**
+ * Parses any supported element file
+ * @param {string} text - File contents
+ * @returns {{format: string|null, records: Array<Object>, errors: Array<Object>}} Parsed records and errors
+ */
+export function parseElementsFile(text) {
+    const format = detectElementsFormat(text);
+
+    switch (format) {
+        case 'mpcorb':
+            return parseMpcorb(text);
+        case 'mpc-comet':
+            return parseMpcComets(text);
+        case 'horizons-elements':
+            return parseHorizonsElements(text);
+        default:
+            return {
+                format: null,
+                records: [],
+                errors: [{ line: null, message: 'Unrecognised file: expected MPCORB, MPC comet or Horizons ELEMENTS format' }]
+            };
+    }
+}
+
+// 1-based inclusive column range, as the MPC format documents them
+function columns(line, start, end) {
+    return line.substring(start - 1, end).trim();
+}
+
+function isMpcorbLine(line) {
+    return line.length >= 103 && /^[IJK]\d\d[1-9A-C][1-9A-V]$/.test(columns(line, 21, 25));
+}
+
+function isMpcCometLine(line) {
+    return line.length >= 79 && /^\d{4} \d\d \d\d\.\d+$/.test(columns(line, 15, 29));
+}
+
+// Julian date of a calendar date (UTC, fractional day)
+function calendarToJulianDate(year, month, day) {
+    return dateToJulianDate(new Date(Date.UTC(year, month - 1, 1))) + day - 1;
+}
+
+// Packed epoch such as K24AH: century letter, year, month and day as packed digits
+function unpackEpoch(packed) {
+    const century = { I: 1800, J: 1900, K: 2000 }[packed[0]];
+    const year = century + parseInt(packed.substring(1, 3), 10);
+    const month = PACKED_DIGITS.indexOf(packed[3]);
+    const day = PACKED_DIGITS.indexOf(packed[4]);
+    return calendarToJulianDate(year, month, day);
+}
+
+// Packed designations: numbered (00433, A0345, ~0000) or provisional (K24A01B)
+function unpackDesignation(packed) {
+    if (/^[0-9A-Za-z]\d{4}$/.test(packed)) {
+        return String(PACKED_DIGITS.indexOf(packed[0]) * 10000 + parseInt(packed.substring(1), 10));
+    }
+    const provisional = packed.match(/^([IJK])(\d\d)([A-Z])([0-9A-Za-z])(\d)([A-Z])$/);
+    if (provisional) {
+        const year = { I: 18, J: 19, K: 20 }[provisional[1]] + provisional[2];
+        const cycle = PACKED_DIGITS.indexOf(provisional[4]) * 10 + parseInt(provisional[5], 10);
+        return `${year} ${provisional[3]}${provisional[6]}${cycle || ''}`;
+    }
+    return packed;
+}
+
+function toKey(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+// Checks the numbers of a record and returns an error message, or null if usable
+function validateRecord(record) {
+    if (record.e >= 1) {
+        return `unbound orbit (e = ${record.e}); only elliptical orbits can be shown`;
+    }
+    const fields = ['a', 'e', 'i', 'node', 'peri', 'M', 'epoch'];
+    const missing = fields.filter(field => !Number.isFinite(record[field]));
+    if (missing.length > 0) {
+        return `unreadable ${missing.join(', ')}`;
+    }
+    if (record.e < 0) {
+        return `invalid eccentricity (${record.e})`;
+    }
+    if (record.a <= 0) {
+        return `invalid semi-major axis (${record.a})`;
+    }
+    return null;
+}
+
+function pushRecord(result, record, lineNumber) {
+    const problem = validateRecord(record);
+    if (problem) {
+        result.errors.push({ line: lineNumber, message: `${record.name || 'record'}: ${problem}` });
+        return;
+    }
+    result.records.push({ key: toKey(record.name), ...record });
+}
+
+/**
+ * Parses Minor Planet Center one-line asteroid elements (MPCORB.DAT format)
+ * @param {string} text - File contents
+ * @returns {{format: string, records: Array<Object>, errors: Array<Object>}} Parsed records and errors
+ */
+export function parseMpcorb(text) {
+    const result = { format: 'mpcorb', records: [], errors: [] };
+    const lines = text.split(/\r?\n/);
+
+    // MPCORB.DAT starts with a free-text header closed by a line of dashes
+    const separator = lines.findIndex(line => /^-{20,}/.test(line));
+    const start = separator >= 0 ? separator + 1 : 0;
+
+    for (let index = start; index < lines.length; index++) {
+        const line = lines[index];
+        if (!line.trim() || line.startsWith('#')) continue;
+
+        if (!isMpcorbLine(line)) {
+            result.errors.push({ line: index + 1, message: 'not an MPCORB record (bad length or epoch columns)' });
+            continue;
+        }
+
+        const readableName = columns(line, 167, 194).replace(/^\((\d+)\)\s*/, '$1 ');
+        const name = readableName || unpackDesignation(columns(line, 1, 7));
+
+        pushRecord(result, {
+            name,
+            type: 'asteroid',
+            H: parseFloat(columns(line, 9, 13)),
+            epoch: unpackEpoch(columns(line, 21, 25)),
+            M: parseFloat(columns(line, 27, 35)),
+            peri: parseFloat(columns(line, 38, 46)),
+            node: parseFloat(columns(line, 49, 57)),
+            i: parseFloat(columns(line, 60, 68)),
+            e: parseFloat(columns(line, 71, 79)),
+            a: parseFloat(columns(line, 93, 103))
+        }, index + 1);
+    }
+
+    return result;
+}
+
+/**
+ * Parses Minor Planet Center one-line comet elements (CometEls.txt format)
+ *
+ * Comet lines give the perihelion distance and time instead of a and M, so the
+ * records are expressed at the perihelion epoch (M = 0).
+ * @param {string} text - File contents
+ * @returns {{format: string, records: Array<Object>, errors: Array<Object>}} Parsed records and errors
+ */
+export function parseMpcComets(text) {
+    const result = { format: 'mpc-comet', records: [], errors: [] };
+    const lines = text.split(/\r?\n/);
+
+    lines.forEach((line, index) => {
+        if (!line.trim() || line.startsWith('#')) return;
+
+        if (!isMpcCometLine(line)) {
+            result.errors.push({ line: index + 1, message: 'not an MPC comet record (bad length or perihelion date columns)' });
+            return;
+        }
+
+        const q = parseFloat(columns(line, 31, 39));
+        const e = parseFloat(columns(line, 42, 49));
+        const name = columns(line, 103, 158) || `${columns(line, 1, 4)}${columns(line, 5, 12)}`;
+
+        pushRecord(result, {
+            name,
+            type: 'comet',
+            H: parseFloat(columns(line, 92, 95)),
+            epoch: calendarToJulianDate(
+                parseInt(columns(line, 15, 18), 10),
+                parseInt(columns(line, 20, 21), 10),
+                parseFloat(columns(line, 23, 29))
+            ),
+            M: 0,
+            peri: parseFloat(columns(line, 52, 59)),
+            node: parseFloat(columns(line, 62, 69)),
+            i: parseFloat(columns(line, 72, 79)),
+            e,
+            a: q / (1 - e)
+        }, index + 1);
+    });
+
+    return result;
+}
+
+/**
+ * Parses a JPL Horizons ELEMENTS table (plain text or CSV export)
+ *
+ * Horizons lists one body at several epochs; the first epoch is used. Elements must be
+ * heliocentric and referred to the ecliptic, which are the Horizons defaults.
+ * @param {string} text - File contents
+ * @returns {{format: string, records: Array<Object>, errors: Array<Object>}} Parsed records and errors
+ */
+export function parseHorizonsElements(text) {
+    const result = { format: 'horizons-elements', records: [], errors: [] };
+    const lines = text.split(/\r?\n/);
+    const soe = lines.findIndex(line => line.includes('$$SOE'));
+    const eoe = lines.findIndex(line => line.includes('$$EOE'));
+    const headerLines = lines.slice(0, soe);
+
+    // Header metadata
+    const field = pattern => {
+        const line = headerLines.find(l => pattern.test(l));
+        return line ? line.split(':').slice(1).join(':').trim() : '';
+    };
+    const name = field(/^\s*Target body name/i).replace(/\s*\{.*$/, '').trim() || 'Imported body';
+    const centerName = field(/^\s*Center body name/i);
+    const kilometres = /^KM/i.test(field(/^\s*Output units/i));
+    const plane = field(/^\s*Reference plane/i);
+
+    if (centerName && !/sun/i.test(centerName)) {
+        result.errors.push({ line: null, message: `${name}: elements are relative to ${centerName}; heliocentric elements (center @10) are required` });
+        return result;
+    }
+    if (/equator/i.test(plane)) {
+        result.errors.push({ line: null, message: `${name}: elements are referred to the Earth equator; ecliptic elements are required` });
+        return result;
+    }
+
+    // Collect the named values of every epoch
+    const epochs = [];
+    const body = lines.slice(soe + 1, eoe >= 0 ? eoe : lines.length);
+    const isCsv = body.some(line => line.includes(',') && !line.includes('='));
+
+    if (isCsv) {
+        const columnLine = [...headerLines].reverse().find(line => /JDTDB/i.test(line) && line.includes(','));
+        if (!columnLine) {
+            result.errors.push({ line: soe + 1, message: 'CSV table without a column header line' });
+            return result;
+        }
+        const columnNames = columnLine.split(',').map(column => column.trim().toUpperCase());
+        body.forEach((line, offset) => {
+            if (!line.trim()) return;
+            const values = line.split(',');
+            const entry = { line: soe + offset + 2 };
+            columnNames.forEach((column, index) => {
+                entry[column] = parseFloat(values[index]);
+            });
+            epochs.push(entry);
+        });
+    } else {
+        let current = null;
+        body.forEach((line, offset) => {
+            if (!line.trim()) return;
+            const epoch = line.match(/^\s*(\d+\.\d+)\s*=/);
+            if (epoch) {
+                current = { line: soe + offset + 2, JDTDB: parseFloat(epoch[1]) };
+                epochs.push(current);
+                return;
+            }
+            if (!current) {
+                result.errors.push({ line: soe + offset + 2, message: 'values before the first epoch line' });
+                return;
+            }
+            for (const match of line.matchAll(/\b(EC|QR|IN|OM|W|Tp|N|MA|TA|A|AD|PR)\s*=\s*([-+]?\d*\.?\d+(?:E[-+]?\d+)?)/gi)) {
+                current[match[1].toUpperCase()] = parseFloat(match[2]);
+            }
+        });
+    }
+
+    if (epochs.length === 0) {
+        result.errors.push({ line: soe + 1, message: 'no element records between $$SOE and $$EOE' });
+        return result;
+    }
+
+    const first = epochs[0];
+    const a = Number.isFinite(first.A) ? first.A : first.QR / (1 - first.EC);
+    pushRecord(result, {
+        name,
+        type: COMET_DESIGNATION.test(name) ? 'comet' : 'asteroid',
+        H: NaN,
+        epoch: first.JDTDB,
+        M: first.MA,
+        peri: first.W,
+        node: first.OM,
+        i: first.IN,
+        e: first.EC,
+        a: kilometres ? a / AU_KM : a
+    }, first.line);
+
+    return result;
+}
@@ -0,0 +1,181 @@
+/**
+ * ephemeris.js
+ * Approximate planetary ephemeris based on the JPL "Keplerian Elements for Approximate
+ * Positions of the Major Planets" (Standish, table 1, valid 1800 AD - 2050 AD)
+ *
+ * Each entry holds the J2000 mean elements and their rates per Julian century:
+ * a (au), e, I (deg), L mean longitude (deg), varpi longitude of perihelion (deg),
+ * node longitude of the ascending node (deg).
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// J2000 epoch (2000-01-01 12:00 TT), expressed in Unix milliseconds and as a Julian date
+export const J2000_EPOCH_MS = Date.UTC(2000, 0, 1, 12, 0, 0);
+export const J2000_JULIAN_DATE = 2451545.0;
+
+export const MS_PER_DAY = 86400000;
+export const AU_KM = 149597870.7; // Astronomical unit in km
+export const DAYS_PER_CENTURY = 36525;
+
+// Years the element table is fitted for; outside them positions drift further the further out
+export const EPHEMERIS_VALID_YEARS = { start: 1800, end: 2050 };
+
+// Simulation time limits in ms from J2000: JavaScript dates end 8.64e15 ms either side of 1970
+export const SIMULATION_TIME_LIMITS = { min: -8.64e15 - J2000_EPOCH_MS, max: 8.64e15 - J2000_EPOCH_MS };
+
+export const PLANET_ELEMENTS = {
+    mercury: {
+        elements: { a: 0.38709927, e: 0.20563593, I: 7.00497902, L: 252.25032350, varpi: 77.45779628, node: 48.33076593 },
+        rates: { a: 0.00000037, e: 0.00001906, I: -0.00594749, L: 149472.67411175, varpi: 0.16047689, node: -0.12534081 }
+    },
+    venus: {
+        elements: { a: 0.72333566, e: 0.00677672, I: 3.39467605, L: 181.97909950, varpi: 131.60246718, node: 76.67984255 },
+        rates: { a: 0.00000390, e: -0.00004107, I: -0.00078890, L: 58517.81538729, varpi: 0.00268329, node: -0.27769418 }
+    },
+    // Earth-Moon barycenter
+    earth: {
+        elements: { a: 1.00000261, e: 0.01671123, I: -0.00001531, L: 100.46457166, varpi: 102.93768193, node: 0.0 },
+        rates: { a: 0.00000562, e: -0.00004392, I: -0.01294668, L: 35999.37244981, varpi: 0.32327364, node: 0.0 }
+    },
+    mars: {
+        elements: { a: 1.52371034, e: 0.09339410, I: 1.84969142, L: -4.55343205, varpi: -23.94362959, node: 49.55953891 },
+        rates: { a: 0.00001847, e: 0.00007882, I: -0.00813131, L: 19140.30268499, varpi: 0.44441088, node: -0.29257343 }
+    },
+    jupiter: {
+        elements: { a: 5.20288700, e: 0.04838624, I: 1.30439695, L: 34.39644051, varpi: 14.72847983, node: 100.47390909 },
+        rates: { a: -0.00011607, e: -0.00013253, I: -0.00183714, L: 3034.74612775, varpi: 0.21252668, node: 0.20469106 }
+    },
+    saturn: {
+        elements: { a: 9.53667594, e: 0.05386179, I: 2.48599187, L: 49.95424423, varpi: 92.59887831, node: 113.66242448 },
+        rates: { a: -0.00125060, e: -0.00050991, I: 0.00193609, L: 1222.49362201, varpi: -0.41897216, node: -0.28867794 }
+    },
+    uranus: {
+        elements: { a: 19.18916464, e: 0.04725744, I: 0.77263783, L: 313.23810451, varpi: 170.95427630, node: 74.01692503 },
+        rates: { a: -0.00196176, e: -0.00004397, I: -0.00242939, L: 428.48202785, varpi: 0.40805281, node: 0.04240589 }
+    },
+    neptune: {
+        elements: { a: 30.06992276, e: 0.00859048, I: 1.77004347, L: -55.12002969, varpi: 44.96476227, node: 131.78422574 },
+        rates: { a: 0.00026291, e: 0.00005105, I: 0.00035372, L: 218.45945325, varpi: -0.32241464, node: -0.00508664 }
+    },
+    pluto: {
+        elements: { a: 39.48211675, e: 0.24882730, I: 17.14001206, L: 238.92903833, varpi: 224.06891629, node: 110.30393684 },
+        rates: { a: -0.00031596, e: 0.00005170, I: 0.00004818, L: 145.20780515, varpi: -0.04062942, node: -0.01183482 }
+    }
+};
+
+// Dwarf planets (Pluto is in the table above): osculating elements at J2000 from the JPL
+// small-body database, a (au), e, i, node, peri (argument of perihelion) and M (mean
+// anomaly) in degrees. Only the mean longitude advances; other secular rates are ignored.
+function osculatingEntry({ a, e, i, node, peri, M }) {
+    const varpi = node + peri;
+    return {
+        elements: { a, e, I: i, L: varpi + M, varpi, node },
+        rates: { a: 0, e: 0, I: 0, L: 0.9856076686 * DAYS_PER_CENTURY / Math.pow(a, 1.5), varpi: 0, node: 0 }
+    };
+}
+
+export const DWARF_PLANET_ELEMENTS = {
+    ceres: osculatingEntry({ a: 2.7675, e: 0.0758, i: 10.593, node: 80.305, peri: 73.597, M: 6.9 }),
+    haumea: osculatingEntry({ a: 43.13, e: 0.1912, i: 28.21, node: 122.17, peri: 239.04, M: 190.8 }),
+    makemake: osculatingEntry({ a: 45.43, e: 0.1613, i: 28.98, node: 79.62, peri: 294.84, M: 140.0 }),
+    eris: osculatingEntry({ a: 67.86, e: 0.4361, i: 44.04, node: 35.95, peri: 151.64, M: 194.5 })
+};
+
+// Bodies imported at runtime (MPC / Horizons element files), same shape as above
+export const IMPORTED_ELEMENTS = {};
+
+/**
+ * Registers osculating elements for a body so it gets ephemeris positions
+ * @param {string} name - Body name
+ * @param {Object} elements - {a (AU), e, i, node, peri, M (degrees), epoch (Julian date of M)}
+ */
+export function registerEphemerisElements(name, { a, e, i, node, peri, M, epoch = J2000_JULIAN_DATE }) {
+    // Move the mean anomaly back to J2000 so all tables share one epoch
+    const meanMotion = 0.9856076686 / Math.pow(a, 1.5);
+    const meanAnomalyAtJ2000 = M - meanMotion * (epoch - J2000_JULIAN_DATE);
+    IMPORTED_ELEMENTS[name] = osculatingEntry({ a, e, i, node, peri, M: ((meanAnomalyAtJ2000 % 360) + 360) % 360 });
+}
+
+// Masses in solar masses (Earth includes the Moon)
+export const PLANET_MASSES = {
+    sun: 1.0,
+    mercury: 1.6601e-7,
+    venus: 2.4478e-6,
+    earth: 3.0404e-6,
+    mars: 3.2272e-7,
+    jupiter: 9.5479e-4,
+    saturn: 2.8589e-4,
+    uranus: 4.3662e-5,
+    neptune: 5.1514e-5,
+    pluto: 6.55e-9,
+    ceres: 4.72e-10,
+    haumea: 2.02e-9,
+    makemake: 1.56e-9,
+    eris: 8.35e-9
+};
+
+/**
+ * Converts a JavaScript Date to a Julian date
+ * @param {Date} date - Calendar date (UTC)
+ * @returns {number} Julian date
+ */
+export function dateToJulianDate(date) {
+    return J2000_JULIAN_DATE + (date.getTime() - J2000_EPOCH_MS) / MS_PER_DAY;
+}
+
+/**
+ * Converts a Julian date to a JavaScript Date
+ * @param {number} julianDate - Julian date
+ * @returns {Date} Calendar date (UTC)
+ */
+export function julianDateToDate(julianDate) {
+    return new Date(J2000_EPOCH_MS + (julianDate - J2000_JULIAN_DATE) * MS_PER_DAY);
+}
+
+/**
+ * Checks whether ephemeris data exists for a body
+ * @param {string} name - Body name
+ * @returns {boolean} Whether the body has ephemeris elements
+ */
+export function hasEphemeris(name) {
+    return Object.prototype.hasOwnProperty.call(PLANET_ELEMENTS, name) ||
+        Object.prototype.hasOwnProperty.call(DWARF_PLANET_ELEMENTS, name) ||
+        Object.prototype.hasOwnProperty.call(IMPORTED_ELEMENTS, name);
+}
+
+/**
+ * Computes the mean orbital elements of a body at a Julian date
+ *
+ * The returned elements use "days since J2000" as the time unit, so
+ * KeplerOrbit.getPositionAtTime(julianDate - J2000_JULIAN_DATE) gives the position at that date.
+ * @param {string} name - Body name
+ * @param {number} julianDate - Julian date
+ * @returns {Object|null} Elements in KeplerOrbit shape plus semiMajorAxisAU, or null if unknown
+ */
+export function getEphemerisElements(name, julianDate) {
+    const entry = PLANET_ELEMENTS[name] || DWARF_PLANET_ELEMENTS[name] || IMPORTED_ELEMENTS[name];
+    if (!entry) {
+        return null;
+    }
+
+    const { elements, rates } = entry;
+    const T = (julianDate - J2000_JULIAN_DATE) / DAYS_PER_CENTURY;
+
+    const semiMajorAxisAU = elements.a + rates.a * T;
+    const eccentricity = elements.e + rates.e * T;
+    const inclination = elements.I + rates.I * T;
+    const longitudeOfPerihelion = elements.varpi + rates.varpi * T;
+    const longitudeOfAscendingNode = elements.node + rates.node * T;
+
+    return {
+        semiMajorAxisAU,
+        eccentricity,
+        inclination,
+        longitudeOfAscendingNode,
+        argumentOfPeriapsis: longitudeOfPerihelion - longitudeOfAscendingNode,
+        // M(t) = L0 + Ldot * t - varpi(T), split into epoch value and mean motion
+        meanAnomalyAtEpoch: elements.L - longitudeOfPerihelion,
+        speed: rates.L * DEG_TO_RAD / DAYS_PER_CENTURY
+    };
+}
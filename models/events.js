@@ -0,0 +1,324 @@
+import { AU_KM } from './ephemeris.js';
+
+/**
+ * events.js
+ * Sky events seen from Earth: eclipses, transits, conjunctions, oppositions and
+ * greatest elongations
+ *
+ * The search is driven by a sampler(julianDate) returning heliocentric positions in AU
+ * (THREE.Vector3 in scene axes, ecliptic north along +Y) for the Sun, Earth, the planets
+ * and the Moon. Events are bracketed on a daily grid and refined by bisection to about a
+ * minute. Eclipse and transit times are those of conjunction in longitude, which lie
+ * within minutes of greatest eclipse.
+ */
+
+export const MOON_DISTANCE_KM = 384400;
+
+const EARTH_RADIUS_KM = 6378.14;
+const MOON_RADIUS_KM = 1737.4;
+const SUN_RADIUS_KM = 696000;
+
+const TWO_PI = Math.PI * 2;
+const RAD_TO_DEG = 180 / Math.PI;
+const SCAN_STEP = 1; // days
+const REFINE_TOLERANCE = 1 / 1440; // days
+const CONJUNCTION_LIMIT = 5 / RAD_TO_DEG;
+
+// Event types the finder understands, with their list labels
+export const EVENT_TYPES = {
+    'solar-eclipse': 'Solar eclipses',
+    'lunar-eclipse': 'Lunar eclipses',
+    transit: 'Transits',
+    conjunction: 'Conjunctions',
+    opposition: 'Oppositions',
+    elongation: 'Greatest elongations'
+};
+
+const INFERIOR_PLANETS = ['mercury', 'venus'];
+const SUPERIOR_PLANETS = ['mars', 'jupiter', 'saturn', 'uranus', 'neptune'];
+const NAKED_EYE_PLANETS = ['mercury', 'venus', 'mars', 'jupiter', 'saturn'];
+
+// Wraps an angle into [-PI, PI)
+function wrapAngle(angle) {
+    return angle - TWO_PI * Math.floor((angle + Math.PI) / TWO_PI);
+}
+
+function capitalize(name) {
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+// Direction from Earth to a body (AU)
+function geocentric(positions, name) {
+    return positions[name].clone().sub(positions.earth);
+}
+
+// Ecliptic longitude of a scene-axis vector
+function eclipticLongitude(vector) {
+    return Math.atan2(-vector.z, vector.x);
+}
+
+// Longitude of a body minus the Sun's, seen from Earth
+function elongationInLongitude(positions, name) {
+    return wrapAngle(eclipticLongitude(geocentric(positions, name)) - eclipticLongitude(geocentric(positions, 'sun')));
+}
+
+// Apparent radius, parallax and distance of the Sun and Moon seen from Earth
+function getDisks(positions) {
+    const sun = geocentric(positions, 'sun');
+    const moon = geocentric(positions, 'moon');
+    const sunKm = sun.length() * AU_KM;
+    const moonKm = moon.length() * AU_KM;
+    return {
+        sun,
+        moon,
+        moonKm,
+        sunRadius: Math.asin(SUN_RADIUS_KM / sunKm),
+        moonRadius: Math.asin(MOON_RADIUS_KM / moonKm),
+        sunParallax: Math.asin(EARTH_RADIUS_KM / sunKm),
+        moonParallax: Math.asin(EARTH_RADIUS_KM / moonKm)
+    };
+}
+
+/**
+ * Finds where fn (an angle wrapped to [-PI, PI)) crosses zero, ignoring the jumps at +-PI
+ * @returns {Array<{julianDate: number, positions: Object}>} Refined crossings
+ */
+function findCrossings(samples, sampler, fn) {
+    const crossings = [];
+    let previous = fn(samples[0].positions);
+
+    for (let i = 1; i < samples.length; i++) {
+        const value = fn(samples[i].positions);
+        if (Math.sign(value) !== Math.sign(previous) && Math.abs(value - previous) < Math.PI) {
+            let low = samples[i - 1].julianDate;
+            let high = samples[i].julianDate;
+            let lowValue = previous;
+            while (high - low > REFINE_TOLERANCE) {
+                const middle = (low + high) / 2;
+                const middleValue = fn(sampler(middle));
+                if (Math.sign(middleValue) === Math.sign(lowValue)) {
+                    low = middle;
+                    lowValue = middleValue;
+                } else {
+                    high = middle;
+                }
+            }
+            const julianDate = (low + high) / 2;
+            crossings.push({ julianDate, positions: sampler(julianDate) });
+        }
+        previous = value;
+    }
+    return crossings;
+}
+
+/**
+ * Finds the local maxima of fn, refined by golden-section search
+ * @returns {Array<{julianDate: number, positions: Object}>} Refined maxima
+ */
+function findMaxima(samples, sampler, fn) {
+    const maxima = [];
+    const values = samples.map(sample => fn(sample.positions));
+    const ratio = (Math.sqrt(5) - 1) / 2;
+
+    for (let i = 1; i < samples.length - 1; i++) {
+        if (!(values[i] >= values[i - 1] && values[i] > values[i + 1])) continue;
+
+        let low = samples[i - 1].julianDate;
+        let high = samples[i + 1].julianDate;
+        while (high - low > REFINE_TOLERANCE) {
+            const left = high - ratio * (high - low);
+            const right = low + ratio * (high - low);
+            if (fn(sampler(left)) < fn(sampler(right))) {
+                low = left;
+            } else {
+                high = right;
+            }
+        }
+        const julianDate = (low + high) / 2;
+        maxima.push({ julianDate, positions: sampler(julianDate) });
+    }
+    return maxima;
+}
+
+// New moons that put the Moon's penumbra on Earth
+function findSolarEclipses(samples, sampler) {
+    const events = [];
+    findCrossings(samples, sampler, positions => elongationInLongitude(positions, 'moon')).forEach(({ julianDate, positions }) => {
+        const disks = getDisks(positions);
+        const gap = disks.moon.angleTo(disks.sun);
+        if (gap > disks.moonParallax - disks.sunParallax + disks.sunRadius + disks.moonRadius) return;
+
+        // Central when the shadow axis meets the Earth; total if the Moon looks larger
+        let kind = 'Partial';
+        if (gap < disks.moonParallax - disks.sunParallax) {
+            kind = disks.moonRadius > disks.sunRadius ? 'Total' : 'Annular';
+        }
+        events.push({
+            type: 'solar-eclipse',
+            julianDate,
+            title: `${kind} solar eclipse`,
+            detail: `Moon ${(gap * RAD_TO_DEG).toFixed(2)}° from the Sun's center`,
+            focus: 'earth',
+            viewFrom: 'sun'
+        });
+    });
+    return events;
+}
+
+// Full moons that pass through Earth's shadow (umbra and penumbra enlarged 2% for the atmosphere)
+function findLunarEclipses(samples, sampler) {
+    const events = [];
+    findCrossings(samples, sampler, positions => wrapAngle(elongationInLongitude(positions, 'moon') - Math.PI)).forEach(({ julianDate, positions }) => {
+        const disks = getDisks(positions);
+        const gap = disks.moon.angleTo(disks.sun.clone().negate());
+        const umbra = 1.02 * (disks.moonParallax + disks.sunParallax - disks.sunRadius);
+        const penumbra = 1.02 * (disks.moonParallax + disks.sunParallax + disks.sunRadius);
+
+        let kind = null;
+        if (gap + disks.moonRadius < umbra) {
+            kind = 'Total';
+        } else if (gap - disks.moonRadius < umbra) {
+            kind = 'Partial';
+        } else if (gap - disks.moonRadius < penumbra) {
+            kind = 'Penumbral';
+        }
+        if (!kind) return;
+
+        events.push({
+            type: 'lunar-eclipse',
+            julianDate,
+            title: `${kind} lunar eclipse`,
+            detail: `Moon ${(gap * RAD_TO_DEG).toFixed(2)}° from the shadow axis`,
+            focus: 'moon',
+            viewFrom: 'earth'
+        });
+    });
+    return events;
+}
+
+// Inferior conjunctions of Mercury and Venus that cross the Sun's disk
+function findTransits(samples, sampler, planets) {
+    const events = [];
+    planets.forEach(name => {
+        findCrossings(samples, sampler, positions => elongationInLongitude(positions, name)).forEach(({ julianDate, positions }) => {
+            const planet = geocentric(positions, name);
+            const sun = geocentric(positions, 'sun');
+            if (planet.length() > sun.length()) return;
+
+            const gap = planet.angleTo(sun);
+            if (gap > Math.asin(SUN_RADIUS_KM / (sun.length() * AU_KM))) return;
+
+            events.push({
+                type: 'transit',
+                julianDate,
+                title: `Transit of ${capitalize(name)}`,
+                detail: `${(gap * RAD_TO_DEG * 60).toFixed(1)}' from the Sun's center`,
+                focus: name,
+                viewFrom: 'earth'
+            });
+        });
+    });
+    return events;
+}
+
+// Close pairings of naked-eye planets in longitude
+function findConjunctions(samples, sampler, planets) {
+    const events = [];
+    planets.forEach((first, index) => {
+        planets.slice(index + 1).forEach(second => {
+            const fn = positions => wrapAngle(eclipticLongitude(geocentric(positions, first)) - eclipticLongitude(geocentric(positions, second)));
+            findCrossings(samples, sampler, fn).forEach(({ julianDate, positions }) => {
+                const gap = geocentric(positions, first).angleTo(geocentric(positions, second));
+                if (gap > CONJUNCTION_LIMIT) return;
+
+                events.push({
+                    type: 'conjunction',
+                    julianDate,
+                    title: `Conjunction of ${capitalize(first)} and ${capitalize(second)}`,
+                    detail: `${(gap * RAD_TO_DEG).toFixed(2)}° apart, ${Math.abs(elongationInLongitude(positions, first) * RAD_TO_DEG).toFixed(0)}° from the Sun`,
+                    focus: first,
+                    viewFrom: 'earth'
+                });
+            });
+        });
+    });
+    return events;
+}
+
+// Superior planets opposite the Sun
+function findOppositions(samples, sampler, planets) {
+    const events = [];
+    planets.forEach(name => {
+        findCrossings(samples, sampler, positions => wrapAngle(elongationInLongitude(positions, name) - Math.PI)).forEach(({ julianDate, positions }) => {
+            events.push({
+                type: 'opposition',
+                julianDate,
+                title: `${capitalize(name)} at opposition`,
+                detail: `${geocentric(positions, name).length().toFixed(3)} AU from Earth`,
+                focus: name,
+                viewFrom: 'earth'
+            });
+        });
+    });
+    return events;
+}
+
+// Mercury and Venus at their largest angle from the Sun
+function findElongations(samples, sampler, planets) {
+    const events = [];
+    planets.forEach(name => {
+        const fn = positions => geocentric(positions, name).angleTo(geocentric(positions, 'sun'));
+        findMaxima(samples, sampler, fn).forEach(({ julianDate, positions }) => {
+            const side = elongationInLongitude(positions, name) > 0 ? 'eastern' : 'western';
+            events.push({
+                type: 'elongation',
+                julianDate,
+                title: `${capitalize(name)} at greatest ${side} elongation`,
+                detail: `${(fn(positions) * RAD_TO_DEG).toFixed(1)}° from the Sun`,
+                focus: name,
+                viewFrom: 'earth'
+            });
+        });
+    });
+    return events;
+}
+
+/**
+ * Searches a span of time for events seen from Earth
+ * @param {Function} sampler - julianDate => {sun, earth, moon, mercury, ...} heliocentric AU positions;
+ *   bodies it leaves out (such as a missing Moon) simply produce no events
+ * @param {number} startDate - Julian date to search from
+ * @param {Object} options - Search options
+ * @param {number} options.days - Length of the search in days (default one year)
+ * @param {number} options.direction - 1 scans forward in time, -1 backward
+ * @param {Array<string>} options.types - Event types to look for (keys of EVENT_TYPES)
+ * @returns {Array<Object>} Events {type, julianDate, title, detail, focus, viewFrom}, nearest to the start first
+ */
+export function findEvents(sampler, startDate, options = {}) {
+    const { days = 365, direction = 1, types = Object.keys(EVENT_TYPES) } = options;
+    const start = direction < 0 ? startDate - days : startDate;
+    const end = direction < 0 ? startDate : startDate + days;
+
+    const count = Math.max(2, Math.ceil((end - start) / SCAN_STEP));
+    const samples = [];
+    for (let i = 0; i <= count; i++) {
+        const julianDate = start + (end - start) * i / count;
+        samples.push({ julianDate, positions: sampler(julianDate) });
+    }
+
+    const available = samples[0].positions;
+    if (!available.earth || !available.sun) {
+        return [];
+    }
+    const present = names => names.filter(name => available[name]);
+
+    let events = [];
+    if (available.moon && types.includes('solar-eclipse')) events = events.concat(findSolarEclipses(samples, sampler));
+    if (available.moon && types.includes('lunar-eclipse')) events = events.concat(findLunarEclipses(samples, sampler));
+    if (types.includes('transit')) events = events.concat(findTransits(samples, sampler, present(INFERIOR_PLANETS)));
+    if (types.includes('conjunction')) events = events.concat(findConjunctions(samples, sampler, present(NAKED_EYE_PLANETS)));
+    if (types.includes('opposition')) events = events.concat(findOppositions(samples, sampler, present(SUPERIOR_PLANETS)));
+    if (types.includes('elongation')) events = events.concat(findElongations(samples, sampler, present(INFERIOR_PLANETS)));
+
+    return events.sort((a, b) => direction < 0 ? b.julianDate - a.julianDate : a.julianDate - b.julianDate);
+}
@@ -0,0 +1,243 @@
+import * as THREE from 'three';
+import { PLANET_MASSES } from './ephemeris.js';
+
+/**
+ * lagrange.js
+ * Lagrange points of a two-body pair in the circular restricted three-body problem
+ *
+ * L1, L2 and L3 lie on the line through the two bodies, where gravity and the centrifugal
+ * force of the rotating frame balance; L4 and L5 form equilateral triangles with them,
+ * 60 degrees ahead of and behind the secondary along its orbit.
+ */
+
+// Moon's mass in solar masses; PLANET_MASSES.earth is the whole Earth-Moon system
+const MOON_MASS = 3.694e-8;
+
+// Pairs the simulation can show, with what lives (or flies) at their points
+export const LAGRANGE_SYSTEMS = [
+    {
+        key: 'sunEarth', primary: 'sun', secondary: 'earth', name: 'Sun–Earth', color: '#23ccff', halos: ['L1', 'L2'],
+        notes: {
+            L1: 'SOHO, ACE, DSCOVR: an unbroken view of the Sun',
+            L2: 'JWST, Gaia, Euclid: Sun, Earth and Moon all stay behind the sunshield',
+            L3: 'Always hidden behind the Sun',
+            L4: 'Earth Trojan 2010 TK7',
+            L5: 'STEREO-B drifted through it'
+        }
+    },
+    {
+        key: 'sunJupiter', primary: 'sun', secondary: 'jupiter', name: 'Sun–Jupiter', color: '#bf77ff',
+        notes: {
+            L4: 'Greek camp of the Trojan asteroids',
+            L5: 'Trojan camp of the Trojan asteroids'
+        }
+    },
+    {
+        key: 'earthMoon', primary: 'earth', secondary: 'moon', name: 'Earth–Moon', color: '#d8d8d8', halos: ['L2'],
+        notes: {
+            L2: 'Queqiao relay: halo orbit in view of the far side and of Earth'
+        }
+    }
+];
+
+export const LAGRANGE_POINT_NAMES = ['L1', 'L2', 'L3', 'L4', 'L5'];
+
+/**
+ * Gets the mass ratio mu = m2 / (m1 + m2) of a pair
+ * @param {string} primary - Larger body (e.g. 'sun')
+ * @param {string} secondary - Smaller body (e.g. 'earth')
+ * @returns {number|null} Mass ratio, or null if a mass is unknown
+ */
+export function getMassRatio(primary, secondary) {
+    const masses = { ...PLANET_MASSES, earth: PLANET_MASSES.earth - MOON_MASS, moon: MOON_MASS };
+    if (!masses[primary] || !masses[secondary]) {
+        return null;
+    }
+    return masses[secondary] / (masses[primary] + masses[secondary]);
+}
+
+/**
+ * Solves for the collinear points along the primary-secondary line
+ * @param {number} massRatio - m2 / (m1 + m2)
+ * @returns {{L1: number, L2: number, L3: number}} Distances from the primary in units of the separation
+ *   (L3 is negative, on the far side of the primary)
+ */
+export function getCollinearPoints(massRatio) {
+    const mu = massRatio;
+
+    // Net force along the line in the rotating frame (primary at 0, secondary at 1)
+    const force = x => (x - mu) - (1 - mu) * Math.sign(x) / (x * x) - mu * Math.sign(x - 1) / ((x - 1) * (x - 1));
+
+    // Force runs from -infinity to +infinity across each interval, so bisection always converges
+    const solve = (low, high) => {
+        for (let i = 0; i < 100; i++) {
+            const middle = (low + high) / 2;
+            if (force(middle) < 0) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        return (low + high) / 2;
+    };
+
+    return {
+        L1: solve(1e-9, 1 - 1e-12),
+        L2: solve(1 + 1e-12, 2),
+        L3: solve(-2, -1e-9)
+    };
+}
+
+/**
+ * Computes L1-L5 for the current positions of a pair
+ * @param {THREE.Vector3} primaryPosition - Position of the larger body
+ * @param {THREE.Vector3} secondaryPosition - Position of the smaller body
+ * @param {number} massRatio - m2 / (m1 + m2)
+ * @param {THREE.Vector3} normal - Orbit normal of the secondary (direction of its angular momentum)
+ * @returns {Object} Positions {L1, L2, L3, L4, L5} in the same frame as the inputs
+ */
+export function computeLagrangePoints(primaryPosition, secondaryPosition, massRatio, normal = new THREE.Vector3(0, 1, 0)) {
+    const axis = secondaryPosition.clone().sub(primaryPosition);
+    const collinear = getCollinearPoints(massRatio);
+    const unitNormal = normal.clone().normalize();
+
+    return {
+        L1: primaryPosition.clone().addScaledVector(axis, collinear.L1),
+        L2: primaryPosition.clone().addScaledVector(axis, collinear.L2),
+        L3: primaryPosition.clone().addScaledVector(axis, collinear.L3),
+        L4: primaryPosition.clone().add(axis.clone().applyAxisAngle(unitNormal, Math.PI / 3)),
+        L5: primaryPosition.clone().add(axis.clone().applyAxisAngle(unitNormal, -Math.PI / 3))
+    };
+}
+
+/**
+ * Pushes L1 and L2 out to a minimum distance from the secondary, so their markers clear its
+ * (enlarged) globe; Sun-Earth L1 and L2 would otherwise sit inside the scene's Earth
+ * @param {Object} points - Points from computeLagrangePoints (changed in place)
+ * @param {THREE.Vector3} secondaryPosition - Position of the smaller body
+ * @param {number} minimumDistance - Closest allowed distance
+ * @returns {Object} The same points
+ */
+export function clearSecondary(points, secondaryPosition, minimumDistance) {
+    ['L1', 'L2'].forEach(name => {
+        const offset = points[name].clone().sub(secondaryPosition);
+        if (offset.length() < minimumDistance) {
+            points[name] = secondaryPosition.clone().addScaledVector(offset.normalize(), minimumDistance);
+        }
+    });
+    return points;
+}
+
+// Marker for one Lagrange point: a slowly turning wireframe diamond, with an optional
+// sketch of a halo orbit (not an integrated trajectory) looping across the line of the pair
+export class LagrangePoint {
+    constructor(scene, x = 0, y = 0, z = 0, radius = 0.15, options = {}) {
+        this.scene = scene;
+        this.position = new THREE.Vector3(x, y, z);
+
+        // Identity and appearance
+        this.name = options.name || 'Lagrange Point';
+        this.color = options.color || '#ffffff';
+        this.note = options.note || '';
+
+        // Initialize geometry
+        this.Radius = radius;
+        this.markerGeometry = new THREE.OctahedronGeometry(this.Radius, 0);
+
+        // Initialize meshes (will be created in create methods)
+        this.marker = null;
+        this.halo = null;
+
+        this.createMarker();
+        if (options.halo) {
+            this.createHalo();
+        }
+
+        // Set initial position
+        this.setPosition(x, y, z);
+    }
+
+    createMarker() {
+        const markerMaterial = new THREE.MeshBasicMaterial({
+            color: this.color,
+            wireframe: true,
+            transparent: true,
+            opacity: 0.9
+        });
+        this.marker = new THREE.Mesh(this.markerGeometry, markerMaterial);
+        this.scene.add(this.marker);
+    }
+
+    createHalo() {
+        // Unit loop in the point's own frame: x along the line of the pair, y along the
+        // orbit, z out of the orbital plane (the out-of-plane swing is what makes it a halo)
+        const points = [];
+        for (let i = 0; i < 128; i++) {
+            const angle = (i / 128) * Math.PI * 2;
+            points.push(new THREE.Vector3(-0.25 * Math.cos(angle), Math.sin(angle), 0.6 * Math.cos(angle)));
+        }
+
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        const material = new THREE.LineBasicMaterial({
+            color: this.color,
+            transparent: true,
+            opacity: 0.5
+        });
+        this.halo = new THREE.LineLoop(geometry, material);
+        this.halo.matrixAutoUpdate = false;
+        this.scene.add(this.halo);
+    }
+
+    /**
+     * Orients and sizes the halo sketch
+     * @param {THREE.Vector3} axis - Unit direction from the primary to the secondary
+     * @param {THREE.Vector3} normal - Unit orbit normal
+     * @param {number} size - Half-width of the loop along the orbit (scene units)
+     */
+    setHaloFrame(axis, normal, size) {
+        if (!this.halo) return;
+
+        const along = normal.clone().cross(axis).normalize();
+        this.halo.matrix.makeBasis(axis, along, normal).scale(new THREE.Vector3(size, size, size)).setPosition(this.position);
+    }
+
+    setHaloVisible(visible) {
+        if (this.halo) {
+            this.halo.visible = visible;
+        }
+    }
+
+    setPosition(x, y, z) {
+        this.position.set(x, y, z);
+
+        if (this.marker) {
+            this.marker.position.copy(this.position);
+        }
+    }
+
+    // Get current position
+    getPosition() {
+        return this.position.clone();
+    }
+
+    getRadius() {
+        return this.Radius;
+    }
+
+    // Update method for animations
+    update(deltaTime = 16.67) { // Simulated milliseconds since the last frame
+        // No spin, like the spacecraft markers: a fixed step per frame would run with the
+        // frame rate instead of simulated time
+    }
+
+    // Cleanup method
+    dispose() {
+        [this.marker, this.halo].forEach(object => {
+            if (object) {
+                this.scene.remove(object);
+                object.geometry.dispose();
+                object.material.dispose();
+            }
+        });
+    }
+}
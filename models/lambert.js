@@ -0,0 +1,108 @@
+/**
+ * lambert.js
+ * Lambert's problem: the orbit joining two positions in a given time
+ *
+ * Universal-variable formulation with Stumpff functions (single revolution). Vectors are
+ * THREE.Vector3 in the scene frame, where ecliptic north points along +Y, so "prograde"
+ * means counter-clockwise seen from +Y like the planets.
+ */
+
+// Stumpff functions C(z) and S(z), with series near zero to avoid cancellation
+function stumpffC(z) {
+    if (z > 1e-6) return (1 - Math.cos(Math.sqrt(z))) / z;
+    if (z < -1e-6) return (Math.cosh(Math.sqrt(-z)) - 1) / -z;
+    return 1 / 2 - z / 24 + z * z / 720;
+}
+
+function stumpffS(z) {
+    if (z > 1e-6) {
+        const s = Math.sqrt(z);
+        return (s - Math.sin(s)) / (s * s * s);
+    }
+    if (z < -1e-6) {
+        const s = Math.sqrt(-z);
+        return (Math.sinh(s) - s) / (s * s * s);
+    }
+    return 1 / 6 - z / 120 + z * z / 5040;
+}
+
+/**
+ * Solves Lambert's problem
+ * @param {THREE.Vector3} r1 - Departure position
+ * @param {THREE.Vector3} r2 - Arrival position
+ * @param {number} timeOfFlight - Time between the two positions (same time unit as mu)
+ * @param {number} mu - Gravitational parameter of the central body
+ * @param {boolean} prograde - Take the prograde path (default) or the retrograde one
+ * @returns {{v1: THREE.Vector3, v2: THREE.Vector3}|null} Velocities at departure and arrival, or null if unsolved
+ */
+export function solveLambert(r1, r2, timeOfFlight, mu, prograde = true) {
+    const r1Length = r1.length();
+    const r2Length = r2.length();
+    if (timeOfFlight <= 0 || r1Length === 0 || r2Length === 0) {
+        return null;
+    }
+
+    // Transfer angle, choosing the side of the Sun that matches the direction of motion
+    const cosAngle = Math.max(-1, Math.min(1, r1.dot(r2) / (r1Length * r2Length)));
+    const northward = r1.clone().cross(r2).y;
+    let angle = Math.acos(cosAngle);
+    if ((prograde && northward < 0) || (!prograde && northward >= 0)) {
+        angle = 2 * Math.PI - angle;
+    }
+
+    const A = Math.sin(angle) * Math.sqrt(r1Length * r2Length / (1 - Math.cos(angle)));
+    if (!Number.isFinite(A) || Math.abs(A) < 1e-12) {
+        return null;
+    }
+
+    const y = z => r1Length + r2Length + A * (z * stumpffS(z) - 1) / Math.sqrt(stumpffC(z));
+    const timeAt = z => {
+        const yz = y(z);
+        return (Math.pow(yz / stumpffC(z), 1.5) * stumpffS(z) + A * Math.sqrt(yz)) / Math.sqrt(mu);
+    };
+
+    // Bracket z between hyperbolic transfers and the single-revolution limit (2 pi)^2,
+    // keeping y(z) positive; flight time grows monotonically with z in between
+    let low = -4 * Math.PI * Math.PI;
+    let high = 4 * Math.PI * Math.PI - 1e-6;
+    if (y(low) <= 0) {
+        // Short transfers: move the lower end just above the root of y(z)
+        let above = high;
+        for (let i = 0; i < 100; i++) {
+            const middle = (low + above) / 2;
+            if (y(middle) > 0) {
+                above = middle;
+            } else {
+                low = middle;
+            }
+        }
+        low = above;
+    }
+    for (let i = 0; i < 60 && y(low * 2) > 0 && timeAt(low) > timeOfFlight; i++) {
+        low *= 2;
+    }
+    if (y(low) <= 0 || timeAt(low) > timeOfFlight || timeAt(high) < timeOfFlight) {
+        return null;
+    }
+
+    let z = 0;
+    for (let i = 0; i < 100; i++) {
+        z = (low + high) / 2;
+        if (timeAt(z) < timeOfFlight) {
+            low = z;
+        } else {
+            high = z;
+        }
+        if (high - low < 1e-10) break;
+    }
+
+    // Lagrange coefficients
+    const yz = y(z);
+    const f = 1 - yz / r1Length;
+    const g = A * Math.sqrt(yz / mu);
+    const gDot = 1 - yz / r2Length;
+
+    const v1 = r2.clone().addScaledVector(r1, -f).divideScalar(g);
+    const v2 = r2.clone().multiplyScalar(gDot).sub(r1).divideScalar(g);
+    return { v1, v2 };
+}
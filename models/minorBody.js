@@ -0,0 +1,104 @@
+import * as THREE from 'three';
+
+// Small bodies imported from element files: a lumpy grey rock, enlarged so it stays visible
+export class MinorBody {
+    constructor(scene, x = 0, y = 0, z = 0, radius = 0.04, options = {}) {
+        this.scene = scene;
+        this.position = new THREE.Vector3(x, y, z);
+
+        // Identity and appearance
+        this.name = options.name || 'Minor Body';
+        this.color = options.color || '#a89f91';
+
+        // Initialize geometry
+        this.Radius = radius;
+        this.bodyGeometry = new THREE.IcosahedronGeometry(this.Radius, 2);
+
+        // Initialize meshes (will be created in create methods)
+        this.body = null;
+
+        // Slow tumble (radians per simulated millisecond)
+        this.spinAxis = new THREE.Vector3(0.3, 1, 0.2).normalize();
+        this.spinRate = options.spinRate || (2 * Math.PI) / (6 * 3600 * 1000);
+
+        // Create the body
+        const seed = [...this.name].reduce((sum, character) => sum + character.charCodeAt(0), 0);
+        this.createMinorBody(options.seed || seed);
+
+        // Set initial position
+        this.setPosition(x, y, z);
+    }
+
+    createMinorBody(seed) {
+        // Push the vertices in and out so no two imported bodies look the same
+        const positions = this.bodyGeometry.attributes.position;
+        const vertex = new THREE.Vector3();
+        for (let i = 0; i < positions.count; i++) {
+            vertex.fromBufferAttribute(positions, i);
+            const bump = Math.sin(vertex.x * 40 + seed) * Math.cos(vertex.y * 35 + seed * 0.7) * Math.sin(vertex.z * 30 + seed * 1.3);
+            vertex.multiplyScalar(1 + bump * 0.25);
+            positions.setXYZ(i, vertex.x, vertex.y, vertex.z);
+        }
+        this.bodyGeometry.computeVertexNormals();
+
+        const bodyMaterial = new THREE.MeshPhongMaterial({
+            color: this.color,
+            shininess: 2,
+            flatShading: true
+        });
+
+        this.body = new THREE.Mesh(this.bodyGeometry, bodyMaterial);
+        this.scene.add(this.body);
+    }
+
+    setPosition(x, y, z) {
+        this.position.set(x, y, z);
+
+        if (this.body) {
+            this.body.position.copy(this.position);
+        }
+    }
+
+    // Get current position
+    getPosition() {
+        return this.position.clone();
+    }
+
+    getRadius() {
+        return this.Radius;
+    }
+
+    // Update method for animations
+    update(deltaTime = 16.67) { // Simulated milliseconds since the last frame
+        if (this.body) {
+            this.body.rotateOnAxis(this.spinAxis, this.spinRate * deltaTime);
+        }
+    }
+
+    // Method to orbit around a point (like the Sun) along a Keplerian orbit
+    orbitAround(centerX, centerY, centerZ, orbit, time) {
+        const offset = orbit.getPositionAtTime(time);
+        this.setPosition(centerX + offset.x, centerY + offset.y, centerZ + offset.z);
+    }
+
+    // Method to set scale
+    setScale(scale) {
+        if (this.body) {
+            this.body.scale.set(scale, scale, scale);
+        }
+    }
+
+    // Method to get mesh (for external animations)
+    getMinorBodyMesh() {
+        return this.body;
+    }
+
+    // Cleanup method
+    dispose() {
+        if (this.body) {
+            this.scene.remove(this.body);
+            this.body.geometry.dispose();
+            this.body.material.dispose();
+        }
+    }
+}
@@ -0,0 +1,37 @@
+// Natural satellite orbits come from the body catalog: semi-major axis in scene units,
+// angles in degrees, period in days. Orbits marked "equatorial" lie in the parent's
+// equatorial plane; the Moon's elements are referred to the ecliptic, with its period
+// anomalistic and its node and perigee precessing (nodeRate/periapsisRate, degrees per day)
+// so eclipses fall on the right dates.
+
+/**
+ * Resolves catalog orbit data into KeplerOrbit elements (speed in radians per day)
+ * @param {Object} orbit - Orbit of a moon's catalog entry
+ * @param {Object} parent - Parent body (its axialRotation defines the equatorial plane)
+ * @returns {Object} Elements for KeplerOrbit
+ */
+export function getMoonOrbitElements(orbit, parent) {
+    const elements = {
+        semiMajorAxis: orbit.semiMajorAxis,
+        eccentricity: orbit.eccentricity,
+        inclination: orbit.inclination || 0,
+        longitudeOfAscendingNode: orbit.longitudeOfAscendingNode || 0,
+        argumentOfPeriapsis: orbit.argumentOfPeriapsis || 0,
+        meanAnomalyAtEpoch: orbit.meanAnomalyAtEpoch || 0,
+        speed: (orbit.retrograde ? -1 : 1) * (Math.PI * 2) / orbit.period
+    };
+
+    // Apsidal and nodal precession, applied by the animation loop
+    if (orbit.nodeRate || orbit.periapsisRate) {
+        elements.nodeRate = orbit.nodeRate || 0;
+        elements.periapsisRate = orbit.periapsisRate || 0;
+    }
+
+    // The equator is inclined by the axial tilt, ascending 90 degrees past the pole's lean
+    if (orbit.equatorial && parent && parent.axialRotation) {
+        elements.inclination = parent.axialRotation.axialTilt;
+        elements.longitudeOfAscendingNode = parent.axialRotation.tiltDirection + 90;
+    }
+
+    return elements;
+}
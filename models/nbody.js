@@ -0,0 +1,279 @@
+import * as THREE from 'three';
+
+/**
+ * nbody.js
+ * Direct-summation N-body gravity simulation
+ *
+ * Units: astronomical units, days and solar masses, so G is the square of the
+ * Gaussian gravitational constant. Positions and velocities use scene axes
+ * (ecliptic in the XZ plane, north along +Y).
+ */
+
+export const GAUSSIAN_GRAVITATIONAL_CONSTANT = 0.01720209895;
+export const GRAVITATIONAL_CONSTANT = GAUSSIAN_GRAVITATIONAL_CONSTANT * GAUSSIAN_GRAVITATIONAL_CONSTANT;
+
+// Scratch vector for the pair loop (runs thousands of times per frame)
+const offset = new THREE.Vector3();
+
+export class NBodySimulation {
+    /**
+     * Creates an NBodySimulation instance
+     * @param {Object} options - Simulation options
+     * @param {string} options.integrator - 'leapfrog' (symplectic, default) or 'rk4'
+     * @param {number} options.maxStep - Largest integration step in days
+     * @param {number} options.maxSubsteps - Upper bound on steps per advance() call
+     */
+    constructor({ integrator = 'leapfrog', maxStep = 0.5, maxSubsteps = 2000 } = {}) {
+        this.bodies = [];
+        this.integrator = integrator;
+        this.maxStep = maxStep;
+        this.maxSubsteps = maxSubsteps;
+
+        // Accelerations must be recomputed after bodies or masses change
+        this.accelerationsValid = false;
+        this.referenceEnergy = null;
+
+        // Trial states of the RK4 stages, reallocated only when the body count changes
+        this.rk4Buffers = null;
+    }
+
+    /**
+     * Adds a body to the simulation
+     * @param {string} name - Unique body name
+     * @param {number} mass - Mass in solar masses (0 for a test particle that feels gravity but exerts none)
+     * @param {THREE.Vector3} position - Position in AU
+     * @param {THREE.Vector3} velocity - Velocity in AU per day
+     */
+    addBody(name, mass, position, velocity) {
+        this.removeBody(name);
+        this.bodies.push({
+            name,
+            mass,
+            position: position.clone(),
+            velocity: velocity.clone(),
+            acceleration: new THREE.Vector3()
+        });
+        this.accelerationsValid = false;
+    }
+
+    /**
+     * Removes a body from the simulation
+     * @param {string} name - Body name
+     */
+    removeBody(name) {
+        this.bodies = this.bodies.filter(body => body.name !== name);
+        this.accelerationsValid = false;
+    }
+
+    /**
+     * Gets a body by name
+     * @param {string} name - Body name
+     * @returns {Object|null} Body {name, mass, position, velocity} or null
+     */
+    getBody(name) {
+        return this.bodies.find(body => body.name === name) || null;
+    }
+
+    /**
+     * Changes the mass of a body and re-baselines energy monitoring
+     * @param {string} name - Body name
+     * @param {number} mass - New mass in solar masses
+     */
+    setMass(name, mass) {
+        const body = this.getBody(name);
+        if (body) {
+            body.mass = mass;
+            this.accelerationsValid = false;
+            this.resetEnergyReference();
+        }
+    }
+
+    /**
+     * Selects the integration scheme
+     * @param {string} integrator - 'leapfrog' or 'rk4'
+     */
+    setIntegrator(integrator) {
+        if (integrator !== 'leapfrog' && integrator !== 'rk4') {
+            console.warn('Unknown integrator:', integrator);
+            return;
+        }
+        this.integrator = integrator;
+        this.accelerationsValid = false;
+    }
+
+    /**
+     * Computes gravitational accelerations for a set of positions
+     * @param {Array<THREE.Vector3>} positions - Positions matching this.bodies
+     * @param {Array<THREE.Vector3>} accelerations - Output vectors, overwritten
+     */
+    computeAccelerations(positions, accelerations) {
+        const count = this.bodies.length;
+
+        accelerations.forEach(acceleration => acceleration.set(0, 0, 0));
+
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                // Two test particles do not interact
+                if (this.bodies[i].mass === 0 && this.bodies[j].mass === 0) continue;
+
+                offset.subVectors(positions[j], positions[i]);
+                const distanceSq = offset.lengthSq();
+                if (distanceSq === 0) continue;
+
+                const inverseCube = 1 / (distanceSq * Math.sqrt(distanceSq));
+                accelerations[i].addScaledVector(offset, GRAVITATIONAL_CONSTANT * this.bodies[j].mass * inverseCube);
+                accelerations[j].addScaledVector(offset, -GRAVITATIONAL_CONSTANT * this.bodies[i].mass * inverseCube);
+            }
+        }
+    }
+
+    /**
+     * Refreshes the stored accelerations from the current positions
+     */
+    updateAccelerations() {
+        this.computeAccelerations(
+            this.bodies.map(body => body.position),
+            this.bodies.map(body => body.acceleration)
+        );
+        this.accelerationsValid = true;
+    }
+
+    /**
+     * Advances one kick-drift-kick leapfrog (velocity Verlet) step
+     * @param {number} dt - Step in days (may be negative)
+     */
+    stepLeapfrog(dt) {
+        if (!this.accelerationsValid) {
+            this.updateAccelerations();
+        }
+
+        this.bodies.forEach(body => {
+            body.velocity.addScaledVector(body.acceleration, dt / 2);
+            body.position.addScaledVector(body.velocity, dt);
+        });
+
+        this.updateAccelerations();
+
+        this.bodies.forEach(body => {
+            body.velocity.addScaledVector(body.acceleration, dt / 2);
+        });
+    }
+
+    /**
+     * Advances one classical fourth-order Runge-Kutta step
+     * @param {number} dt - Step in days (may be negative)
+     */
+    stepRK4(dt) {
+        const count = this.bodies.length;
+        const { positions, stages } = this.getRK4Buffers();
+
+        // Each stage holds the derivatives (velocity, acceleration) at a trial state: the
+        // start of the step pushed along the previous stage's derivatives
+        const evaluate = (stage, previous, scale) => {
+            for (let i = 0; i < count; i++) {
+                positions[i].copy(this.bodies[i].position);
+                stage.velocities[i].copy(this.bodies[i].velocity);
+                if (previous) {
+                    positions[i].addScaledVector(previous.velocities[i], scale);
+                    stage.velocities[i].addScaledVector(previous.accelerations[i], scale);
+                }
+            }
+            this.computeAccelerations(positions, stage.accelerations);
+        };
+
+        evaluate(stages[0], null, 0);
+        evaluate(stages[1], stages[0], dt / 2);
+        evaluate(stages[2], stages[1], dt / 2);
+        evaluate(stages[3], stages[2], dt);
+
+        const weights = [1, 2, 2, 1];
+        for (let i = 0; i < count; i++) {
+            const body = this.bodies[i];
+            stages.forEach((stage, k) => {
+                body.position.addScaledVector(stage.velocities[i], dt * weights[k] / 6);
+                body.velocity.addScaledVector(stage.accelerations[i], dt * weights[k] / 6);
+            });
+        }
+
+        this.accelerationsValid = false;
+    }
+
+    /**
+     * Gets the preallocated RK4 trial states for the current body count
+     * @returns {{positions: Array<THREE.Vector3>, stages: Array<Object>}} Trial positions and the
+     *   four stages {velocities, accelerations}
+     */
+    getRK4Buffers() {
+        const count = this.bodies.length;
+        if (!this.rk4Buffers || this.rk4Buffers.positions.length !== count) {
+            const vectors = () => Array.from({ length: count }, () => new THREE.Vector3());
+            this.rk4Buffers = {
+                positions: vectors(),
+                stages: [0, 1, 2, 3].map(() => ({ velocities: vectors(), accelerations: vectors() }))
+            };
+        }
+        return this.rk4Buffers;
+    }
+
+    /**
+     * Advances the simulation, splitting the interval into stable substeps
+     * @param {number} dt - Interval in days (may be negative to run backwards)
+     */
+    advance(dt) {
+        if (dt === 0 || this.bodies.length === 0) return;
+
+        if (this.referenceEnergy === null) {
+            this.resetEnergyReference();
+        }
+
+        const substeps = Math.min(this.maxSubsteps, Math.max(1, Math.ceil(Math.abs(dt) / this.maxStep)));
+        const step = dt / substeps;
+
+        for (let i = 0; i < substeps; i++) {
+            if (this.integrator === 'rk4') {
+                this.stepRK4(step);
+            } else {
+                this.stepLeapfrog(step);
+            }
+        }
+    }
+
+    /**
+     * Computes the total (kinetic + potential) energy
+     * @returns {number} Energy in solar masses * AU^2 / day^2
+     */
+    getTotalEnergy() {
+        let kinetic = 0;
+        let potential = 0;
+
+        for (let i = 0; i < this.bodies.length; i++) {
+            const bi = this.bodies[i];
+            kinetic += 0.5 * bi.mass * bi.velocity.lengthSq();
+
+            for (let j = i + 1; j < this.bodies.length; j++) {
+                const bj = this.bodies[j];
+                potential -= GRAVITATIONAL_CONSTANT * bi.mass * bj.mass / bi.position.distanceTo(bj.position);
+            }
+        }
+
+        return kinetic + potential;
+    }
+
+    /**
+     * Uses the current energy as the baseline for drift monitoring
+     */
+    resetEnergyReference() {
+        this.referenceEnergy = this.getTotalEnergy();
+    }
+
+    /**
+     * Gets the relative energy drift since the baseline
+     * @returns {number} (E - E0) / |E0|, or 0 before the first step
+     */
+    getEnergyDrift() {
+        if (this.referenceEnergy === null || this.referenceEnergy === 0) {
+            return 0;
+        }
+        return (this.getTotalEnergy() - this.referenceEnergy) / Math.abs(this.referenceEnergy);
+    }
+}
@@ -0,0 +1,275 @@
+import * as THREE from 'three';
+
+/**
+ * orbit.js
+ * Keplerian orbit model used to place bodies along elliptical, inclined orbits
+ *
+ * Angles are given in degrees (as published in element tables) and stored in radians.
+ * Positions are returned in scene coordinates, where the ecliptic is the XZ plane and
+ * ecliptic north points along +Y.
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+const TWO_PI = Math.PI * 2;
+
+export class KeplerOrbit {
+    /**
+     * Creates a KeplerOrbit instance
+     * @param {Object} elements - Orbital elements
+     * @param {number} elements.semiMajorAxis - Semi-major axis in scene units
+     * @param {number} elements.eccentricity - Eccentricity (0 <= e < 1)
+     * @param {number} elements.inclination - Inclination to the ecliptic in degrees
+     * @param {number} elements.longitudeOfAscendingNode - Longitude of the ascending node in degrees
+     * @param {number} elements.argumentOfPeriapsis - Argument of periapsis in degrees
+     * @param {number} elements.meanAnomalyAtEpoch - Mean anomaly at epoch (time = 0) in degrees
+     * @param {number} elements.speed - Mean motion in radians per simulation time unit
+     * @param {Function} elements.distanceScale - Optional mapping applied to the focal distance of
+     *   returned positions (e.g. a semi-major axis in AU drawn on the artistic scene scale)
+     */
+    constructor(elements = {}) {
+        this.semiMajorAxis = 1;
+        this.eccentricity = 0;
+        this.inclination = 0;
+        this.longitudeOfAscendingNode = 0;
+        this.argumentOfPeriapsis = 0;
+        this.meanAnomalyAtEpoch = 0;
+        this.speed = 1;
+        this.distanceScale = null;
+
+        this.setElements(elements);
+    }
+
+    /**
+     * Updates any subset of the orbital elements
+     * @param {Object} elements - Elements to change (same shape as the constructor argument)
+     */
+    setElements(elements) {
+        if (elements.semiMajorAxis !== undefined) this.semiMajorAxis = elements.semiMajorAxis;
+        if (elements.eccentricity !== undefined) this.eccentricity = Math.max(0, Math.min(0.999999, elements.eccentricity));
+        if (elements.inclination !== undefined) this.inclination = elements.inclination * DEG_TO_RAD;
+        if (elements.longitudeOfAscendingNode !== undefined) this.longitudeOfAscendingNode = elements.longitudeOfAscendingNode * DEG_TO_RAD;
+        if (elements.argumentOfPeriapsis !== undefined) this.argumentOfPeriapsis = elements.argumentOfPeriapsis * DEG_TO_RAD;
+        if (elements.meanAnomalyAtEpoch !== undefined) this.meanAnomalyAtEpoch = elements.meanAnomalyAtEpoch * DEG_TO_RAD;
+        if (elements.speed !== undefined) this.speed = elements.speed;
+        if (elements.distanceScale !== undefined) this.distanceScale = elements.distanceScale;
+    }
+
+    /**
+     * Solves Kepler's equation M = E - e*sin(E) for the eccentric anomaly
+     * @param {number} meanAnomaly - Mean anomaly in radians
+     * @param {number} eccentricity - Orbital eccentricity
+     * @returns {number} Eccentric anomaly in radians
+     */
+    static solveKepler(meanAnomaly, eccentricity) {
+        // Wrap into [-PI, PI] so Newton's method converges quickly
+        const M = meanAnomaly - TWO_PI * Math.round(meanAnomaly / TWO_PI);
+
+        // Highly eccentric orbits converge more reliably starting from PI
+        let E = eccentricity > 0.8 ? Math.PI * Math.sign(M || 1) : M;
+
+        for (let i = 0; i < 50; i++) {
+            const delta = (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E));
+            E -= delta;
+            if (Math.abs(delta) < 1e-12) {
+                break;
+            }
+        }
+
+        return E;
+    }
+
+    /**
+     * Gets the mean anomaly at a given simulation time
+     * @param {number} time - Simulation time (same units as the mean motion)
+     * @returns {number} Mean anomaly in radians
+     */
+    getMeanAnomaly(time) {
+        return this.meanAnomalyAtEpoch + this.speed * time;
+    }
+
+    /**
+     * Converts a mean anomaly to the true anomaly
+     * @param {number} meanAnomaly - Mean anomaly in radians
+     * @returns {number} True anomaly in radians
+     */
+    getTrueAnomaly(meanAnomaly) {
+        const e = this.eccentricity;
+        const E = KeplerOrbit.solveKepler(meanAnomaly, e);
+        return 2 * Math.atan2(
+            Math.sqrt(1 + e) * Math.sin(E / 2),
+            Math.sqrt(1 - e) * Math.cos(E / 2)
+        );
+    }
+
+    /**
+     * Gets the distance from the focus at a given true anomaly
+     * @param {number} trueAnomaly - True anomaly in radians
+     * @returns {number} Distance in scene units
+     */
+    getRadiusAtTrueAnomaly(trueAnomaly) {
+        const e = this.eccentricity;
+        return this.semiMajorAxis * (1 - e * e) / (1 + e * Math.cos(trueAnomaly));
+    }
+
+    /**
+     * Rotates a vector from the orbital plane (x towards periapsis) into scene coordinates
+     * @param {number} px - Component towards periapsis
+     * @param {number} py - Component 90 degrees ahead of periapsis, in the direction of motion
+     * @param {THREE.Vector3} target - Vector to write the result into
+     * @returns {THREE.Vector3} Vector in scene coordinates
+     */
+    orbitalPlaneToScene(px, py, target) {
+        const cosNode = Math.cos(this.longitudeOfAscendingNode);
+        const sinNode = Math.sin(this.longitudeOfAscendingNode);
+        const cosInc = Math.cos(this.inclination);
+        const sinInc = Math.sin(this.inclination);
+        const cosPeri = Math.cos(this.argumentOfPeriapsis);
+        const sinPeri = Math.sin(this.argumentOfPeriapsis);
+
+        // Rotate by the argument of periapsis within the orbital plane
+        const qx = px * cosPeri - py * sinPeri;
+        const qy = px * sinPeri + py * cosPeri;
+
+        // Heliocentric ecliptic coordinates
+        const x = qx * cosNode - qy * sinNode * cosInc;
+        const y = qx * sinNode + qy * cosNode * cosInc;
+        const z = qy * sinInc;
+
+        // Ecliptic (x, y, z) -> scene (x, z, -y) keeps the ecliptic in the XZ plane
+        return target.set(x, z, -y);
+    }
+
+    /**
+     * Gets the position on the orbit at a given true anomaly, relative to the focus
+     * @param {number} trueAnomaly - True anomaly in radians
+     * @param {THREE.Vector3} target - Optional vector to write the result into
+     * @returns {THREE.Vector3} Position in scene coordinates
+     */
+    getPositionAtTrueAnomaly(trueAnomaly, target = new THREE.Vector3()) {
+        let r = this.getRadiusAtTrueAnomaly(trueAnomaly);
+        if (this.distanceScale) {
+            r = this.distanceScale(r);
+        }
+        return this.orbitalPlaneToScene(r * Math.cos(trueAnomaly), r * Math.sin(trueAnomaly), target);
+    }
+
+    /**
+     * Gets the orbital velocity at a given true anomaly
+     * @param {number} trueAnomaly - True anomaly in radians
+     * @param {THREE.Vector3} target - Optional vector to write the result into
+     * @returns {THREE.Vector3} Velocity in scene units per simulation time unit
+     */
+    getVelocityAtTrueAnomaly(trueAnomaly, target = new THREE.Vector3()) {
+        const e = this.eccentricity;
+        const a = this.semiMajorAxis;
+
+        // Gravitational parameter implied by the mean motion (Kepler's third law)
+        const mu = this.speed * this.speed * a * a * a;
+        const factor = Math.sign(this.speed) * Math.sqrt(mu / (a * (1 - e * e)));
+
+        return this.orbitalPlaneToScene(-factor * Math.sin(trueAnomaly), factor * (e + Math.cos(trueAnomaly)), target);
+    }
+
+    /**
+     * Gets position and velocity at a given simulation time
+     * @param {number} time - Simulation time (same units as the mean motion)
+     * @returns {{position: THREE.Vector3, velocity: THREE.Vector3}} State vectors in scene coordinates
+     */
+    getStateAtTime(time) {
+        const trueAnomaly = this.getTrueAnomaly(this.getMeanAnomaly(time));
+        return {
+            position: this.getPositionAtTrueAnomaly(trueAnomaly),
+            velocity: this.getVelocityAtTrueAnomaly(trueAnomaly)
+        };
+    }
+
+    /**
+     * Sets the elements from position and velocity (osculating orbit)
+     * @param {THREE.Vector3} position - Position relative to the focus in scene coordinates
+     * @param {THREE.Vector3} velocity - Velocity in scene coordinates
+     * @param {number} mu - Gravitational parameter in matching units
+     * @param {number} time - Simulation time the state refers to
+     * @param {number} lengthScale - Factor applied to the resulting semi-major axis (e.g. AU to scene units)
+     * @returns {boolean} False if the state is not a bound ellipse (elements left unchanged)
+     */
+    setFromStateVectors(position, velocity, mu, time = 0, lengthScale = 1) {
+        // Scene (x, y, z) -> ecliptic (x, -z, y)
+        const r = new THREE.Vector3(position.x, -position.z, position.y);
+        const v = new THREE.Vector3(velocity.x, -velocity.z, velocity.y);
+        const radius = r.length();
+
+        const energy = v.lengthSq() / 2 - mu / radius;
+        if (energy >= 0 || radius === 0) {
+            return false;
+        }
+
+        const h = new THREE.Vector3().crossVectors(r, v);
+        const eVector = new THREE.Vector3().crossVectors(v, h).divideScalar(mu).sub(r.clone().divideScalar(radius));
+        const e = eVector.length();
+        const a = -mu / (2 * energy);
+        const hLength = h.length();
+        const inclination = Math.acos(Math.max(-1, Math.min(1, h.z / hLength)));
+
+        // Node vector (falls back to the x axis for orbits in the ecliptic)
+        const node = new THREE.Vector3(-h.y, h.x, 0);
+        const longitudeOfAscendingNode = node.length() > 1e-12 * hLength ? Math.atan2(node.y, node.x) : 0;
+        node.set(Math.cos(longitudeOfAscendingNode), Math.sin(longitudeOfAscendingNode), 0);
+
+        const hHat = h.clone().divideScalar(hLength);
+        const nodeNormal = new THREE.Vector3().crossVectors(hHat, node);
+
+        // Periapsis direction (falls back to the node for circular orbits)
+        const periapsis = e > 1e-10 ? eVector.clone().divideScalar(e) : node.clone();
+        const argumentOfPeriapsis = Math.atan2(periapsis.dot(nodeNormal), periapsis.dot(node));
+        const periapsisNormal = new THREE.Vector3().crossVectors(hHat, periapsis);
+        const trueAnomaly = Math.atan2(r.dot(periapsisNormal), r.dot(periapsis));
+
+        const E = 2 * Math.atan2(Math.sqrt(1 - e) * Math.sin(trueAnomaly / 2), Math.sqrt(1 + e) * Math.cos(trueAnomaly / 2));
+        const meanAnomaly = E - e * Math.sin(E);
+
+        this.semiMajorAxis = a * lengthScale;
+        this.eccentricity = Math.min(0.999999, e);
+        this.inclination = inclination;
+        this.longitudeOfAscendingNode = longitudeOfAscendingNode;
+        this.argumentOfPeriapsis = argumentOfPeriapsis;
+        this.speed = Math.sqrt(mu / (a * a * a));
+        this.meanAnomalyAtEpoch = meanAnomaly - this.speed * time;
+
+        return true;
+    }
+
+    /**
+     * Gets the position on the orbit at a given simulation time, relative to the focus
+     * @param {number} time - Simulation time (same units as the mean motion)
+     * @param {THREE.Vector3} target - Optional vector to write the result into
+     * @returns {THREE.Vector3} Position in scene coordinates
+     */
+    getPositionAtTime(time, target = new THREE.Vector3()) {
+        const trueAnomaly = this.getTrueAnomaly(this.getMeanAnomaly(time));
+        return this.getPositionAtTrueAnomaly(trueAnomaly, target);
+    }
+
+    /**
+     * Gets the orbital period
+     * @returns {number} Period in simulation time units
+     */
+    getPeriod() {
+        return this.speed !== 0 ? TWO_PI / Math.abs(this.speed) : Infinity;
+    }
+
+    /**
+     * Gets the periapsis distance
+     * @returns {number} Periapsis distance in scene units
+     */
+    getPeriapsis() {
+        return this.semiMajorAxis * (1 - this.eccentricity);
+    }
+
+    /**
+     * Gets the apoapsis distance
+     * @returns {number} Apoapsis distance in scene units
+     */
+    getApoapsis() {
+        return this.semiMajorAxis * (1 + this.eccentricity);
+    }
+}
@@ -0,0 +1,153 @@
+import * as THREE from 'three';
+import { J2000_JULIAN_DATE } from './ephemeris.js';
+
+// Builds a 3D dashed line through scene points (used for transfer arcs and their previews)
+export function createTransferArcLine(points, color = '#ffd166', opacity = 0.8) {
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const material = new THREE.LineDashedMaterial({
+        color: color,
+        dashSize: 1.5,
+        gapSize: 1,
+        transparent: true,
+        opacity: opacity
+    });
+
+    const line = new THREE.Line(geometry, material);
+    line.computeLineDistances();
+    return line;
+}
+
+// Probe launched by the mission planner: sits on the origin planet before launch, follows
+// the transfer orbit in flight and rides along with the destination after arrival
+export class Probe {
+    constructor(scene, x = 0, y = 0, z = 0, radius = 0.05, options = {}) {
+        this.scene = scene;
+        this.position = new THREE.Vector3(x, y, z);
+
+        // Identity and appearance
+        this.name = options.name || 'Probe';
+        this.color = options.color || '#ffd166';
+
+        // Flight plan: transfer orbit (time in days since J2000) between two bodies
+        this.orbit = options.orbit;
+        this.launchDate = options.launchDate;
+        this.arrivalDate = options.arrivalDate;
+        this.origin = options.origin || null;
+        this.target = options.target || null;
+        this.currentJulianDate = this.launchDate;
+
+        // Initialize geometry
+        this.Radius = radius;
+        this.probeGeometry = new THREE.OctahedronGeometry(this.Radius, 0);
+
+        // Initialize meshes (will be created in create methods)
+        this.probe = null;
+        this.arc = null;
+
+        // Create the probe and its full transfer arc
+        this.createProbe();
+        this.createArc();
+
+        // Set initial position
+        this.updateAtJulianDate(this.launchDate);
+    }
+
+    createProbe() {
+        const probeMaterial = new THREE.MeshBasicMaterial({ color: this.color });
+        this.probe = new THREE.Mesh(this.probeGeometry, probeMaterial);
+        this.scene.add(this.probe);
+    }
+
+    createArc() {
+        this.arc = createTransferArcLine(this.getPathPoints('all', 200), this.color, 0.6);
+        this.scene.add(this.arc);
+    }
+
+    // Redraw the arc after the scene scale changed (scale modes, orbit edits); the orbit
+    // reads the scale live, so only the drawn line goes stale
+    refreshScenePath() {
+        if (!this.arc) return;
+
+        this.arc.geometry.setFromPoints(this.getPathPoints('all', 200));
+        this.arc.geometry.computeBoundingSphere();
+        this.arc.computeLineDistances();
+    }
+
+    // Time range of the flight as Julian dates
+    getTimeRange() {
+        return { start: this.launchDate, end: this.arrivalDate };
+    }
+
+    // Position on the transfer orbit at a Julian date (scene coordinates)
+    getPositionAtJulianDate(julianDate, target = new THREE.Vector3()) {
+        return this.orbit.getPositionAtTime(julianDate - J2000_JULIAN_DATE, target);
+    }
+
+    // Move to the position for a Julian date
+    updateAtJulianDate(julianDate) {
+        this.currentJulianDate = julianDate;
+
+        if (julianDate < this.launchDate && this.origin) {
+            this.setPosition(...this.origin.getPosition().toArray());
+        } else if (julianDate > this.arrivalDate && this.target) {
+            this.setPosition(...this.target.getPosition().toArray());
+        } else {
+            const clamped = Math.max(this.launchDate, Math.min(this.arrivalDate, julianDate));
+            this.setPosition(...this.getPositionAtJulianDate(clamped).toArray());
+        }
+    }
+
+    /**
+     * Gets points along the transfer arc
+     * @param {string} which - 'past' (flown so far), 'future' (still ahead) or 'all'
+     * @param {number} maxPoints - Number of points
+     * @returns {Array<THREE.Vector3>} Scene positions
+     */
+    getPathPoints(which = 'all', maxPoints = 120) {
+        const now = Math.max(this.launchDate, Math.min(this.arrivalDate, this.currentJulianDate));
+        const start = which === 'future' ? now : this.launchDate;
+        const end = which === 'past' ? now : this.arrivalDate;
+        if (end <= start) {
+            return [];
+        }
+
+        const points = [];
+        for (let i = 0; i < maxPoints; i++) {
+            points.push(this.getPositionAtJulianDate(start + (end - start) * i / (maxPoints - 1)));
+        }
+        return points;
+    }
+
+    setPosition(x, y, z) {
+        this.position.set(x, y, z);
+
+        if (this.probe) {
+            this.probe.position.copy(this.position);
+        }
+    }
+
+    // Get current position
+    getPosition() {
+        return this.position.clone();
+    }
+
+    getRadius() {
+        return this.Radius;
+    }
+
+    // Update method for animations
+    update(deltaTime = 16.67) { // Simulated milliseconds since the last frame
+        // The marker holds still: a per-frame tumble would follow the frame rate, not the clock
+    }
+
+    // Cleanup method
+    dispose() {
+        [this.probe, this.arc].forEach(object => {
+            if (object) {
+                this.scene.remove(object);
+                object.geometry.dispose();
+                object.material.dispose();
+            }
+        });
+    }
+}
@@ -0,0 +1,226 @@
+import * as THREE from 'three';
+
+/**
+ * rings.js
+ * Planetary ring systems: annuli with radial texture coordinates (u runs from the inner to
+ * the outer edge, so a ring strip texture like SaturnRingMap.png maps band for band), a
+ * radial opacity profile, optional tilt out of the equatorial plane, and partial arcs
+ *
+ * A ring system (radii in body radii, angles in degrees):
+ *   name, innerRadius, outerRadius   Extent of the system
+ *   map | color, opacity             Strip texture, or a flat color scaled by the opacity profile
+ *   profile                          [[radius, opacity], ...] interpolated across the system (default opaque)
+ *   bands                            Narrow ringlets {name, radius, width, opacity} on top of the profile
+ *   gaps                             {name, inner, outer, opacity} cut out of everything (opacity remaining)
+ *   arcs                             Clumps {name, start, end, opacity} in longitude, drawn over the system
+ *   inclination, node                Tilt out of the body's equator and the longitude it tilts about
+ *   emissive, emissiveIntensity      Self-illumination that keeps the unlit side visible
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// Texels across a ring system: narrow ringlets need a few at least, and mipmaps average them out from afar
+const PROFILE_RESOLUTION = 2048;
+
+/**
+ * Creates a flat annulus (or a sector of one) in the XZ plane (the body's equatorial plane), facing +Y
+ * @param {number} innerRadius - Inner edge in scene units
+ * @param {number} outerRadius - Outer edge in scene units
+ * @param {number} thetaSegments - Segments around the ring (default 128)
+ * @param {number} radialSegments - Segments across the ring (default 8)
+ * @param {number} thetaStart - Start angle in radians, counter-clockwise from +X seen from +Y (default 0)
+ * @param {number} thetaLength - Angle covered in radians (default a full circle)
+ * @returns {THREE.BufferGeometry} Geometry with u = radial fraction and v = angle fraction
+ */
+export function createRingGeometry(innerRadius, outerRadius, thetaSegments = 128, radialSegments = 8, thetaStart = 0, thetaLength = Math.PI * 2) {
+    const positions = [];
+    const normals = [];
+    const uvs = [];
+    const indices = [];
+
+    for (let j = 0; j <= radialSegments; j++) {
+        const fraction = j / radialSegments;
+        const radius = innerRadius + (outerRadius - innerRadius) * fraction;
+
+        for (let i = 0; i <= thetaSegments; i++) {
+            const angle = thetaStart + (i / thetaSegments) * thetaLength;
+            positions.push(Math.cos(angle) * radius, 0, -Math.sin(angle) * radius);
+            normals.push(0, 1, 0);
+            uvs.push(fraction, i / thetaSegments);
+        }
+    }
+
+    // Counter-clockwise seen from +Y
+    const row = thetaSegments + 1;
+    for (let j = 0; j < radialSegments; j++) {
+        for (let i = 0; i < thetaSegments; i++) {
+            const a = j * row + i;
+            const b = a + 1;
+            const c = a + row;
+            const d = c + 1;
+            indices.push(a, c, b, b, c, d);
+        }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(indices);
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    return geometry;
+}
+
+/**
+ * Opacity of a ring system at a radius: profile, then ringlets, then gaps
+ * @param {Object} ring - Ring system (see above)
+ * @param {number} radius - Radius in body radii
+ * @param {number} halfTexel - Half a texel in body radii, so ringlets narrower than a texel still show
+ * @returns {number} Opacity 0-1
+ */
+function getProfileOpacity(ring, radius, halfTexel) {
+    let opacity = 1;
+
+    const profile = ring.profile;
+    if (profile && profile.length) {
+        if (radius <= profile[0][0]) {
+            opacity = profile[0][1];
+        } else if (radius >= profile[profile.length - 1][0]) {
+            opacity = profile[profile.length - 1][1];
+        } else {
+            for (let i = 1; i < profile.length; i++) {
+                const [r0, o0] = profile[i - 1];
+                const [r1, o1] = profile[i];
+                if (radius <= r1) {
+                    opacity = o0 + (o1 - o0) * (radius - r0) / (r1 - r0);
+                    break;
+                }
+            }
+        }
+    }
+
+    (ring.bands || []).forEach(band => {
+        // Coverage of this texel by the ringlet
+        const overlap = Math.min(radius + halfTexel, band.radius + band.width / 2) - Math.max(radius - halfTexel, band.radius - band.width / 2);
+        if (overlap > 0) {
+            const coverage = Math.min(1, overlap / (2 * halfTexel));
+            opacity = Math.max(opacity, band.opacity * coverage);
+        }
+    });
+
+    (ring.gaps || []).forEach(gap => {
+        if (radius >= gap.inner && radius <= gap.outer) {
+            opacity = Math.min(opacity, gap.opacity || 0);
+        }
+    });
+
+    return opacity;
+}
+
+/**
+ * Creates the radial opacity strip of a ring system (used as the material's alphaMap)
+ * @param {Object} ring - Ring system with innerRadius, outerRadius, profile, bands and gaps
+ * @returns {THREE.DataTexture} Single-row texture
+ */
+export function createRingProfileTexture(ring) {
+    const width = ring.outerRadius - ring.innerRadius;
+    const halfTexel = width / PROFILE_RESOLUTION / 2;
+    const data = new Uint8Array(PROFILE_RESOLUTION * 4).fill(255);
+
+    for (let x = 0; x < PROFILE_RESOLUTION; x++) {
+        const radius = ring.innerRadius + width * (x + 0.5) / PROFILE_RESOLUTION;
+
+        // alphaMap reads the green channel
+        const value = Math.round(getProfileOpacity(ring, radius, halfTexel) * 255);
+        data[x * 4] = data[x * 4 + 1] = data[x * 4 + 2] = value;
+    }
+
+    const texture = new THREE.DataTexture(data, PROFILE_RESOLUTION, 1, THREE.RGBAFormat);
+    texture.magFilter = THREE.LinearFilter;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.generateMipmaps = true;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+/**
+ * Checks whether a ring system needs a profile texture
+ * @param {Object} ring - Ring system
+ * @returns {boolean} True with a profile, ringlets or gaps
+ */
+function hasProfile(ring) {
+    return !!(ring.profile || ring.bands || ring.gaps);
+}
+
+/**
+ * Builds the meshes of one ring system
+ * @param {Object} ring - Ring system (see above)
+ * @param {number} bodyRadius - Radius of the body's geometry in scene units
+ * @param {THREE.TextureLoader} textureLoader - Loader for the strip texture
+ * @returns {THREE.Group} Group in the body's equatorial frame: the annulus and any arcs
+ */
+export function createRingSystem(ring, bodyRadius, textureLoader) {
+    const group = new THREE.Group();
+    group.name = ring.name || 'Rings';
+
+    const map = ring.map ? textureLoader.load(ring.map) : null;
+    const alphaMap = hasProfile(ring) ? createRingProfileTexture(ring) : null;
+
+    const createMesh = (geometry, opacity) => {
+        const material = new THREE.MeshPhongMaterial({
+            map: map,
+            alphaMap: alphaMap,
+            color: map ? 0xffffff : (ring.color || 0xffffff),
+            transparent: true,
+            opacity: opacity,
+            side: THREE.DoubleSide,
+            depthWrite: false,
+            emissive: ring.emissive || 0x000000,
+            emissiveIntensity: ring.emissiveIntensity !== undefined ? ring.emissiveIntensity : 1
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+
+        // Only the denser parts of a ring block the Sun (gaps let it through); faint rings don't at all
+        mesh.castShadow = opacity >= 0.5;
+        mesh.receiveShadow = true;
+        mesh.customDistanceMaterial = new THREE.MeshDistanceMaterial({ map, alphaMap, alphaTest: 0.25 });
+        return mesh;
+    };
+
+    const inner = bodyRadius * ring.innerRadius;
+    const outer = bodyRadius * ring.outerRadius;
+    group.add(createMesh(createRingGeometry(inner, outer), ring.opacity !== undefined ? ring.opacity : 1));
+
+    // Arcs: denser clumps drawn over the (fainter) full ring
+    (ring.arcs || []).forEach(arc => {
+        const start = arc.start * DEG_TO_RAD;
+        const length = (arc.end - arc.start) * DEG_TO_RAD;
+        const segments = Math.max(4, Math.ceil(arc.end - arc.start));
+        const mesh = createMesh(createRingGeometry(inner, outer, segments, 2, start, length), arc.opacity !== undefined ? arc.opacity : 1);
+        mesh.name = arc.name || 'Arc';
+        group.add(mesh);
+    });
+
+    // Tilt out of the equatorial plane about the line of nodes
+    if (ring.inclination) {
+        const nodeAxis = new THREE.Vector3(Math.cos((ring.node || 0) * DEG_TO_RAD), 0, -Math.sin((ring.node || 0) * DEG_TO_RAD));
+        group.quaternion.setFromAxisAngle(nodeAxis, ring.inclination * DEG_TO_RAD);
+    }
+
+    return group;
+}
+
+/**
+ * Frees the geometries, materials and textures of a ring system
+ * @param {THREE.Group} system - Group from createRingSystem
+ */
+export function disposeRingSystem(system) {
+    const textures = new Set();
+    system.children.forEach(mesh => {
+        mesh.geometry.dispose();
+        if (mesh.material.map) textures.add(mesh.material.map);
+        if (mesh.material.alphaMap) textures.add(mesh.material.alphaMap);
+        mesh.material.dispose();
+        mesh.customDistanceMaterial.dispose();
+    });
+    textures.forEach(texture => texture.dispose());
+}
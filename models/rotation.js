@@ -0,0 +1,92 @@
+import * as THREE from 'three';
+
+/**
+ * rotation.js
+ * Axial tilt and sidereal spin for celestial bodies, driven by simulation time
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+const MS_PER_HOUR = 3600000;
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+
+export class AxialRotation {
+    /**
+     * Creates an AxialRotation instance
+     * @param {Object} options - Spin configuration
+     * @param {number} options.axialTilt - Angle between the spin axis and ecliptic north in degrees
+     *   (above 90 means the body spins retrograde, like Venus and Uranus)
+     * @param {number} options.tiltDirection - Ecliptic longitude the north pole leans towards in degrees
+     * @param {number} options.rotationPeriod - Sidereal rotation period in hours
+     * @param {number} options.phase - Spin angle at simulation time zero (J2000 in ephemeris mode) in degrees
+     */
+    constructor({ axialTilt = 0, tiltDirection = 0, rotationPeriod = 24, phase = 0 } = {}) {
+        this.tiltQuaternion = new THREE.Quaternion();
+        this.spinQuaternion = new THREE.Quaternion();
+        this.spinAxis = new THREE.Vector3(0, 1, 0);
+        this.phase = phase * DEG_TO_RAD;
+        this.angle = this.phase;
+
+        this.setAxis(axialTilt, tiltDirection);
+        this.setRotationPeriod(rotationPeriod);
+    }
+
+    /**
+     * Sets the orientation of the spin axis
+     * @param {number} axialTilt - Angle from ecliptic north in degrees
+     * @param {number} tiltDirection - Ecliptic longitude the pole leans towards in degrees
+     */
+    setAxis(axialTilt, tiltDirection) {
+        this.axialTilt = axialTilt;
+        this.tiltDirection = tiltDirection;
+
+        const tilt = axialTilt * DEG_TO_RAD;
+        const direction = tiltDirection * DEG_TO_RAD;
+
+        // Pole in ecliptic coordinates, mapped to the scene (ecliptic XZ plane, north +Y)
+        this.spinAxis.set(
+            Math.sin(tilt) * Math.cos(direction),
+            Math.cos(tilt),
+            -Math.sin(tilt) * Math.sin(direction)
+        ).normalize();
+
+        this.tiltQuaternion.setFromUnitVectors(Y_AXIS, this.spinAxis);
+    }
+
+    /**
+     * Sets the sidereal rotation period
+     * @param {number} hours - Rotation period in hours
+     */
+    setRotationPeriod(hours) {
+        this.rotationPeriod = hours;
+    }
+
+    /**
+     * Sets the spin angle for an absolute simulation time, so date jumps land on the right phase
+     * @param {number} simulationTime - Simulated milliseconds since time zero (negative before it)
+     */
+    setTime(simulationTime) {
+        if (!this.rotationPeriod) return;
+
+        // angle = 2π (t - t0) / period + phase, with t0 = 0
+        const turns = simulationTime / (this.rotationPeriod * MS_PER_HOUR);
+        const angle = (turns * Math.PI * 2 + this.phase) % (Math.PI * 2);
+        this.angle = angle < 0 ? angle + Math.PI * 2 : angle;
+    }
+
+    /**
+     * Orients an object: tilted spin axis plus the current spin angle
+     * @param {THREE.Object3D} object - Object to orient
+     */
+    applyTo(object) {
+        this.spinQuaternion.setFromAxisAngle(Y_AXIS, this.angle);
+        object.quaternion.copy(this.tiltQuaternion).multiply(this.spinQuaternion);
+    }
+
+    /**
+     * Gets the spin axis (north pole direction) in scene coordinates
+     * @returns {THREE.Vector3} Unit vector along the spin axis
+     */
+    getSpinAxis() {
+        return this.spinAxis.clone();
+    }
+}
@@ -0,0 +1,88 @@
+import { getCatalogEntry } from './catalog.js';
+import { AU_KM } from './ephemeris.js';
+
+/**
+ * scale.js
+ * Scale modes: how heliocentric distances, moon orbits and body radii map to scene units
+ *
+ * 'artistic' is the hand-tuned layout (planet orbits at 36, 52, 70 ... units, Sun radius 10,
+ * Earth 1), neither true to scale nor consistently compressed. The other modes keep Earth's
+ * orbit at 70 units so the inner planets stay where the camera expects them, and stretch
+ * everything else around it. True sizes come from the catalog (radiusKm, and the moons'
+ * orbit.semiMajorAxisKm); bodies without them keep their artistic size in every mode.
+ */
+
+// Scene units per AU in the true-distance modes (Earth's orbit keeps its artistic size)
+export const AU_SCENE_UNITS = 70;
+
+// Enlargement of the bodies in the exaggerated-radii mode (the Sun would swallow Mercury at 500x)
+const EXAGGERATED_RADIUS = 500;
+const EXAGGERATED_SUN_RADIUS = 30;
+
+// Planets whose orbits set the layout; every other heliocentric body follows them via getSceneDistance
+export const LAYOUT_PLANETS = ['mercury', 'venus', 'earth', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune'];
+
+export const SCALE_MODES = {
+    artistic: { name: 'Artistic', description: 'Hand-picked layout: compressed distances, enlarged bodies' },
+    log: { name: 'Log distance', description: 'Distances compressed logarithmically, artistic radii' },
+    exaggerated: { name: 'Exaggerated radii', description: `True distances, planets enlarged ${EXAGGERATED_RADIUS}x and the Sun ${EXAGGERATED_SUN_RADIUS}x` },
+    true: { name: 'True scale', description: 'Distances and radii to scale: the Sun is a 0.3-unit speck' }
+};
+
+/**
+ * Scene distance of a heliocentric distance
+ * @param {string} mode - Key of SCALE_MODES
+ * @param {number} au - Distance in AU
+ * @param {number} artisticDistance - The artistic layout's distance for the same point
+ * @returns {number} Scene units
+ */
+export function getModeDistance(mode, au, artisticDistance) {
+    switch (mode) {
+        case 'true':
+        case 'exaggerated':
+            return au * AU_SCENE_UNITS;
+        case 'log':
+            // 1 AU stays at 70 units; Neptune's 30 AU lands near 170
+            return AU_SCENE_UNITS * Math.log10(1 + 9 * au);
+        default:
+            return artisticDistance;
+    }
+}
+
+/**
+ * Scene radius of a body
+ * @param {string} mode - Key of SCALE_MODES
+ * @param {string} name - Body key (bodies without a catalog radiusKm keep their artistic size)
+ * @param {number} artisticRadius - The body's radius in the artistic layout
+ * @returns {number} Scene units
+ */
+export function getModeRadius(mode, name, artisticRadius) {
+    const entry = getCatalogEntry(name);
+    if (!entry || !entry.radiusKm || (mode !== 'true' && mode !== 'exaggerated')) {
+        return artisticRadius;
+    }
+
+    const trueRadius = entry.radiusKm / AU_KM * AU_SCENE_UNITS;
+    if (mode === 'true') {
+        return trueRadius;
+    }
+    return trueRadius * (entry.type === 'star' ? EXAGGERATED_SUN_RADIUS : EXAGGERATED_RADIUS);
+}
+
+/**
+ * Scene semi-major axis of a moon's orbit: true in true scale, otherwise the artistic orbit
+ * grown or shrunk with its parent so it keeps clear of the parent's globe
+ * @param {string} mode - Key of SCALE_MODES
+ * @param {string} name - Moon key (moons without a catalog orbit.semiMajorAxisKm keep the artistic orbit)
+ * @param {number} artisticDistance - Semi-major axis in the artistic layout
+ * @param {number} parentScale - Parent's radius in this mode over its artistic radius
+ * @returns {number} Scene units
+ */
+export function getModeMoonDistance(mode, name, artisticDistance, parentScale = 1) {
+    const entry = getCatalogEntry(name);
+    const distanceKm = entry && entry.orbit && entry.orbit.semiMajorAxisKm;
+    if (mode === 'true' && distanceKm) {
+        return distanceKm / AU_KM * AU_SCENE_UNITS;
+    }
+    return artisticDistance * parentScale;
+}
@@ -0,0 +1,393 @@
+import * as THREE from 'three';
+import { AU_KM, J2000_EPOCH_MS, J2000_JULIAN_DATE, MS_PER_DAY } from './ephemeris.js';
+
+/**
+ * spacecraft.js
+ * Spacecraft replayed from tables of heliocentric state vectors
+ *
+ * Tables follow the JPL Horizons "vector table" export (CSV or plain text between $$SOE
+ * and $$EOE), or a simple CSV/JSON with jd (or date), x, y, z and optional vx, vy, vz
+ * columns. Vectors are converted to AU, AU/day and the ecliptic of J2000.
+ */
+
+const SECONDS_PER_DAY = 86400;
+const OBLIQUITY_J2000 = 23.4392911 * Math.PI / 180;
+
+/**
+ * Parses a state-vector table
+ * @param {string} text - File contents
+ * @param {Object} options - Overrides for tables without a Horizons header
+ * @param {string} options.units - 'AU-D', 'KM-S' or 'KM-D' (guessed from magnitudes if absent)
+ * @param {string} options.frame - 'ecliptic' (default) or 'equatorial'
+ * @returns {{name: string|null, samples: Array<Object>}} Samples sorted by Julian date:
+ *   {jd, position: THREE.Vector3, velocity: THREE.Vector3|null} in ecliptic AU and AU/day
+ */
+export function parseStateVectorTable(text, options = {}) {
+    const trimmed = text.trim();
+    let table;
+
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        table = parseJsonTable(JSON.parse(trimmed));
+    } else if (trimmed.includes('$$SOE')) {
+        table = parseHorizonsTable(trimmed);
+    } else {
+        table = parseCsvTable(trimmed);
+    }
+
+    const units = (options.units || table.units || guessUnits(table.rows)).toUpperCase();
+    const frame = options.frame || table.frame || 'ecliptic';
+
+    // Convert to AU and AU/day
+    const lengthFactor = units.startsWith('KM') ? 1 / AU_KM : 1;
+    const velocityFactor = units === 'KM-S' ? SECONDS_PER_DAY / AU_KM : lengthFactor;
+
+    const samples = table.rows
+        .filter(row => Number.isFinite(row.jd) && Number.isFinite(row.x) && Number.isFinite(row.y) && Number.isFinite(row.z))
+        .map(row => {
+            const position = new THREE.Vector3(row.x, row.y, row.z).multiplyScalar(lengthFactor);
+            const hasVelocity = Number.isFinite(row.vx) && Number.isFinite(row.vy) && Number.isFinite(row.vz);
+            const velocity = hasVelocity ? new THREE.Vector3(row.vx, row.vy, row.vz).multiplyScalar(velocityFactor) : null;
+
+            if (frame === 'equatorial') {
+                equatorialToEcliptic(position);
+                if (velocity) equatorialToEcliptic(velocity);
+            }
+
+            return { jd: row.jd, position, velocity };
+        })
+        .sort((a, b) => a.jd - b.jd);
+
+    return { name: table.name || null, samples };
+}
+
+// Rotates a vector from the J2000 equator to the J2000 ecliptic (in place)
+function equatorialToEcliptic(vector) {
+    const cos = Math.cos(OBLIQUITY_J2000);
+    const sin = Math.sin(OBLIQUITY_J2000);
+    const y = vector.y * cos + vector.z * sin;
+    const z = -vector.y * sin + vector.z * cos;
+    return vector.set(vector.x, y, z);
+}
+
+// Tables without a units header: anything farther than 1000 "units" must be km
+function guessUnits(rows) {
+    const farthest = rows.reduce((max, row) => Math.max(max, Math.abs(row.x), Math.abs(row.y), Math.abs(row.z)), 0);
+    return farthest > 1000 ? 'KM-S' : 'AU-D';
+}
+
+function parseTime(value) {
+    const number = Number(value);
+    if (Number.isFinite(number)) {
+        return number;
+    }
+    const date = new Date(value);
+    return J2000_JULIAN_DATE + (date.getTime() - J2000_EPOCH_MS) / MS_PER_DAY;
+}
+
+function rowFromRecord(record) {
+    const get = (...keys) => {
+        const key = keys.find(k => record[k] !== undefined && record[k] !== '');
+        return key !== undefined ? record[key] : undefined;
+    };
+
+    const time = get('jd', 'jdtdb', 'jdut', 'time', 'date', 'epoch');
+    return {
+        jd: time !== undefined ? parseTime(time) : NaN,
+        x: parseFloat(get('x')),
+        y: parseFloat(get('y')),
+        z: parseFloat(get('z')),
+        vx: parseFloat(get('vx')),
+        vy: parseFloat(get('vy')),
+        vz: parseFloat(get('vz'))
+    };
+}
+
+function lowerCaseKeys(record) {
+    const result = {};
+    Object.keys(record).forEach(key => {
+        result[key.trim().toLowerCase()] = typeof record[key] === 'string' ? record[key].trim() : record[key];
+    });
+    return result;
+}
+
+function parseJsonTable(data) {
+    const records = Array.isArray(data) ? data : (data.samples || []);
+    return {
+        name: Array.isArray(data) ? null : data.name,
+        units: Array.isArray(data) ? null : data.units,
+        frame: Array.isArray(data) ? null : data.frame,
+        rows: records.map(record => rowFromRecord(lowerCaseKeys(record)))
+    };
+}
+
+function parseCsvTable(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+    const header = lines[0].split(',').map(column => column.trim().toLowerCase());
+    const rows = lines.slice(1).map(line => {
+        const values = line.split(',');
+        const record = {};
+        header.forEach((column, index) => {
+            record[column] = values[index] !== undefined ? values[index].trim() : undefined;
+        });
+        return rowFromRecord(record);
+    });
+    return { name: null, units: null, frame: null, rows };
+}
+
+function parseHorizonsTable(text) {
+    const [preamble, rest] = text.split('$$SOE');
+    const body = rest.split('$$EOE')[0];
+    const headerLines = preamble.split(/\r?\n/);
+
+    // Header metadata
+    const field = pattern => {
+        const line = headerLines.find(l => pattern.test(l));
+        return line ? line.split(':').slice(1).join(':').trim() : '';
+    };
+    const targetName = field(/^\s*Target body name/i).replace(/\s*\{.*$/, '').replace(/\s*\(.*$/, '').trim();
+    const centerName = field(/^\s*Center body name/i);
+    const unitsMatch = field(/^\s*Output units/i).match(/(KM-S|KM-D|AU-D)/i);
+    const frameText = headerLines
+        .filter(line => /^\s*(Reference (frame|plane)|Coordinate systm)/i.test(line))
+        .join(' ');
+    const frame = /equator/i.test(frameText) || (/ICRF|FK5/i.test(frameText) && !/ecliptic/i.test(frameText))
+        ? 'equatorial'
+        : 'ecliptic';
+
+    if (centerName && !/sun/i.test(centerName)) {
+        console.warn(`State vectors are relative to ${centerName}; heliocentric vectors (center @10) are expected`);
+    }
+
+    const records = body.split(/\r?\n/).filter(line => line.trim());
+    let rows;
+
+    if (records[0] && records[0].includes(',') && !records[0].includes('=')) {
+        // CSV export: columns named by the header line just above $$SOE
+        const columnLine = [...headerLines].reverse().find(line => /JD(TDB|UT)/i.test(line));
+        if (!columnLine) {
+            throw new Error('Horizons CSV table has no column header (a JDTDB or JDUT line) above $$SOE');
+        }
+        const columns = columnLine.split(',').map(column => column.trim().toLowerCase());
+        rows = records.map(line => {
+            const values = line.split(',');
+            const record = {};
+            columns.forEach((column, index) => {
+                record[column] = values[index] !== undefined ? values[index].trim() : undefined;
+            });
+            return rowFromRecord(record);
+        });
+    } else {
+        // Plain-text export: "JD = A.D. date" followed by "X = ... Y = ..." lines
+        rows = [];
+        let current = null;
+        records.forEach(line => {
+            const epoch = line.match(/^\s*(\d+\.\d+)\s*=/);
+            if (epoch) {
+                current = { jd: parseFloat(epoch[1]) };
+                rows.push(current);
+                return;
+            }
+            if (!current) return;
+            for (const match of line.matchAll(/\b(VX|VY|VZ|X|Y|Z)\s*=\s*([-+]?\d*\.?\d+(?:E[-+]?\d+)?)/gi)) {
+                current[match[1].toLowerCase()] = parseFloat(match[2]);
+            }
+        });
+    }
+
+    return {
+        name: targetName || null,
+        units: unitsMatch ? unitsMatch[1].toUpperCase() : null,
+        frame,
+        rows
+    };
+}
+
+export class Spacecraft {
+    constructor(scene, x = 0, y = 0, z = 0, radius = 0.05, options = {}) {
+        this.scene = scene;
+        this.position = new THREE.Vector3(x, y, z);
+
+        // Identity and trajectory data
+        this.name = options.name || 'Spacecraft';
+        this.color = options.color || '#ffd166';
+        this.samples = options.samples || [];
+        this.distanceScale = options.distanceScale || (au => au);
+
+        // Scene positions of every sample, for drawing the path
+        this.scenePath = this.samples.map(sample => this.toScene(sample.position));
+        this.currentIndex = 0;
+        this.isActive = false;
+
+        // Initialize geometry
+        this.Radius = radius;
+        this.craftGeometry = new THREE.OctahedronGeometry(this.Radius, 0);
+
+        // Initialize meshes (will be created in create methods)
+        this.craft = null;
+
+        // Create the spacecraft
+        this.createSpacecraft();
+
+        // Set initial position
+        this.setPosition(x, y, z);
+    }
+
+    createSpacecraft() {
+        const craftMaterial = new THREE.MeshBasicMaterial({ color: this.color });
+
+        // Create spacecraft mesh (unlit so it stays visible in deep space)
+        this.craft = new THREE.Mesh(this.craftGeometry, craftMaterial);
+        this.craft.visible = false;
+        this.scene.add(this.craft);
+    }
+
+    /**
+     * Maps an ecliptic position in AU onto the scene scale
+     * @param {THREE.Vector3} position - Heliocentric ecliptic position in AU
+     * @param {THREE.Vector3} target - Optional vector to write the result into
+     * @returns {THREE.Vector3} Scene position
+     */
+    toScene(position, target = new THREE.Vector3()) {
+        const distance = position.length();
+        const scale = distance > 0 ? this.distanceScale(distance) / distance : 0;
+
+        // Ecliptic (x, y, z) -> scene (x, z, -y)
+        return target.set(position.x * scale, position.z * scale, -position.y * scale);
+    }
+
+    // Re-projects the drawn path after the AU to scene mapping has changed
+    refreshScenePath() {
+        this.scenePath = this.samples.map(sample => this.toScene(sample.position));
+    }
+
+    /**
+     * Gets the time span covered by the table
+     * @returns {{start: number, end: number}|null} Julian dates
+     */
+    getTimeRange() {
+        if (this.samples.length === 0) return null;
+        return { start: this.samples[0].jd, end: this.samples[this.samples.length - 1].jd };
+    }
+
+    /**
+     * Interpolates the heliocentric state at a Julian date
+     * @param {number} julianDate - Julian date
+     * @returns {THREE.Vector3|null} Ecliptic position in AU, or null outside the table
+     */
+    getPositionAtJulianDate(julianDate) {
+        const samples = this.samples;
+        const range = this.getTimeRange();
+        if (!range || julianDate < range.start || julianDate > range.end) {
+            return null;
+        }
+
+        // Binary search for the bracketing samples
+        let low = 0;
+        let high = samples.length - 1;
+        while (high - low > 1) {
+            const middle = (low + high) >> 1;
+            if (samples[middle].jd <= julianDate) low = middle;
+            else high = middle;
+        }
+        this.currentIndex = low;
+
+        const a = samples[low];
+        const b = samples[high];
+        const span = b.jd - a.jd;
+        if (span <= 0) {
+            return a.position.clone();
+        }
+
+        const t = (julianDate - a.jd) / span;
+        if (!a.velocity || !b.velocity) {
+            return a.position.clone().lerp(b.position, t);
+        }
+
+        // Cubic Hermite interpolation using the tabulated velocities
+        const t2 = t * t;
+        const t3 = t2 * t;
+        return new THREE.Vector3()
+            .addScaledVector(a.position, 2 * t3 - 3 * t2 + 1)
+            .addScaledVector(a.velocity, (t3 - 2 * t2 + t) * span)
+            .addScaledVector(b.position, -2 * t3 + 3 * t2)
+            .addScaledVector(b.velocity, (t3 - t2) * span);
+    }
+
+    /**
+     * Moves the spacecraft to its position at a date (hidden outside the table)
+     * @param {number} julianDate - Julian date
+     */
+    updateAtJulianDate(julianDate) {
+        const position = this.getPositionAtJulianDate(julianDate);
+        this.isActive = position !== null;
+        this.craft.visible = this.isActive;
+
+        if (position) {
+            const scenePosition = this.toScene(position);
+            this.setPosition(scenePosition.x, scenePosition.y, scenePosition.z);
+        }
+    }
+
+    /**
+     * Gets the path already flown or still ahead, ending/starting at the current position
+     * @param {string} part - 'past' or 'future'
+     * @param {number} maxPoints - Upper bound on returned points (the path is subsampled)
+     * @returns {Array<THREE.Vector3>} Scene points
+     */
+    getPathPoints(part, maxPoints = 300) {
+        if (!this.isActive) {
+            return [];
+        }
+
+        const indices = part === 'past'
+            ? [0, this.currentIndex]
+            : [this.currentIndex + 1, this.scenePath.length - 1];
+        const count = indices[1] - indices[0] + 1;
+        const step = Math.max(1, Math.ceil(count / maxPoints));
+        const points = [];
+
+        for (let i = indices[0]; i <= indices[1]; i += step) {
+            points.push(this.scenePath[i].clone());
+        }
+
+        if (part === 'past') {
+            points.push(this.getPosition());
+        } else {
+            points.unshift(this.getPosition());
+            if (count > 0) points.push(this.scenePath[indices[1]].clone());
+        }
+
+        return points;
+    }
+
+    setPosition(x, y, z) {
+        this.position.set(x, y, z);
+
+        if (this.craft) {
+            this.craft.position.copy(this.position);
+        }
+    }
+
+    // Get current position
+    getPosition() {
+        return this.position.clone();
+    }
+
+    getRadius() {
+        return this.Radius;
+    }
+
+    // Update method for animations
+    update(deltaTime = 16.67) { // Simulated milliseconds since the last frame
+        // The marker holds still: a per-frame tumble would follow the frame rate, not the clock
+    }
+
+    // Cleanup method
+    dispose() {
+        if (this.craft) {
+            this.scene.remove(this.craft);
+            this.craft.geometry.dispose();
+            this.craft.material.dispose();
+        }
+    }
+}
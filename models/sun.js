@@ -1,19 +1,220 @@
 import * as THREE from 'three';
+import { AxialRotation } from './rotation.js';
+
+/**
+ * sun.js
+ * The Sun: a procedural photosphere (boiling granulation over larger supergranules, limb
+ * darkening towards an orange rim, drifting sunspot groups in the activity belts), a
+ * camera-facing corona glow and the point light that illuminates the system
+ *
+ * The surface is worked out on the unit sphere in the Sun's own frame, so it rotates with
+ * the Sun and has no texture seams or pole pinching. Granulation evolves in real time (a
+ * granule lives a few minutes, far too fast to follow at any useful time warp). The disk is
+ * brighter than 1, which a bloom pass (see bloom.js) spreads into a glare.
+ */
+
+const vertexShader = /* glsl */`
+    varying vec3 vSurface;
+    varying vec3 vWorldPosition;
+    varying vec3 vWorldNormal;
+
+    void main() {
+        vSurface = normalize(position);
+
+        vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+        vWorldPosition = worldPosition.xyz;
+        vWorldNormal = normalize(mat3(modelMatrix) * normal);
+
+        gl_Position = projectionMatrix * viewMatrix * worldPosition;
+    }
+`;
+
+const fragmentShader = /* glsl */`
+    uniform float time;
+    uniform float brightness;
+    uniform float limbDarkening;
+    uniform float granulationContrast;
+    uniform float sunspotAmount;
+    uniform vec3 coreColor;
+    uniform vec3 limbColor;
+
+    varying vec3 vSurface;
+    varying vec3 vWorldPosition;
+    varying vec3 vWorldNormal;
+
+    vec3 hash3(vec3 p) {
+        p = vec3(dot(p, vec3(127.1, 311.7, 74.7)),
+                 dot(p, vec3(269.5, 183.3, 246.1)),
+                 dot(p, vec3(113.5, 271.9, 124.6)));
+        return fract(sin(p) * 43758.5453);
+    }
+
+    float valueNoise(vec3 p) {
+        vec3 i = floor(p);
+        vec3 f = fract(p);
+        vec3 u = f * f * (3.0 - 2.0 * f);
+        float n000 = hash3(i).x;
+        float n100 = hash3(i + vec3(1.0, 0.0, 0.0)).x;
+        float n010 = hash3(i + vec3(0.0, 1.0, 0.0)).x;
+        float n110 = hash3(i + vec3(1.0, 1.0, 0.0)).x;
+        float n001 = hash3(i + vec3(0.0, 0.0, 1.0)).x;
+        float n101 = hash3(i + vec3(1.0, 0.0, 1.0)).x;
+        float n011 = hash3(i + vec3(0.0, 1.0, 1.0)).x;
+        float n111 = hash3(i + vec3(1.0, 1.0, 1.0)).x;
+        return mix(mix(mix(n000, n100, u.x), mix(n010, n110, u.x), u.y),
+                   mix(mix(n001, n101, u.x), mix(n011, n111, u.x), u.y), u.z);
+    }
+
+    float fbm(vec3 p) {
+        float sum = 0.0;
+        float amplitude = 0.5;
+        for (int i = 0; i < 4; i++) {
+            sum += amplitude * valueNoise(p);
+            p *= 2.03;
+            amplitude *= 0.5;
+        }
+        return sum;
+    }
+
+    // Granules: bright convection cells split by dark intergranular lanes (distance to the
+    // nearest cell center against the second nearest); the centers wander over time
+    float cells(vec3 p, float phase) {
+        vec3 i = floor(p);
+        vec3 f = fract(p);
+        float nearest = 8.0;
+        float second = 8.0;
+        for (int z = -1; z <= 1; z++) {
+            for (int y = -1; y <= 1; y++) {
+                for (int x = -1; x <= 1; x++) {
+                    vec3 offset = vec3(float(x), float(y), float(z));
+                    vec3 seed = hash3(i + offset);
+                    vec3 center = offset + 0.5 + 0.4 * sin(phase + 6.2831853 * seed);
+                    float d = length(center - f);
+                    if (d < nearest) {
+                        second = nearest;
+                        nearest = d;
+                    } else if (d < second) {
+                        second = d;
+                    }
+                }
+            }
+        }
+        return smoothstep(0.0, 0.35, second - nearest);
+    }
+
+    void main() {
+        vec3 p = normalize(vSurface);
+
+        // Granulation, modulated by the supergranulation network; granules smaller than a pixel
+        // average out instead of shimmering
+        vec3 granulePoint = p * 48.0;
+        float resolved = 1.0 - smoothstep(0.4, 1.0, length(fwidth(granulePoint)));
+        float granules = cells(granulePoint, time * 0.35);
+        float supergranules = fbm(p * 6.0 + vec3(0.0, time * 0.01, 0.0));
+        float contrast = granulationContrast * resolved;
+        float surface = mix(1.0 - contrast, 1.0, granules) * (0.9 + 0.2 * supergranules);
+
+        // Sunspots: dark umbrae in penumbral halos, only in the belts 5-35 degrees from the equator
+        float latitude = abs(p.y);
+        float belt = smoothstep(0.06, 0.12, latitude) * smoothstep(0.6, 0.45, latitude);
+        float activity = fbm(p * 9.0 + vec3(17.0, time * 0.002, 3.0)) * belt;
+        float threshold = 0.72 - 0.2 * sunspotAmount;
+        float penumbra = smoothstep(threshold - 0.03, threshold, activity);
+        float umbra = smoothstep(threshold + 0.02, threshold + 0.05, activity);
+        surface *= sunspotAmount > 0.0 ? mix(1.0, 0.55, penumbra) * mix(1.0, 0.25, umbra) : 1.0;
+
+        // Limb darkening: the disk dims and reddens towards the rim, where the line of sight
+        // only reaches the cooler upper photosphere
+        vec3 normal = normalize(vWorldNormal);
+        vec3 viewDirection = normalize(cameraPosition - vWorldPosition);
+        float mu = clamp(dot(normal, viewDirection), 0.0, 1.0);
+        float limb = 1.0 - limbDarkening * (1.0 - pow(mu, 0.6));
+        vec3 color = mix(limbColor, coreColor, pow(mu, 0.4));
+
+        gl_FragColor = vec4(color * surface * limb * brightness, 1.0);
+
+        #include <colorspace_fragment>
+    }
+`;
+
+// Side of the generated corona texture in pixels
+const CORONA_RESOLUTION = 256;
+
+// Corona sprite size in solar radii, across
+const CORONA_SIZE = 6;
+
+/**
+ * Paints the corona: a radial glow that falls off steeply past the limb, with faint streamers
+ * @returns {THREE.CanvasTexture} Square texture centered on the Sun
+ */
+function createCoronaTexture() {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = CORONA_RESOLUTION;
+    const context = canvas.getContext('2d');
+    const center = CORONA_RESOLUTION / 2;
+
+    // The disk covers 1/CORONA_SIZE of the sprite
+    const limb = center * 2 / CORONA_SIZE;
+    const glow = context.createRadialGradient(center, center, limb * 0.9, center, center, center);
+    glow.addColorStop(0, 'rgba(255, 244, 214, 1)');
+    glow.addColorStop(0.08, 'rgba(255, 214, 140, 0.55)');
+    glow.addColorStop(0.25, 'rgba(255, 170, 80, 0.18)');
+    glow.addColorStop(0.55, 'rgba(255, 140, 50, 0.05)');
+    glow.addColorStop(1, 'rgba(255, 120, 40, 0)');
+    context.fillStyle = glow;
+    context.fillRect(0, 0, CORONA_RESOLUTION, CORONA_RESOLUTION);
+
+    // Streamers: thin wedges fading outwards
+    context.globalCompositeOperation = 'lighter';
+    for (let i = 0; i < 14; i++) {
+        const angle = (i / 14) * Math.PI * 2 + Math.sin(i * 12.9898) * 0.3;
+        const spread = 0.04 + 0.05 * Math.abs(Math.sin(i * 78.233));
+        const reach = center * (0.55 + 0.4 * Math.abs(Math.sin(i * 37.719)));
+        const streamer = context.createRadialGradient(center, center, limb, center, center, reach);
+        streamer.addColorStop(0, 'rgba(255, 220, 160, 0.12)');
+        streamer.addColorStop(1, 'rgba(255, 200, 120, 0)');
+        context.fillStyle = streamer;
+        context.beginPath();
+        context.moveTo(center, center);
+        context.arc(center, center, reach, angle - spread, angle + spread);
+        context.closePath();
+        context.fill();
+    }
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+}
 
 export class Sun {
-    constructor(scene, x = 0, y = 0, z = 0, radius = 1) {
+    constructor(scene, x = 0, y = 0, z = 0, radius = 1, options = {}) {
         this.scene = scene;
         this.position = new THREE.Vector3(x, y, z);
-        this.textureLoader = new THREE.TextureLoader();
         
         // Initialize geometry
         this.Radius = radius;
+        this.scale = 1; // Display scale on top of the geometry radius
         this.sunGeometry = new THREE.SphereGeometry(this.Radius, 64, 64);
 
         // Initialize meshes and light (will be created in create methods)
         this.sun = null;
         this.pointLight = null;
         
+        // Spin axis and sidereal day
+        this.axialRotation = new AxialRotation(options.rotation || {
+            axialTilt: 7.25, // degrees from ecliptic north
+            tiltDirection: 345.77, // ecliptic longitude the north pole leans towards
+            rotationPeriod: 609.12 // hours
+        });
+
+        // Photosphere shading (see the fragment shader)
+        this.surface = {
+            limbDarkening: 0.7,
+            granulationContrast: 0.35,
+            sunspotAmount: 0.5,
+            ...(options.surface || {})
+        };
+        
         // Light properties
         this.lightIntensity = 100.0;
         this.lightColor = 0xffffff;
@@ -24,18 +225,27 @@ export class Sun {
         
         // Set initial position
         this.setPosition(x, y, z);
+        
+        // Apply the initial axial tilt
+        this.update(0);
     }
     
     createSun() {
-        // Load Sun texture
-        const sunTexture = this.textureLoader.load("textures/sun/SunMap.png");
-        
-        // Create Sun material
-        const sunMaterial = new THREE.MeshStandardMaterial({ 
-            map: sunTexture, 
-            emissiveMap: sunTexture,
-            emissive: 0xffff00,
-            emissiveIntensity: 2.0
+        // Procedural photosphere (no texture map)
+        this.uniforms = {
+            time: { value: 0 },
+            brightness: { value: 1.5 },
+            limbDarkening: { value: this.surface.limbDarkening },
+            granulationContrast: { value: this.surface.granulationContrast },
+            sunspotAmount: { value: this.surface.sunspotAmount },
+            coreColor: { value: new THREE.Color(1.0, 0.93, 0.78) },
+            limbColor: { value: new THREE.Color(1.0, 0.45, 0.12) }
+        };
+
+        const sunMaterial = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            vertexShader,
+            fragmentShader
         });
         
         // Create Sun mesh
@@ -46,6 +256,15 @@ export class Sun {
     createLight() {
         // Create point light for sun illumination
         this.pointLight = new THREE.PointLight(this.lightColor, this.lightIntensity, 0, 1);
+
+        // Shadows for the bodies that cast them (ringed planets); the cube map spans the
+        // whole system, so it needs the resolution
+        this.pointLight.castShadow = true;
+        this.pointLight.shadow.mapSize.set(2048, 2048);
+        this.pointLight.shadow.camera.near = this.Radius;
+        this.pointLight.shadow.camera.far = 5000;
+        this.pointLight.shadow.bias = -0.0005;
+        this.pointLight.shadow.normalBias = 0.02;
         this.scene.add(this.pointLight);
     }
     
@@ -60,6 +279,10 @@ export class Sun {
         if (this.pointLight) {
             this.pointLight.position.copy(this.position);
         }
+
+        if (this.corona) {
+            this.corona.position.copy(this.position);
+        }
     }
     
     // Get current position
@@ -68,14 +291,25 @@ export class Sun {
     }
 
     getRadius() {
-        return this.Radius;
+        return this.Radius * this.scale;
     }
 
     // Update method for animations
-    update(deltaTime = 16.67) {
+    update(deltaTime = 16.67, simulationTime = 0) { // Simulated milliseconds since the last frame and since time zero
+        this.axialRotation.setTime(simulationTime);
+        
         if (this.sun) {
-            // Slow rotation for the sun
-            this.sun.rotation.y += 0.001 * deltaTime * 0.016;
+            // Slow rotation for the sun around its tilted axis
+            this.axialRotation.applyTo(this.sun);
+        }
+
+        // Granulation boils in real seconds, whatever the time warp
+        const seconds = performance.now() / 1000;
+        this.uniforms.time.value = seconds;
+
+        if (this.corona) {
+            // Streamers turn very slowly so the glow does not look painted on
+            this.corona.material.rotation = seconds * 0.005;
         }
     }
     
@@ -88,9 +322,13 @@ export class Sun {
     
     // Method to set scale
     setScale(scale) {
+        this.scale = scale;
         if (this.sun) {
             this.sun.scale.setScalar(scale);
         }
+        if (this.corona) {
+            this.corona.scale.setScalar(this.Radius * CORONA_SIZE * scale);
+        }
     }
     
     // Method to adjust light intensity
@@ -109,11 +347,9 @@ export class Sun {
         }
     }
     
-    // Method to adjust emissive intensity
+    // Method to adjust the surface brightness (above 1 the disk blooms)
     setEmissiveIntensity(intensity) {
-        if (this.sun && this.sun.material) {
-            this.sun.material.emissiveIntensity = Math.max(0, Math.min(5, intensity));
-        }
+        this.uniforms.brightness.value = Math.max(0, Math.min(5, intensity));
     }
     
     // Method to show/hide the sun
@@ -124,6 +360,9 @@ export class Sun {
         if (this.pointLight) {
             this.pointLight.visible = visible;
         }
+        if (this.corona) {
+            this.corona.visible = visible;
+        }
     }
     
     // Method to get Sun mesh (for external access)
@@ -136,19 +375,20 @@ export class Sun {
         return this.pointLight;
     }
     
-    // Method to create solar flares or corona effects
+    // Method to create the corona: a glow sprite that always faces the camera
     addCorona() {
-        // Create a larger, transparent corona effect
-        const coronaGeometry = new THREE.SphereGeometry(this.Radius * 1.2, 32, 32);
-        const coronaMaterial = new THREE.MeshBasicMaterial({
-            color: 0xffaa00,
+        const coronaMaterial = new THREE.SpriteMaterial({
+            map: createCoronaTexture(),
+            color: 0xffffff,
             transparent: true,
-            opacity: 0.1,
-            side: THREE.BackSide
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
         });
         
-        this.corona = new THREE.Mesh(coronaGeometry, coronaMaterial);
+        // The disk hides the middle of the sprite, so the glow only shows around the limb
+        this.corona = new THREE.Sprite(coronaMaterial);
         this.corona.position.copy(this.position);
+        this.corona.scale.setScalar(this.Radius * CORONA_SIZE * this.scale);
         this.scene.add(this.corona);
         
         return this.corona;
@@ -168,7 +408,7 @@ export class Sun {
         
         if (this.corona) {
             this.scene.remove(this.corona);
-            this.corona.geometry.dispose();
+            this.corona.material.map.dispose();
             this.corona.material.dispose();
         }
     }
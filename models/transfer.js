@@ -0,0 +1,360 @@
+import { KeplerOrbit } from './orbit.js';
+import { AU_KM, getEphemerisElements, J2000_JULIAN_DATE } from './ephemeris.js';
+import { GAUSSIAN_GRAVITATIONAL_CONSTANT } from './nbody.js';
+import { solveLambert } from './lambert.js';
+
+/**
+ * transfer.js
+ * Hohmann transfers between planets and the launch windows that make them line up
+ *
+ * Distances are in AU, times in days and Julian dates, speeds in km/s. Transfers are
+ * tangent ellipses in the ecliptic between the actual heliocentric distances of the
+ * two planets, so the arrival point falls where the destination planet really is.
+ * Porkchop plots solve Lambert's problem between the bodies' ephemeris positions instead.
+ */
+
+// Sun's gravitational parameter in AU^3/day^2
+const SUN_MU = GAUSSIAN_GRAVITATIONAL_CONSTANT * GAUSSIAN_GRAVITATIONAL_CONSTANT;
+const KM_S_PER_AU_DAY = AU_KM / 86400;
+const TWO_PI = Math.PI * 2;
+const RAD_TO_DEG = 180 / Math.PI;
+
+// Gravitational parameters (km^3/s^2) and equatorial radii (km) for burns from a parking orbit
+export const PLANET_PHYSICAL = {
+    mercury: { mu: 22032, radius: 2440 },
+    venus: { mu: 324859, radius: 6052 },
+    earth: { mu: 398600, radius: 6378 },
+    mars: { mu: 42828, radius: 3396 },
+    jupiter: { mu: 126686534, radius: 71492 },
+    saturn: { mu: 37931187, radius: 60268 },
+    uranus: { mu: 5793939, radius: 25559 },
+    neptune: { mu: 6836529, radius: 24764 }
+};
+
+// Altitude of the circular parking orbits used for departure and capture burns
+export const PARKING_ALTITUDE_KM = 300;
+
+function wrapPi(angle) {
+    return angle - TWO_PI * Math.floor((angle + Math.PI) / TWO_PI);
+}
+
+/**
+ * Gets the heliocentric distance and ecliptic longitude of a body from the ephemeris tables
+ * @param {string} name - Body name
+ * @param {number} julianDate - Julian date
+ * @returns {{radius: number, longitude: number, period: number}} Distance (AU), longitude (radians) and period (days)
+ */
+export function getHeliocentricPolar(name, julianDate) {
+    const elements = getEphemerisElements(name, julianDate);
+    const orbit = new KeplerOrbit({ ...elements, semiMajorAxis: elements.semiMajorAxisAU });
+    const position = orbit.getPositionAtTime(julianDate - J2000_JULIAN_DATE);
+
+    // Scene (x, y, z) -> ecliptic (x, -z, y)
+    return {
+        radius: position.length(),
+        longitude: Math.atan2(-position.z, position.x),
+        period: orbit.getPeriod()
+    };
+}
+
+/**
+ * Gets the heliocentric state of a body from the ephemeris tables
+ * @param {string} name - Body name
+ * @param {number} julianDate - Julian date
+ * @returns {{position: THREE.Vector3, velocity: THREE.Vector3}} AU and AU/day in scene axes
+ */
+export function getHeliocentricState(name, julianDate) {
+    const elements = getEphemerisElements(name, julianDate);
+    const orbit = new KeplerOrbit({ ...elements, semiMajorAxis: elements.semiMajorAxisAU });
+    return orbit.getStateAtTime(julianDate - J2000_JULIAN_DATE);
+}
+
+// Burn that turns a circular parking orbit into a hyperbola with the given excess speed
+function burnFromParkingOrbit(name, excessSpeed) {
+    const planet = PLANET_PHYSICAL[name];
+    if (!planet) {
+        return null;
+    }
+    const r = planet.radius + PARKING_ALTITUDE_KM;
+    return Math.sqrt(excessSpeed * excessSpeed + 2 * planet.mu / r) - Math.sqrt(planet.mu / r);
+}
+
+/**
+ * Computes a Hohmann transfer between two circular orbits
+ * @param {number} r1 - Departure distance from the Sun in AU
+ * @param {number} r2 - Arrival distance from the Sun in AU
+ * @param {string} originName - Origin planet (for the parking-orbit burn, optional)
+ * @param {string} destinationName - Destination planet (for the capture burn, optional)
+ * @returns {Object} {semiMajorAxis (AU), eccentricity, timeOfFlight (days), departureDeltaV,
+ *   arrivalDeltaV, totalDeltaV (heliocentric, km/s), departureBurn, captureBurn (from/into a
+ *   parking orbit, km/s or null), phaseAngle (degrees the destination must lead at departure)}
+ */
+export function computeHohmannTransfer(r1, r2, originName = null, destinationName = null) {
+    const semiMajorAxis = (r1 + r2) / 2;
+    const timeOfFlight = Math.PI * Math.sqrt(Math.pow(semiMajorAxis, 3) / SUN_MU);
+
+    // Circular speeds and transfer speeds at both ends (vis-viva)
+    const circular1 = Math.sqrt(SUN_MU / r1);
+    const circular2 = Math.sqrt(SUN_MU / r2);
+    const transfer1 = Math.sqrt(SUN_MU * (2 / r1 - 1 / semiMajorAxis));
+    const transfer2 = Math.sqrt(SUN_MU * (2 / r2 - 1 / semiMajorAxis));
+
+    const departureDeltaV = Math.abs(transfer1 - circular1) * KM_S_PER_AU_DAY;
+    const arrivalDeltaV = Math.abs(circular2 - transfer2) * KM_S_PER_AU_DAY;
+
+    // The destination moves n2 * timeOfFlight while the probe covers 180 degrees
+    const destinationMotion = Math.sqrt(SUN_MU / Math.pow(r2, 3)) * timeOfFlight;
+    const phaseAngle = wrapPi(Math.PI - destinationMotion) * 180 / Math.PI;
+
+    return {
+        semiMajorAxis,
+        eccentricity: Math.abs(r2 - r1) / (r1 + r2),
+        timeOfFlight,
+        departureDeltaV,
+        arrivalDeltaV,
+        totalDeltaV: departureDeltaV + arrivalDeltaV,
+        departureBurn: burnFromParkingOrbit(originName, departureDeltaV),
+        captureBurn: burnFromParkingOrbit(destinationName, arrivalDeltaV),
+        phaseAngle
+    };
+}
+
+/**
+ * Builds the transfer for a launch date from the planets' actual distances
+ *
+ * The arrival distance depends on the arrival date, which depends on the flight time,
+ * so the two are iterated to agreement.
+ * @param {string} originName - Origin planet
+ * @param {string} destinationName - Destination planet
+ * @param {number} launchDate - Launch Julian date
+ * @returns {Object} Transfer (see computeHohmannTransfer) plus launchDate, arrivalDate,
+ *   departureLongitude (radians), r1, r2 and phaseError (radians, zero at a launch window)
+ */
+export function getTransferAtDate(originName, destinationName, launchDate) {
+    const origin = getHeliocentricPolar(originName, launchDate);
+    let r2 = getHeliocentricPolar(destinationName, launchDate).radius;
+    let transfer = computeHohmannTransfer(origin.radius, r2, originName, destinationName);
+
+    for (let i = 0; i < 4; i++) {
+        r2 = getHeliocentricPolar(destinationName, launchDate + transfer.timeOfFlight).radius;
+        transfer = computeHohmannTransfer(origin.radius, r2, originName, destinationName);
+    }
+
+    const arrivalDate = launchDate + transfer.timeOfFlight;
+    const destination = getHeliocentricPolar(destinationName, arrivalDate);
+
+    return {
+        ...transfer,
+        launchDate,
+        arrivalDate,
+        departureLongitude: origin.longitude,
+        r1: origin.radius,
+        r2,
+        // Hohmann arcs span 180 degrees: the destination must be opposite the departure point
+        phaseError: wrapPi(destination.longitude - origin.longitude - Math.PI)
+    };
+}
+
+/**
+ * Finds the next launch windows, when the destination will be opposite the departure
+ * point at the end of the transfer
+ * @param {string} originName - Origin planet
+ * @param {string} destinationName - Destination planet
+ * @param {number} startDate - Julian date to search from
+ * @param {number} count - Number of windows to find
+ * @returns {Array<Object>} Transfers at each window (see getTransferAtDate), in date order
+ */
+export function findLaunchWindows(originName, destinationName, startDate, count = 3) {
+    const periodOrigin = getHeliocentricPolar(originName, startDate).period;
+    const periodDestination = getHeliocentricPolar(destinationName, startDate).period;
+    const synodicPeriod = 1 / Math.abs(1 / periodOrigin - 1 / periodDestination);
+
+    // Step finely enough to catch every crossing of the phase condition
+    const step = synodicPeriod / 48;
+    const windows = [];
+    const error = date => getTransferAtDate(originName, destinationName, date).phaseError;
+
+    let previousDate = startDate;
+    let previousError = error(previousDate);
+
+    for (let n = 1; windows.length < count && n <= 48 * (count + 2); n++) {
+        const date = startDate + n * step;
+        const currentError = error(date);
+
+        // A sign change away from the +-180 degree wrap is a window; refine by bisection
+        if (Math.sign(currentError) !== Math.sign(previousError) && Math.abs(currentError - previousError) < Math.PI) {
+            let low = previousDate;
+            let high = date;
+            let lowError = previousError;
+            for (let i = 0; i < 40; i++) {
+                const middle = (low + high) / 2;
+                const middleError = error(middle);
+                if (Math.sign(middleError) === Math.sign(lowError)) {
+                    low = middle;
+                    lowError = middleError;
+                } else {
+                    high = middle;
+                }
+            }
+            windows.push(getTransferAtDate(originName, destinationName, (low + high) / 2));
+        }
+
+        previousDate = date;
+        previousError = currentError;
+    }
+
+    return windows;
+}
+
+/**
+ * Gets KeplerOrbit elements (AU, radians per day since J2000) of a transfer arc
+ * @param {Object} transfer - Transfer from getTransferAtDate
+ * @returns {Object} Elements for KeplerOrbit
+ */
+export function getTransferOrbitElements(transfer) {
+    const outbound = transfer.r2 >= transfer.r1;
+    const speed = Math.sqrt(SUN_MU / Math.pow(transfer.semiMajorAxis, 3));
+    const departureDegrees = transfer.departureLongitude * 180 / Math.PI;
+
+    // Outbound arcs leave from perihelion, inbound arcs from aphelion
+    const meanAnomalyAtLaunch = outbound ? 0 : 180;
+    const meanAnomalyAtEpoch = meanAnomalyAtLaunch - speed * (transfer.launchDate - J2000_JULIAN_DATE) * 180 / Math.PI;
+
+    return {
+        semiMajorAxis: transfer.semiMajorAxis,
+        eccentricity: transfer.eccentricity,
+        inclination: 0,
+        longitudeOfAscendingNode: 0,
+        argumentOfPeriapsis: outbound ? departureDegrees : departureDegrees + 180,
+        meanAnomalyAtEpoch: meanAnomalyAtEpoch % 360,
+        speed
+    };
+}
+
+/**
+ * Solves the transfer between two bodies for given departure and arrival dates
+ * @param {string} originName - Departure body
+ * @param {string} destinationName - Arrival body
+ * @param {number} launchDate - Departure Julian date
+ * @param {number} arrivalDate - Arrival Julian date
+ * @returns {Object|null} {launchDate, arrivalDate, timeOfFlight, r1, r2, c3 (km^2/s^2),
+ *   departureVInf, arrivalVInf, totalDeltaV (km/s), orbitElements (KeplerOrbit elements in AU,
+ *   or null for a hyperbolic transfer)}, or null if Lambert's problem has no solution
+ */
+export function getLambertTransfer(originName, destinationName, launchDate, arrivalDate) {
+    return solveTransferBetweenStates(
+        getHeliocentricState(originName, launchDate),
+        getHeliocentricState(destinationName, arrivalDate),
+        launchDate,
+        arrivalDate
+    );
+}
+
+function solveTransferBetweenStates(departure, arrival, launchDate, arrivalDate) {
+    const timeOfFlight = arrivalDate - launchDate;
+    const solution = solveLambert(departure.position, arrival.position, timeOfFlight, SUN_MU);
+    if (!solution) {
+        return null;
+    }
+
+    const departureVInf = solution.v1.distanceTo(departure.velocity) * KM_S_PER_AU_DAY;
+    const arrivalVInf = solution.v2.distanceTo(arrival.velocity) * KM_S_PER_AU_DAY;
+
+    // Conic of the transfer, if it is an ellipse the scene's orbit model can draw
+    const orbit = new KeplerOrbit();
+    const bound = orbit.setFromStateVectors(departure.position, solution.v1, SUN_MU, launchDate - J2000_JULIAN_DATE);
+
+    return {
+        launchDate,
+        arrivalDate,
+        timeOfFlight,
+        r1: departure.position.length(),
+        r2: arrival.position.length(),
+        c3: departureVInf * departureVInf,
+        departureVInf,
+        arrivalVInf,
+        totalDeltaV: departureVInf + arrivalVInf,
+        orbitElements: bound ? {
+            semiMajorAxis: orbit.semiMajorAxis,
+            eccentricity: orbit.eccentricity,
+            inclination: orbit.inclination * RAD_TO_DEG,
+            longitudeOfAscendingNode: orbit.longitudeOfAscendingNode * RAD_TO_DEG,
+            argumentOfPeriapsis: orbit.argumentOfPeriapsis * RAD_TO_DEG,
+            meanAnomalyAtEpoch: orbit.meanAnomalyAtEpoch * RAD_TO_DEG,
+            speed: orbit.speed
+        } : null
+    };
+}
+
+/**
+ * Suggests porkchop date ranges around the next launch opportunities
+ *
+ * Departures span one synodic period (at most ~two years); arrivals span half to one and
+ * a half Hohmann flight times after the departures.
+ * @param {string} originName - Departure body
+ * @param {string} destinationName - Arrival body
+ * @param {number} startDate - First departure Julian date
+ * @returns {{departureStart: number, departureEnd: number, arrivalStart: number, arrivalEnd: number}} Julian dates
+ */
+export function getPorkchopRanges(originName, destinationName, startDate) {
+    const origin = getHeliocentricPolar(originName, startDate);
+    const destination = getHeliocentricPolar(destinationName, startDate);
+    const synodicPeriod = 1 / Math.abs(1 / origin.period - 1 / destination.period);
+    const hohmann = computeHohmannTransfer(origin.radius, destination.radius);
+    const span = Math.min(synodicPeriod, 800);
+
+    return {
+        departureStart: startDate,
+        departureEnd: startDate + span,
+        arrivalStart: startDate + hohmann.timeOfFlight * 0.5,
+        arrivalEnd: startDate + span + hohmann.timeOfFlight * 1.5
+    };
+}
+
+/**
+ * Computes a porkchop grid: departure C3 and total delta-v for every departure/arrival pair
+ * @param {string} originName - Departure body
+ * @param {string} destinationName - Arrival body
+ * @param {Object} ranges - Julian date ranges (see getPorkchopRanges)
+ * @param {number} steps - Grid points along each axis
+ * @returns {Object} {departureDates, arrivalDates, c3, totalDeltaV (grids indexed [arrival][departure],
+ *   NaN where no transfer exists), best: {departureIndex, arrivalIndex}|null (lowest total delta-v)}
+ */
+export function computePorkchop(originName, destinationName, ranges, steps = 60) {
+    const sample = (start, end) => Array.from({ length: steps }, (_, index) => start + (end - start) * index / (steps - 1));
+    const departureDates = sample(ranges.departureStart, ranges.departureEnd);
+    const arrivalDates = sample(ranges.arrivalStart, ranges.arrivalEnd);
+
+    // Body states are shared along rows and columns
+    const departures = departureDates.map(date => getHeliocentricState(originName, date));
+    const arrivals = arrivalDates.map(date => getHeliocentricState(destinationName, date));
+
+    const c3 = [];
+    const totalDeltaV = [];
+    let best = null;
+    let bestValue = Infinity;
+
+    arrivalDates.forEach((arrivalDate, arrivalIndex) => {
+        const c3Row = new Float64Array(steps).fill(NaN);
+        const deltaVRow = new Float64Array(steps).fill(NaN);
+
+        departureDates.forEach((launchDate, departureIndex) => {
+            // Skip flights shorter than a few days, which need absurd speeds
+            if (arrivalDate - launchDate < 5) return;
+            const transfer = solveTransferBetweenStates(departures[departureIndex], arrivals[arrivalIndex], launchDate, arrivalDate);
+            if (!transfer) return;
+
+            c3Row[departureIndex] = transfer.c3;
+            deltaVRow[departureIndex] = transfer.totalDeltaV;
+            if (transfer.totalDeltaV < bestValue) {
+                bestValue = transfer.totalDeltaV;
+                best = { departureIndex, arrivalIndex };
+            }
+        });
+
+        c3.push(c3Row);
+        totalDeltaV.push(deltaVRow);
+    });
+
+    return { departureDates, arrivalDates, c3, totalDeltaV, best };
+}